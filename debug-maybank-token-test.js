@@ -75,8 +75,10 @@ async function testMaybankTokenAuthentication() {
 
   try {
     const adapter = new MaybankAdapter();
+    const specRegistry = new ApiRegistry();
+    await specRegistry.initialize();
     const requestData = {
-      operation: 'get_banking_getBalance',
+      operationDetails: specRegistry.getOperationDetails('get_banking_getBalance'),
       jwtToken: jwtToken,
       parameters: { isFirstLoad: 'true' }
     };
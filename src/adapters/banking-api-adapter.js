@@ -1,6 +1,7 @@
 import { logger } from '../utils/logger.js';
 import { JWTManager } from '../authentication/jwt-manager.js';
 import { SecurityConfig } from '../config/security-config.js';
+import { MockUpstream } from '../execution/mock-upstream.js';
 import crypto from 'crypto';
 
 /**
@@ -20,6 +21,7 @@ export class BankingAPIAdapter {
     this.registry = registry;
     this.jwtManager = new JWTManager();
     this.securityConfig = new SecurityConfig();
+    this.mockUpstream = new MockUpstream({ enabled: true }, registry);
     
     // Banking-specific configuration
     this.config = {
@@ -632,12 +634,10 @@ export class BankingAPIAdapter {
         };
         
       default:
-        return {
-          operation: operation,
-          timestamp: new Date().toISOString(),
-          status: 'success',
-          message: `Mock data for ${operation}`
-        };
+        // Operations without a fixture above answer from their spec's response example or schema
+        return this.mockUpstream.buildResponse(this.registry.getOperationDetails(operation), {
+          seedKey: JSON.stringify(parameters)
+        }).body;
     }
   }
 
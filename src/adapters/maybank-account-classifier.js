@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Sorts Maybank account listings into categories
+ *
+ * A listing carries code ('0Y'), type ('D'), group ('0YD'), accountType, loanType,
+ * cardType, investmentType and unitsInGrams. The rules in maybank-account-categories.json
+ * (or MAYBANK_ACCOUNT_CATEGORIES_FILE) map them to one of:
+ *
+ *   wallet, savings, current, fixed_deposit    deposits
+ *   gold_investment, unit_trust                investments
+ *   card, loan                                 liabilities (outstanding amounts)
+ *   other                                      no rule matched; totalled as unclassified, not in net
+ *
+ * A rule's 'when' conditions must all hold, e.g. { code: ['0Y'], type: ['D'] } or
+ * { loanType: true, cardType: false } (true = field set, false = field unset).
+ *
+ * group() totals accounts per category and per kind:
+ *
+ *   {
+ *     groups: [{ category: 'wallet', label: 'MAE Wallet', kind: 'deposit', count: 1, total: 93.34, accounts: [...] }],
+ *     totals: { deposit: 93.34, investment: 0, liability: 0, unclassified: 2450.1 },
+ *     net: 93.34                                // deposits and investments minus liabilities
+ *   }
+ */
+
+const DEFAULT_CATEGORIES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'maybank-account-categories.json');
+
+export class MaybankAccountClassifier {
+  constructor(filePath) {
+    this.filePath = filePath || DEFAULT_CATEGORIES_PATH;
+    const { categories, rules } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    if (!categories?.other) {
+      throw new Error(`Maybank account categories file ${this.filePath} must define the 'other' category`);
+    }
+    const unknown = (rules || []).find(rule => !categories[rule.category]);
+    if (unknown) {
+      throw new Error(`Maybank account rule refers to undefined category '${unknown.category}'`);
+    }
+    // A rule without conditions would swallow every listing
+    const unconditional = (rules || []).find(rule => Object.keys(rule.when || {}).length === 0);
+    if (unconditional) {
+      throw new Error(`Maybank account rule for '${unconditional.category}' has no 'when' conditions`);
+    }
+
+    this.categories = categories;
+    this.rules = rules || [];
+  }
+
+  /**
+   * Category of one account listing: { category, label, kind }
+   */
+  classify(account = {}) {
+    const rule = this.rules.find(candidate => this.matches(candidate, account));
+    return this.describe(rule ? rule.category : 'other');
+  }
+
+  describe(category) {
+    const entry = this.categories[category] || this.categories.other;
+    return {
+      category: this.categories[category] ? category : 'other',
+      label: entry.label,
+      kind: entry.kind
+    };
+  }
+
+  matches(rule, account) {
+    return Object.entries(rule.when).every(([field, condition]) => {
+      const value = account[field];
+      const set = value !== undefined && value !== null && value !== '';
+      if (typeof condition === 'boolean') {
+        return set === condition;
+      }
+      return set && condition.some(candidate => String(candidate).toUpperCase() === String(value).toUpperCase());
+    });
+  }
+
+  /**
+   * Accounts grouped in the data file's category order; an account's own category
+   * (set by an earlier classify) is kept
+   */
+  group(accounts = []) {
+    const groups = new Map();
+
+    for (const account of accounts) {
+      const { category, label, kind } = account.category ? this.describe(account.category) : this.classify(account);
+      if (!groups.has(category)) {
+        groups.set(category, { category, label, kind, count: 0, total: 0, accounts: [] });
+      }
+      const group = groups.get(category);
+      group.count++;
+      group.total += MaybankAccountClassifier.amount(account);
+      group.accounts.push(account);
+    }
+
+    const ordered = Object.keys(this.categories)
+      .filter(category => groups.has(category))
+      .map(category => {
+        const group = groups.get(category);
+        return { ...group, total: MaybankAccountClassifier.round(group.total) };
+      });
+
+    const totals = { deposit: 0, investment: 0, liability: 0, unclassified: 0 };
+    for (const group of ordered) {
+      totals[group.kind] = MaybankAccountClassifier.round((totals[group.kind] || 0) + group.total);
+    }
+
+    return {
+      groups: ordered,
+      totals,
+      net: MaybankAccountClassifier.round(ordered.reduce((sum, group) => {
+        if (group.kind === 'unclassified') {
+          return sum;
+        }
+        // Outstanding amounts may be listed signed or unsigned
+        return sum + (group.kind === 'liability' ? -Math.abs(group.total) : group.total);
+      }, 0))
+    };
+  }
+
+  // Listings carry value as a number and balance as a string
+  static amount(account) {
+    if (typeof account.value === 'number' && Number.isFinite(account.value)) {
+      return account.value;
+    }
+    return parseFloat(account.balance) || 0;
+  }
+
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export default MaybankAccountClassifier;
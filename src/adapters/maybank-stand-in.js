@@ -0,0 +1,385 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Local stand-in for the Maybank gateway, for offline end-to-end tests
+ *
+ *   GET  /banking/v1/summary/getBalance?isFirstLoad=true   primary account
+ *   GET  /banking/v1/summary?type=A                        totals and account listings
+ *   GET  /banking/v1/accounts/all                          every account
+ *   POST /bill/v2/bills/getBillsTxnHistory                 payment history of one biller
+ *
+ * Requests are checked like the gateway does: `maya-authorization: bearer <JWT>`
+ * (401 with the OAuth { error, error_description } body when missing, malformed or
+ * expired) and the X-APP-* headers that MaybankAdapter.buildMaybankHeaders sends
+ * (400 with the Spring { timestamp, status, error, message, path } body).
+ *
+ * Options:
+ *   {
+ *     fixtures,                       // { accounts: [...], billers: [...] }, see fixtures/maybank-stand-in.json
+ *                                     // (an account's accountType only appears on accounts/all, as on the gateway)
+ *     fixturesPath,                   // or a JSON file with the same shape
+ *     failures: { '/banking/v1/summary/getBalance': 400 },  // force an error response per path
+ *     checkExpiry: true,              // reject JWTs whose exp has passed
+ *     now: () => new Date()           // clock for expiry and effective dates
+ *   }
+ *
+ * Run it with `npm run stand-in:maybank` and point the gateway's three Maybank specs at it with
+ * API_SERVER_URL_MAYBANK, API_SERVER_URL_ACCOUNTS and API_SERVER_URL_BILL=http://localhost:4010
+ * (MAYBANK_STAND_IN_PORT changes the port).
+ */
+
+const DEFAULT_FIXTURES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'maybank-stand-in.json');
+
+// Headers every gateway request carries; X-APP-ENVIRONMENT may be empty but must be present
+const REQUIRED_HEADERS = [
+  'x-app-platform',
+  'x-app-version',
+  'x-app-environment',
+  'x-app-build-no',
+  'x-app-release-no',
+  'x-app-session-trace-id'
+];
+const PLATFORMS = ['IOS', 'ANDROID'];
+const BILL_BODY_FIELDS = ['payeeCode', 'billAcctNo', 'favBillPaymentStep2', 'gstNotesFavPaymentStep2', 'fullName', 'shortName'];
+const EFFECTIVE_DAYS = 29;
+
+// Fields of an account listing the gateway always returns, null unless a fixture sets them
+const LISTING_FIELDS = {
+  name: null, code: null, type: null, group: null, number: null, certs: 0,
+  balance: '0.00', currentBalance: null, oneDayFloat: null, twoDayFloat: null, lateClearing: null,
+  regNumber: null, loanType: null, value: 0, primary: false, supplementaryAvailable: false,
+  investmentType: null, unitsInGrams: null, currencyCode: null, statusCode: '00', statusMessage: 'SUCCESS',
+  currencyCodes: null, accountType: null, cardType: null, formattedNumber: null, jointAccount: false,
+  creditCardType: null, cardImage: null, isActive: null, displayCode: null, displayDesc: null, displayTitle: null
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export class MaybankStandIn {
+  constructor(options = {}) {
+    this.fixtures = options.fixtures ||
+      JSON.parse(fs.readFileSync(options.fixturesPath || DEFAULT_FIXTURES_PATH, 'utf8'));
+    this.failures = options.failures || {};
+    this.checkExpiry = options.checkExpiry !== false;
+    this.now = options.now || (() => new Date());
+
+    // Every request received, for assertions: { method, path, query, headers, body }
+    this.requests = [];
+    this.server = null;
+
+    this.routes = {
+      'GET /banking/v1/summary/getBalance': this.getBalance,
+      'GET /banking/v1/summary': this.getSummary,
+      'GET /banking/v1/accounts/all': this.getAllAccounts,
+      'POST /bill/v2/bills/getBillsTxnHistory': this.getBillsTxnHistory
+    };
+  }
+
+  /**
+   * Listen on a port (0 picks a free one); resolves with the base URL to give the adapter
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        logger.error('Maybank stand-in failed to handle request', { url: req.url, error: error.message });
+        this.send(res, 500, this.springError(500, 'Internal Server Error', error.message, req.url));
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    logger.info('Maybank stand-in listening', { baseUrl: this.baseUrl });
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  get baseUrl() {
+    const address = this.server?.address();
+    return address ? `http://${address.address}:${address.port}` : null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://stand-in');
+    const body = await MaybankStandIn.readBody(req);
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body
+    };
+    this.requests.push(request);
+
+    const route = this.routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      const known = Object.keys(this.routes).some(key => key.endsWith(` ${url.pathname}`));
+      return known
+        ? this.send(res, 405, this.springError(405, 'Method Not Allowed', `Request method '${req.method}' not supported`, url.pathname))
+        : this.send(res, 404, this.springError(404, 'Not Found', 'No message available', url.pathname));
+    }
+
+    const rejection = this.checkAuthorization(req.headers) || this.checkHeaders(req.headers, url.pathname);
+    if (rejection) {
+      return this.send(res, rejection.status, rejection.body);
+    }
+
+    const forced = this.failures[url.pathname];
+    if (forced) {
+      return this.send(res, forced, this.forcedError(forced, url.pathname));
+    }
+
+    const { status = 200, body: responseBody } = route.call(this, request);
+    return this.send(res, status, responseBody);
+  }
+
+  /**
+   * 401 body for a missing, malformed or expired maya-authorization bearer token, or null
+   */
+  checkAuthorization(headers) {
+    const header = headers['maya-authorization'];
+    if (!header) {
+      return this.unauthorized('unauthorized', 'Full authentication is required to access this resource');
+    }
+
+    const match = String(header).match(/^bearer\s+(\S+)$/i);
+    const payload = match ? MaybankStandIn.decodeJwt(match[1]) : null;
+    if (!payload) {
+      return this.unauthorized('invalid_token', 'Cannot convert access token to JSON');
+    }
+    if (this.checkExpiry && typeof payload.exp === 'number' && payload.exp * 1000 <= this.now().getTime()) {
+      return this.unauthorized('invalid_token', 'Access token expired');
+    }
+    return null;
+  }
+
+  // 400 body for a missing or invalid X-APP-* header, or null
+  checkHeaders(headers, requestPath) {
+    const missing = REQUIRED_HEADERS.find(name => headers[name] === undefined);
+    if (missing) {
+      return this.badRequest(`Missing request header '${missing.toUpperCase()}' for method parameter of type String`, requestPath);
+    }
+    if (!PLATFORMS.includes(String(headers['x-app-platform']).toUpperCase())) {
+      return this.badRequest(`Unsupported X-APP-PLATFORM '${headers['x-app-platform']}'`, requestPath);
+    }
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(headers['x-app-session-trace-id'])) {
+      return this.badRequest('X-APP-SESSION-TRACE-ID must be Base64 encoded', requestPath);
+    }
+    return null;
+  }
+
+  getBalance(request) {
+    const missing = this.requireQuery(request, ['isFirstLoad']);
+    if (missing) {
+      return missing;
+    }
+
+    const accounts = this.fixtures.accounts || [];
+    const primary = accounts.find(account => account.primary) || accounts[0];
+    return { body: this.envelope(primary ? this.summaryListing(primary) : null) };
+  }
+
+  getSummary(request) {
+    const missing = this.requireQuery(request, ['type']);
+    if (missing) {
+      return missing;
+    }
+
+    // type=A lists every account; any other value lists accounts of that type
+    const type = request.query.type;
+    const listings = (this.fixtures.accounts || [])
+      .filter(account => type === 'A' || account.type === type)
+      .map(account => this.summaryListing(account));
+    const total = Math.round(listings.reduce((sum, account) => sum + (Number(account.value) || 0), 0) * 100) / 100;
+
+    return {
+      body: this.envelope({
+        total,
+        totalMfca: null,
+        name: 'Accounts',
+        maeAvailable: listings.some(account => account.code === '0Y'),
+        jointAccAvailable: listings.some(account => account.jointAccount),
+        productGroupings: null,
+        accountListings: listings,
+        asnbConsentFlag: null,
+        balCode: null,
+        balDesc: null,
+        balTitle: null,
+        exception: false
+      })
+    };
+  }
+
+  // Unlike the summary endpoints this one answers with a bare array
+  getAllAccounts() {
+    return {
+      body: (this.fixtures.accounts || []).map(account => ({
+        ...this.listing(account),
+        formattedNumber: account.formattedNumber ?? account.number ?? null
+      }))
+    };
+  }
+
+  getBillsTxnHistory(request) {
+    const body = request.body;
+    if (!body || typeof body !== 'object') {
+      return this.badRequest('Required request body is missing', request.path);
+    }
+    const missing = BILL_BODY_FIELDS.find(field => body[field] === undefined || body[field] === null);
+    if (missing) {
+      return this.badRequest(`Validation failed for object='billsTxnHistoryRequest'. Field '${missing}' must not be null`, request.path);
+    }
+
+    // Unknown billers have no history yet, as on the real gateway
+    const biller = (this.fixtures.billers || []).find(candidate =>
+      candidate.payeeCode === body.payeeCode && candidate.billAcctNo === body.billAcctNo) || {};
+
+    return {
+      body: {
+        // A biller fixture may set its own statusCode / statusDesc to reproduce a business error
+        statusCode: biller.statusCode || '0000',
+        statusDesc: biller.statusDesc || 'Successful',
+        populateFromAcctForPayment: null,
+        populateEffectiveDateList: this.effectiveDates(),
+        gstComplianceNotes: 'Please refer to Maybank2u >Accounts & Banking > Banking Fees > Bank fees: Online Bill Payment for list of Billers',
+        ebpp: true,
+        ebppData: {
+          companyHeader: biller.companyHeader || body.fullName,
+          companyUrl: biller.companyUrl || null,
+          compnyImgTitle: biller.companyHeader || body.fullName,
+          svcDownMsg: null,
+          billData: {
+            billerRegisterd: null,
+            biller: null,
+            currentBill: biller.currentBill || [],
+            previousBill: biller.previousBill || []
+          }
+        },
+        message: null,
+        lastThreePayment: biller.lastThreePayment || []
+      }
+    };
+  }
+
+  requireQuery(request, names) {
+    const missing = names.find(name => request.query[name] === undefined);
+    return missing
+      ? this.badRequest(`Required String parameter '${missing}' is not present`, request.path)
+      : null;
+  }
+
+  listing(account) {
+    return { ...LISTING_FIELDS, ...account };
+  }
+
+  // The summary endpoints leave accountType null; only accounts/all fills it in
+  summaryListing(account) {
+    return { ...this.listing(account), accountType: null };
+  }
+
+  envelope(result) {
+    return { message: 'success', code: 0, challenge: null, result };
+  }
+
+  // Payment dates offered by the gateway: today and the following days, Malaysian time
+  effectiveDates() {
+    const today = new Date(this.now().getTime() + 8 * 60 * 60 * 1000);
+    return Array.from({ length: EFFECTIVE_DAYS }, (_, offset) => {
+      const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + offset));
+      const day = String(date.getUTCDate()).padStart(2, '0');
+      const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+      return {
+        text: `${day} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`,
+        value: `${date.getUTCFullYear()}${month}${day}`
+      };
+    });
+  }
+
+  forcedError(status, requestPath) {
+    if (status === 401) {
+      return this.unauthorized('invalid_token', 'Access token expired').body;
+    }
+    if (status === 400) {
+      return this.badRequest('Bad Request', requestPath).body;
+    }
+    return this.springError(status, http.STATUS_CODES[status] || 'Error', 'No message available', requestPath);
+  }
+
+  unauthorized(error, description) {
+    return { status: 401, body: { error, error_description: description } };
+  }
+
+  badRequest(message, requestPath) {
+    return { status: 400, body: this.springError(400, 'Bad Request', message, requestPath) };
+  }
+
+  springError(status, error, message, requestPath) {
+    return { timestamp: this.now().toISOString(), status, error, message, path: requestPath };
+  }
+
+  send(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json;charset=UTF-8',
+      'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+  }
+
+  static async readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (text === '') {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  // JWT payload, or null when the token is not a decodable JWT
+  static decodeJwt(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+    try {
+      const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+      return payload && typeof payload === 'object' ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Run standalone: node src/adapters/maybank-stand-in.js
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const standIn = new MaybankStandIn({
+    fixturesPath: process.env.MAYBANK_STAND_IN_FIXTURES || undefined,
+    checkExpiry: process.env.MAYBANK_STAND_IN_CHECK_EXPIRY !== 'false'
+  });
+  standIn.start(parseInt(process.env.MAYBANK_STAND_IN_PORT) || 4010).catch(error => {
+    console.error('Failed to start Maybank stand-in:', error.message);
+    process.exit(1);
+  });
+}
+
+export default MaybankStandIn;
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Decodes Maybank statuses into a reason the caller can act on
+ *
+ * Maybank reports failures in several places, checked in this order:
+ *
+ *   oauth     { error, error_description }            gateway token errors (401)
+ *   business  { statusCode, statusDesc }              bill APIs, '0000' = success
+ *   envelope  { message, code, result }               banking APIs, code 0 = success
+ *   http      anything else with a 4xx/5xx status, and body codes missing from the catalogue on one
+ *
+ * plus a per-account { statusCode, statusMessage } on account listings ('00' = SUCCESS).
+ *
+ * The codes live in maybank-status-codes.json (or MAYBANK_STATUS_CODES_FILE); each maps
+ * to a category that carries the errorType, retryability and user-facing guidance:
+ *
+ *   {
+ *     source: 'oauth', code: 'invalid_token', category: 'authentication',
+ *     errorType: 'AUTHENTICATION_ERROR', retryable: false,
+ *     description: 'Access token expired',     // Maybank's own text when it sent one
+ *     guidance: 'Sign in to the MAE app again ...',
+ *     message: 'Access token expired (error invalid_token)'
+ *   }
+ *
+ * The business, envelope and account tables start out holding only the success codes seen so far;
+ * codes missing from the file decode to the 'unknown' category with Maybank's text.
+ */
+
+const DEFAULT_STATUS_CODES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'maybank-status-codes.json');
+
+const LOOKUP_TABLES = {
+  oauth: 'oauthErrors',
+  business: 'businessCodes',
+  envelope: 'envelopeCodes',
+  account: 'accountCodes',
+  http: 'httpStatus'
+};
+
+// How each source's code is named in messages
+const CODE_LABELS = {
+  oauth: 'error',
+  business: 'statusCode',
+  envelope: 'code',
+  account: 'statusCode',
+  http: 'HTTP'
+};
+
+export class MaybankStatusCatalogue {
+  constructor(filePath) {
+    this.filePath = filePath || DEFAULT_STATUS_CODES_PATH;
+    this.codes = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    if (!this.codes.categories?.unknown || !this.codes.categories?.success) {
+      throw new Error(`Maybank status codes file ${this.filePath} must define the 'success' and 'unknown' categories`);
+    }
+  }
+
+  /**
+   * Reason for a whole response; status is the HTTP status, body the parsed payload
+   */
+  decodeResponse(status, body) {
+    const failed = status >= 400;
+
+    if (body && typeof body === 'object' && !Array.isArray(body)) {
+      if (body.error && body.error_description) {
+        return this.decode('oauth', body.error, body.error_description);
+      }
+
+      // On a 4xx/5xx a body code only wins when the catalogue knows it as a failure
+      if (body.statusCode !== undefined && body.code === undefined && (!failed || this.isKnownFailure('business', body.statusCode))) {
+        return this.decode('business', body.statusCode, body.statusDesc);
+      }
+
+      if (body.code !== undefined && (!failed || this.isKnownFailure('envelope', body.code))) {
+        return this.decode('envelope', body.code, body.message);
+      }
+    }
+
+    if (failed) {
+      return this.decodeHttp(status, body?.message || body?.statusDesc || body?.error);
+    }
+
+    // A 2xx without status fields (accounts/all is a bare array) is a success
+    return this.decode('envelope', 0);
+  }
+
+  isKnownFailure(source, code) {
+    const entry = code === undefined || code === null ? null : this.codes[LOOKUP_TABLES[source]]?.[String(code)];
+    return !!entry && entry.category !== 'success' && !!this.codes.categories[entry.category];
+  }
+
+  /**
+   * Reason for one account listing's statusCode / statusMessage
+   */
+  decodeAccount(statusCode, statusMessage) {
+    return this.decode('account', statusCode, statusMessage);
+  }
+
+  decodeHttp(status, detail) {
+    return this.decode('http', status, detail);
+  }
+
+  decode(source, code, detail) {
+    const entry = code === undefined || code === null
+      ? null
+      : this.codes[LOOKUP_TABLES[source]]?.[String(code)];
+    const categoryName = entry && this.codes.categories[entry.category] ? entry.category : 'unknown';
+    const category = this.codes.categories[categoryName];
+    const description = detail || entry?.description || 'Unknown Maybank status';
+
+    return {
+      source,
+      code: code === undefined ? null : code,
+      category: categoryName,
+      errorType: category.errorType,
+      retryable: category.retryable,
+      description,
+      guidance: category.guidance,
+      message: code === undefined || code === null ? description : `${description} (${CODE_LABELS[source]} ${code})`
+    };
+  }
+
+  isSuccess(reason) {
+    return reason.category === 'success';
+  }
+}
+
+export default MaybankStatusCatalogue;
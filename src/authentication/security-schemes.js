@@ -0,0 +1,260 @@
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+
+/**
+ * OpenAPI securitySchemes support for the generic request path
+ *
+ * Credentials come from the auth config (server-config `apis`), per spec and
+ * optionally per scheme name:
+ *   apis: {
+ *     news: { apiKey: '...' },
+ *     petstore: {
+ *       schemes: {
+ *         api_key: { apiKey: '...' },
+ *         basicAuth: { username: '...', password: '...' },
+ *         bearerAuth: { token: '...' },
+ *         oauth: { clientId: '...', clientSecret: '...', scopes: ['read'] }
+ *       }
+ *     }
+ *   }
+ * Scheme-level values override the spec-level ones.
+ */
+
+// Refresh OAuth2 tokens this many seconds before the server says they expire
+const TOKEN_EXPIRY_SKEW_SECONDS = 60;
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
+
+export class SecuritySchemes {
+  static getCredentials(specName, schemeName, authConfig) {
+    const specAuth = authConfig?.[specName];
+    if (!specAuth) {
+      return {};
+    }
+    return { ...specAuth, ...(specAuth.schemes?.[schemeName] || {}) };
+  }
+
+  static hasCredentials(scheme, credentials) {
+    switch (scheme.type) {
+      case 'apiKey':
+        return !!credentials.apiKey;
+      case 'http':
+        if (String(scheme.scheme).toLowerCase() === 'basic') {
+          return !!credentials.username && credentials.password !== undefined;
+        }
+        return !!credentials.token;
+      case 'oauth2':
+        return !!credentials.token || !!(credentials.clientId && credentials.clientSecret);
+      case 'openIdConnect':
+        return !!credentials.token;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Pick the security requirement to satisfy for an operation.
+   * Alternatives are tried in order and the first one with credentials for every
+   * scheme wins. Without a declared requirement, every scheme the spec defines
+   * is applied where credentials exist.
+   * Returns [{ schemeName, scheme, scopes, credentials }]
+   */
+  static selectRequirement(operationDetails, authConfig) {
+    const schemes = operationDetails.spec?.components?.securitySchemes || {};
+    const requirements = operationDetails.security ?? operationDetails.spec?.security;
+    const resolve = (schemeName, scopes = []) => ({
+      schemeName,
+      scheme: schemes[schemeName],
+      scopes,
+      credentials: this.getCredentials(operationDetails.specName, schemeName, authConfig)
+    });
+
+    if (!requirements) {
+      return Object.keys(schemes)
+        .map(schemeName => resolve(schemeName))
+        .filter(entry => this.hasCredentials(entry.scheme, entry.credentials));
+    }
+
+    const alternatives = requirements.map(requirement =>
+      Object.entries(requirement)
+        .filter(([schemeName]) => schemes[schemeName])
+        .map(([schemeName, scopes]) => resolve(schemeName, scopes))
+    );
+
+    const satisfied = alternatives.find(entries =>
+      entries.every(entry => this.hasCredentials(entry.scheme, entry.credentials))
+    );
+    if (satisfied) {
+      return satisfied;
+    }
+
+    if (alternatives.length > 0) {
+      logger.warn('No credentials configured for operation security requirement', {
+        spec: operationDetails.specName,
+        operationId: operationDetails.operationId,
+        schemes: requirements.flatMap(requirement => Object.keys(requirement))
+      });
+    }
+    return [];
+  }
+
+  /**
+   * apiKey schemes the configured credentials satisfy, each supplying the parameter it names
+   * (a spec that also declares that parameter, like weather's 'appid', gets it from here)
+   * Returns [{ name, in, apiKey }]
+   */
+  static suppliedParameters(operationDetails, authConfig) {
+    return this.selectRequirement(operationDetails, authConfig)
+      .filter(({ scheme }) => scheme.type === 'apiKey')
+      .map(({ scheme, credentials }) => ({ name: scheme.name, in: scheme.in, apiKey: credentials.apiKey }));
+  }
+
+  /**
+   * Apply credentials to an axios request config.
+   * oauthTokens maps scheme names to access tokens fetched by OAuth2TokenCache.
+   */
+  static apply(requestConfig, operationDetails, authConfig, oauthTokens = {}) {
+    for (const { schemeName, scheme, credentials } of this.selectRequirement(operationDetails, authConfig)) {
+      switch (scheme.type) {
+        case 'apiKey':
+          this.applyApiKey(requestConfig, scheme, credentials.apiKey);
+          break;
+        case 'http':
+          requestConfig.headers.Authorization = this.httpAuthorization(scheme, credentials);
+          break;
+        case 'oauth2':
+        case 'openIdConnect': {
+          const token = credentials.token || oauthTokens[schemeName];
+          if (token) {
+            requestConfig.headers.Authorization = `Bearer ${token}`;
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  static applyApiKey(requestConfig, scheme, apiKey) {
+    switch (scheme.in) {
+      case 'query':
+        requestConfig.params[scheme.name] = apiKey;
+        break;
+      case 'header':
+        requestConfig.headers[scheme.name] = apiKey;
+        break;
+      case 'cookie':
+        this.appendCookie(requestConfig.headers, scheme.name, apiKey);
+        break;
+    }
+  }
+
+  static httpAuthorization(scheme, credentials) {
+    const schemeName = String(scheme.scheme || 'bearer').toLowerCase();
+
+    if (schemeName === 'basic') {
+      const encoded = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+      return `Basic ${encoded}`;
+    }
+    if (schemeName === 'bearer') {
+      return `Bearer ${credentials.token}`;
+    }
+    // Other IANA schemes carry the configured token as-is
+    return `${scheme.scheme} ${credentials.token}`;
+  }
+
+  static appendCookie(headers, name, value) {
+    const cookie = `${name}=${encodeURIComponent(value)}`;
+    headers.Cookie = headers.Cookie ? `${headers.Cookie}; ${cookie}` : cookie;
+  }
+}
+
+/**
+ * OAuth2 client-credentials tokens, cached until shortly before they expire
+ */
+export class OAuth2TokenCache {
+  // send(config) performs the token request and resolves like axios.request
+  constructor(send = config => axios.request(config)) {
+    this.send = send;
+    this.tokens = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Fetch (or reuse) tokens for every client-credentials scheme the operation needs
+   * Returns { [schemeName]: accessToken }
+   */
+  async resolveTokens(operationDetails, authConfig) {
+    const tokens = {};
+
+    for (const entry of SecuritySchemes.selectRequirement(operationDetails, authConfig)) {
+      if (entry.scheme.type === 'oauth2' && !entry.credentials.token) {
+        tokens[entry.schemeName] = await this.getToken(operationDetails.specName, entry);
+      }
+    }
+
+    return tokens;
+  }
+
+  async getToken(specName, { schemeName, scheme, scopes, credentials }) {
+    const tokenUrl = credentials.tokenUrl || scheme.flows?.clientCredentials?.tokenUrl;
+    if (!tokenUrl) {
+      throw new Error(`OAuth2 scheme '${schemeName}' of ${specName} has no clientCredentials tokenUrl`);
+    }
+
+    const scopeList = credentials.scopes || scopes || [];
+    const cacheKey = [specName, schemeName, credentials.clientId, scopeList.join(' ')].join('|');
+
+    const cached = this.tokens.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.accessToken;
+    }
+
+    // Concurrent calls share one token request
+    if (!this.pending.has(cacheKey)) {
+      const request = this.requestToken(tokenUrl, credentials, scopeList)
+        .then(token => {
+          this.tokens.set(cacheKey, token);
+          logger.info('OAuth2 access token acquired', { spec: specName, scheme: schemeName });
+          return token.accessToken;
+        })
+        .finally(() => this.pending.delete(cacheKey));
+      this.pending.set(cacheKey, request);
+    }
+
+    return this.pending.get(cacheKey);
+  }
+
+  async requestToken(tokenUrl, credentials, scopeList) {
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' };
+
+    if (scopeList.length > 0) {
+      form.set('scope', scopeList.join(' '));
+    }
+
+    // client_secret_basic unless the provider wants the secret in the form body
+    if (credentials.clientAuthentication === 'post') {
+      form.set('client_id', credentials.clientId);
+      form.set('client_secret', credentials.clientSecret);
+    } else {
+      const encoded = Buffer.from(`${credentials.clientId}:${credentials.clientSecret}`).toString('base64');
+      headers.Authorization = `Basic ${encoded}`;
+    }
+
+    const response = await this.send({ method: 'post', url: tokenUrl, data: form.toString(), headers });
+    const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+
+    if (!accessToken) {
+      throw new Error(`Token endpoint ${tokenUrl} returned no access_token`);
+    }
+
+    const lifetime = Number(expiresIn) || DEFAULT_TOKEN_LIFETIME_SECONDS;
+    return {
+      accessToken,
+      expiresAt: Date.now() + Math.max(lifetime - TOKEN_EXPIRY_SKEW_SECONDS, 0) * 1000
+    };
+  }
+
+  clear() {
+    this.tokens.clear();
+  }
+}
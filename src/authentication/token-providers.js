@@ -0,0 +1,170 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { JWTManager } from './jwt-manager.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Where a Maybank request gets its JWT from, first match wins:
+ *
+ *   argument     the jwtToken passed with the tool call or executor options
+ *   session      a token remembered for the caller's sessionId
+ *   environment  process.env[envVar] (MAYBANK_JWT_TOKEN)
+ *   file         an encrypted token file (see TokenProviderChain.writeTokenFile)
+ *
+ * Settings (server-config `maybank.tokens`):
+ *   {
+ *     sources: ['argument', 'session', 'environment', 'file'],  // order; custom { name, getToken(context) } allowed
+ *     envVar, tokenFile, tokenFileKey,
+ *     refreshWindowSeconds                                       // warn when a token expires within this window
+ *   }
+ *
+ * The first source that has a token decides: an expired or malformed token is an
+ * error, never a reason to try the next source, so a request cannot silently go
+ * out under somebody else's identity.
+ */
+
+export const TOKEN_SOURCES = ['argument', 'session', 'environment', 'file'];
+
+const TOKEN_FILE_ALGORITHM = 'aes-256-gcm';
+
+export class TokenProviderChain {
+  constructor(settings = {}, jwtManager = new JWTManager()) {
+    this.jwtManager = jwtManager;
+    this.envVar = settings.envVar || 'MAYBANK_JWT_TOKEN';
+    this.tokenFile = settings.tokenFile || null;
+    this.tokenFileKey = settings.tokenFileKey || null;
+    this.refreshWindowSeconds = settings.refreshWindowSeconds ?? jwtManager.config.gracePeriod;
+    // sessionId -> token encrypted with the JWT manager's storage key
+    this.sessionTokens = new Map();
+
+    const builtIn = {
+      argument: context => context.jwtToken || null,
+      session: context => this.fromSession(context.sessionId),
+      environment: () => process.env[this.envVar] || null,
+      file: () => this.fromFile()
+    };
+    this.providers = (settings.sources || TOKEN_SOURCES).map(source => {
+      if (typeof source === 'object' && typeof source.getToken === 'function') {
+        return { name: source.name || 'custom', getToken: context => source.getToken(context) };
+      }
+      if (!builtIn[source]) {
+        throw new Error(`Unknown token source '${source}' (expected one of: ${TOKEN_SOURCES.join(', ')})`);
+      }
+      return { name: source, getToken: builtIn[source] };
+    });
+  }
+
+  /**
+   * Token for a request: { token, source, expiresAt, expiringSoon }
+   * @param {Object} context - { jwtToken, sessionId }
+   */
+  async resolve(context = {}) {
+    for (const provider of this.providers) {
+      const raw = await provider.getToken(context);
+      if (!raw) {
+        continue;
+      }
+
+      const token = TokenProviderChain.stripBearer(raw);
+      const validation = await this.jwtManager.validateMaybankToken(token);
+      if (!validation.isValid) {
+        throw TokenProviderChain.tokenError(
+          validation.reason === 'Token has expired' ? 'ERR_TOKEN_EXPIRED' : 'ERR_TOKEN_INVALID',
+          `Maybank token from ${provider.name} is not usable: ${validation.reason}`,
+          provider.name
+        );
+      }
+
+      const expiringSoon = validation.expiresAt !== null &&
+        validation.expiresAt - Date.now() < this.refreshWindowSeconds * 1000;
+      if (expiringSoon) {
+        logger.warn('Maybank token expires soon; ask the user for a fresh one', {
+          source: provider.name,
+          expiresAt: new Date(validation.expiresAt).toISOString()
+        });
+      }
+
+      // A token given for a session serves the session's later calls too
+      if (provider.name === 'argument' && context.sessionId) {
+        this.rememberForSession(context.sessionId, token);
+      }
+
+      return { token, source: provider.name, expiresAt: validation.expiresAt, expiringSoon };
+    }
+
+    throw TokenProviderChain.tokenError(
+      'ERR_TOKEN_MISSING',
+      `No Maybank token available (checked: ${this.providers.map(provider => provider.name).join(', ')}). ` +
+        `Pass jwtToken, set ${this.envVar} or configure an encrypted token file.`,
+      null
+    );
+  }
+
+  rememberForSession(sessionId, token) {
+    this.sessionTokens.set(sessionId, this.jwtManager.encryptToken(token));
+  }
+
+  forgetSession(sessionId) {
+    return this.sessionTokens.delete(sessionId);
+  }
+
+  fromSession(sessionId) {
+    const stored = sessionId ? this.sessionTokens.get(sessionId) : null;
+    return stored ? this.jwtManager.decryptToken(stored) : null;
+  }
+
+  fromFile() {
+    if (!this.tokenFile || !fs.existsSync(this.tokenFile)) {
+      return null;
+    }
+    if (!this.tokenFileKey) {
+      throw TokenProviderChain.tokenError('ERR_TOKEN_INVALID', `Token file ${this.tokenFile} is set but no key to decrypt it`, 'file');
+    }
+
+    try {
+      return TokenProviderChain.readTokenFile(this.tokenFile, this.tokenFileKey);
+    } catch (error) {
+      throw TokenProviderChain.tokenError('ERR_TOKEN_INVALID', `Cannot decrypt token file ${this.tokenFile}: ${error.message}`, 'file');
+    }
+  }
+
+  /**
+   * Write a token encrypted with a passphrase (AES-256-GCM, scrypt-derived key)
+   */
+  static writeTokenFile(filePath, token, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(TOKEN_FILE_ALGORITHM, crypto.scryptSync(passphrase, salt, 32), iv);
+    const data = Buffer.concat([cipher.update(TokenProviderChain.stripBearer(token), 'utf8'), cipher.final()]);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+      algorithm: TOKEN_FILE_ALGORITHM,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, null, 2), { mode: 0o600 });
+  }
+
+  static readTokenFile(filePath, passphrase) {
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const decipher = crypto.createDecipheriv(
+      TOKEN_FILE_ALGORITHM,
+      crypto.scryptSync(passphrase, Buffer.from(stored.salt, 'base64'), 32),
+      Buffer.from(stored.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  static stripBearer(token) {
+    return String(token).trim().replace(/^bearer\s+/i, '');
+  }
+
+  static tokenError(code, message, source) {
+    const error = new Error(message);
+    error.code = code;
+    error.tokenSource = source;
+    return error;
+  }
+}
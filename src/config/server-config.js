@@ -1,10 +1,68 @@
 import dotenv from 'dotenv';
+import path from 'path';
 
 // Load environment variables
 dotenv.config();
 
+// Read '--name value' or '--name=value' from the command line
+function getCliArgument(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) {
+      return args[i + 1];
+    }
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].slice(name.length + 3);
+    }
+  }
+  return undefined;
+}
+
+// Collect API_SERVER_URL_<SPEC> environment overrides into per-spec server selections
+function getServerUrlOverrides() {
+  const overrides = {};
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^API_SERVER_URL_(.+)$/);
+    if (match && value) {
+      overrides[match[1].toLowerCase()] = { url: value };
+    }
+  }
+  return overrides;
+}
+
+// Credential fields settable as API_AUTH_<SPEC>_<FIELD>, e.g. API_AUTH_PETSTORE_CLIENT_SECRET
+const AUTH_ENV_FIELDS = {
+  API_KEY: 'apiKey',
+  TOKEN: 'token',
+  USERNAME: 'username',
+  PASSWORD: 'password',
+  CLIENT_ID: 'clientId',
+  CLIENT_SECRET: 'clientSecret',
+  TOKEN_URL: 'tokenUrl',
+  SCOPES: 'scopes'
+};
+
+// Merge API_AUTH_<SPEC>_<FIELD> environment credentials into the per-spec auth config
+function withAuthOverrides(apis) {
+  const fieldPattern = Object.keys(AUTH_ENV_FIELDS).join('|');
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(new RegExp(`^API_AUTH_(.+)_(${fieldPattern})$`));
+    if (!match || !value) {
+      continue;
+    }
+    const specName = match[1].toLowerCase();
+    const field = AUTH_ENV_FIELDS[match[2]];
+    apis[specName] = apis[specName] || {};
+    apis[specName][field] = field === 'scopes' ? value.split(/[\s,]+/).filter(Boolean) : value;
+  }
+  return apis;
+}
+
 export const config = {
-  apis: {
+  // Per-spec credentials for OpenAPI security schemes: apiKey, token, username/password,
+  // clientId/clientSecret (OAuth2 client credentials), and optional per-scheme overrides
+  // under `schemes: { [schemeName]: { ... } }`
+  apis: withAuthOverrides({
     weather: {
       apiKey: "36fcb595558ae810c4f2aee5557a183e",// process.env.WEATHER_API_KEY,
       timeout: parseInt(process.env.DEFAULT_TIMEOUT) || 10000,
@@ -30,7 +88,149 @@ export const config = {
       timeout: parseInt(process.env.DEFAULT_TIMEOUT) || 10000,
       retries: parseInt(process.env.MAX_RETRIES) || 3
     }
+  }),
+  registry: {
+    // 'error' | 'last-wins' | 'namespace' (e.g. maybank__get_banking_summary)
+    operationCollisionPolicy: process.env.OPERATION_COLLISION_POLICY || 'namespace',
+    watchSpecs: process.env.WATCH_SPECS !== 'false'
+  },
+  // Server selection per spec/operation: { url, index, description, environment, variables }.
+  // API_ENVIRONMENT picks e.g. the 'staging' or 'sandbox' server wherever a spec lists one;
+  // API_SERVER_URL_<SPEC> (e.g. API_SERVER_URL_MAYBANK=http://localhost:4010) points a spec at a stand-in.
+  servers: {
+    environment: process.env.API_ENVIRONMENT || null,
+    variables: {},
+    specs: getServerUrlOverrides(),
+    operations: {}
+  },
+  // Maybank JWT sources, in order: the jwtToken tool argument, a token remembered for the session,
+  // MAYBANK_JWT_TOKEN, then MAYBANK_TOKEN_FILE decrypted with MAYBANK_TOKEN_FILE_KEY.
+  // Expired tokens fail the call; tokens expiring within refreshWindowSeconds log a warning.
+  maybank: {
+    tokens: {
+      sources: ['argument', 'session', 'environment', 'file'],
+      envVar: 'MAYBANK_JWT_TOKEN',
+      tokenFile: process.env.MAYBANK_TOKEN_FILE ? path.resolve(process.env.MAYBANK_TOKEN_FILE) : null,
+      tokenFileKey: process.env.MAYBANK_TOKEN_FILE_KEY || null,
+      refreshWindowSeconds: parseInt(process.env.MAYBANK_TOKEN_REFRESH_WINDOW_SECONDS) || 300
+    },
+    // Business, account and HTTP status codes with their category, retryability and guidance
+    // (defaults to src/adapters/maybank-status-codes.json)
+    statusCodesFile: process.env.MAYBANK_STATUS_CODES_FILE ? path.resolve(process.env.MAYBANK_STATUS_CODES_FILE) : null,
+    // Rules sorting account listings into wallet, savings, current, fixed deposit, card, loan, gold and unit trust
+    // (defaults to src/adapters/maybank-account-categories.json)
+    accountCategoriesFile: process.env.MAYBANK_ACCOUNT_CATEGORIES_FILE ? path.resolve(process.env.MAYBANK_ACCOUNT_CATEGORIES_FILE) : null
+  },
+  // Upstream response validation against OpenAPI response schemas: off | warn | strict.
+  // specs/operations map a spec name or operationId to its own mode.
+  responseValidation: {
+    mode: process.env.RESPONSE_VALIDATION_MODE || 'warn',
+    specs: {},
+    operations: {}
+  },
+  // Retries for transient upstream failures. The retry count per API is apis.<spec>.retries;
+  // specs/operations override any setting below for one spec or operation (e.g. maxRetries: 0).
+  // POST/PATCH are only retried when the request carries the idempotency header.
+  retry: {
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 250,
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 8000,
+    jitter: process.env.RETRY_JITTER !== 'false',
+    retryOnStatus: [408, 425, 429, 500, 502, 503, 504],
+    retryOnErrorCodes: ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'],
+    idempotencyHeader: 'Idempotency-Key',
+    maxRetryAfterMs: 30000,
+    specs: {},
+    operations: {}
+  },
+  // Client-side limits per API. rate is a token bucket (requests per intervalMs, burst capacity,
+  // maxWaitMs a call may queue); quota counts requests per UTC day/month and persists to statePath.
+  rateLimits: {
+    statePath: process.env.QUOTA_STATE_PATH || path.resolve('.cache', 'quota-state.json'),
+    apis: {
+      news: {
+        rate: { requests: 1, intervalMs: 1000, burst: 5, maxWaitMs: 5000 },
+        quota: { daily: parseInt(process.env.NEWS_DAILY_QUOTA) || 100 }
+      },
+      geolocation: {
+        rate: { requests: 1, intervalMs: 1000, burst: 3, maxWaitMs: 5000 },
+        quota: {
+          daily: parseInt(process.env.GEOLOCATION_DAILY_QUOTA) || 1000,
+          monthly: parseInt(process.env.GEOLOCATION_MONTHLY_QUOTA) || 30000
+        }
+      },
+      maybank: {
+        rate: { requests: 2, intervalMs: 1000, burst: 2, maxWaitMs: 10000 }
+      },
+      // Same Maybank gateway as the maybank spec
+      accounts: { sharedWith: 'maybank' },
+      bill: { sharedWith: 'maybank' }
+    }
+  },
+  // Pagination for list operations declared with x-pagination (or here, per operation).
+  // Tool calls fetch one page unless they pass maxPages; maxPagesLimit caps any single call.
+  pagination: {
+    maxPagesLimit: parseInt(process.env.PAGINATION_MAX_PAGES) || 10,
+    operations: {}
+  },
+  // Record/replay of upstream HTTP traffic for offline tests: off | record | replay.
+  // Replay matches on the listed request parts (method, url, host, path, query, body);
+  // strict replay fails requests that have no recording instead of sending them.
+  cassette: {
+    mode: process.env.CASSETTE_MODE || 'off',
+    dir: path.resolve(process.env.CASSETTE_DIR || 'cassettes'),
+    name: process.env.CASSETTE_NAME || 'default',
+    match: (process.env.CASSETTE_MATCH || 'method,url,body').split(',').map(matcher => matcher.trim()),
+    strict: process.env.CASSETTE_STRICT === 'true',
+    ignoreBodyFields: []
+  },
+  // Offline upstream answering every registered operation from its response examples/schema.
+  // scenarios map a toolName/operationId ('*' for all) to { status, body, headers, delayMs, empty, times }.
+  mock: {
+    enabled: process.env.MOCK_UPSTREAM === 'true',
+    seed: process.env.MOCK_SEED || 'phoenix',
+    stateful: process.env.MOCK_STATEFUL === 'true',
+    delayMs: parseInt(process.env.MOCK_DELAY_MS) || 0,
+    passthrough: false,
+    scenarios: {}
+  },
+  // Markdown rendering of tool results (layout per operation via x-format in the spec)
+  formatting: {
+    maxTextLength: parseInt(process.env.FORMAT_MAX_TEXT_LENGTH) || 280,
+    maxTableRows: parseInt(process.env.FORMAT_MAX_TABLE_ROWS) || 25,
+    locale: process.env.FORMAT_LOCALE || 'en-US'
+  },
+  // multipart/form-data file fields (format: binary) take local paths, which must be inside this directory
+  uploads: {
+    rootDir: path.resolve(process.env.UPLOAD_DIR || 'uploads')
+  },
+  // Named tool exposure profiles; select with --profile <name> or TOOL_PROFILE.
+  // include: every listed criterion must match (values within a criterion are OR'ed)
+  // exclude: any matching criterion hides the operation
+  // Criteria: specs, tags, methods, operations (globs on tool name or operationId),
+  // tools (globs on non-operation tools such as workflow tools and maybank_interactive)
+  toolProfiles: {
+    all: {
+      description: 'Every registered operation and tool'
+    },
+    'read-only-banking': {
+      description: 'Maybank and banking read operations only',
+      include: {
+        specs: ['maybank', 'accounts', 'bill', 'banking'],
+        tools: ['maybank_interactive', 'search_operations', 'list_workflows']
+      },
+      exclude: {
+        methods: ['POST', 'PUT', 'PATCH', 'DELETE']
+      }
+    },
+    travel: {
+      description: 'Weather, currency, location and news for trip planning',
+      include: {
+        specs: ['weather', 'currency', 'geolocation', 'news'],
+        tools: ['execute_workflow', 'plan_workflow', 'list_workflows', 'suggest_workflows', 'search_operations']
+      }
+    }
   },
+  activeToolProfile: getCliArgument('profile') || process.env.TOOL_PROFILE || 'all',
   server: {
     name: process.env.MCP_SERVER_NAME || 'api-gateway',
     version: process.env.MCP_SERVER_VERSION || '1.0.0',
@@ -73,6 +273,29 @@ export function validateConfig() {
     config.server.logLevel = 'info';
   }
   
+  // Validate operation collision policy
+  const validCollisionPolicies = ['error', 'last-wins', 'namespace'];
+  if (!validCollisionPolicies.includes(config.registry.operationCollisionPolicy)) {
+    errors.push(`OPERATION_COLLISION_POLICY must be one of: ${validCollisionPolicies.join(', ')}`);
+  }
+  
+  // Validate response validation mode
+  const validResponseValidationModes = ['off', 'warn', 'strict'];
+  if (!validResponseValidationModes.includes(config.responseValidation.mode)) {
+    errors.push(`RESPONSE_VALIDATION_MODE must be one of: ${validResponseValidationModes.join(', ')}`);
+  }
+  
+  // Validate cassette mode
+  const validCassetteModes = ['off', 'record', 'replay'];
+  if (!validCassetteModes.includes(config.cassette.mode)) {
+    errors.push(`CASSETTE_MODE must be one of: ${validCassetteModes.join(', ')}`);
+  }
+  
+  // Validate selected tool profile
+  if (!config.toolProfiles[config.activeToolProfile]) {
+    errors.push(`Unknown tool profile '${config.activeToolProfile}' (available: ${Object.keys(config.toolProfiles).join(', ')})`);
+  }
+  
   // Validate server name
   if (!config.server.name || config.server.name.trim().length === 0) {
     errors.push('MCP_SERVER_NAME cannot be empty');
@@ -131,6 +354,16 @@ export function getConfigSummary() {
       version: config.server.version,
       logLevel: config.server.logLevel
     },
+    toolProfile: config.activeToolProfile,
+    responseValidationMode: config.responseValidation.mode,
+    servers: {
+      environment: config.servers.environment,
+      overriddenSpecs: Object.keys(config.servers.specs)
+    },
+    registry: {
+      operationCollisionPolicy: config.registry.operationCollisionPolicy,
+      watchSpecs: config.registry.watchSpecs
+    },
     apis: {
       weather: {
         configured: isApiConfigured('weather'),
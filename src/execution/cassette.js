@@ -0,0 +1,307 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Record/replay of upstream HTTP traffic ("cassettes") for offline tests
+ *
+ * Settings (server-config `cassette`):
+ *   {
+ *     mode: 'off' | 'record' | 'replay',
+ *     dir, name,                       // cassette file: <dir>/<name>.json
+ *     match: ['method', 'url', 'body'],// request matchers, see MATCHERS; functions (recorded, request) => boolean also work
+ *     strict,                          // replay: fail unmatched requests instead of sending them upstream
+ *     ignoreBodyFields: ['timestamp'], // body fields left out of body matching (nonces, clocks)
+ *     scrubFields: []                  // extra field/header/query names whose values are redacted
+ *   }
+ *
+ * Record mode starts the cassette afresh and writes every interaction, sanitized:
+ * JWTs, account/card numbers, credentials from the auth config and sensitive
+ * headers, query parameters and body fields never reach the file. Account numbers
+ * become a hash-based placeholder, so different accounts stay distinct. Incoming
+ * requests are sanitized the same way before matching, so replay is unaffected.
+ */
+
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+const MATCHERS = {
+  method: (recorded, request) => recorded.method === request.method,
+  url: (recorded, request) => recorded.url === request.url,
+  host: (recorded, request) => new URL(recorded.url).host === new URL(request.url).host,
+  path: (recorded, request) => new URL(recorded.url).pathname === new URL(request.url).pathname,
+  query: (recorded, request) => new URL(recorded.url).search === new URL(request.url).search,
+  body: (recorded, request) => recorded.bodyKey === request.bodyKey
+};
+
+const SENSITIVE_NAME = /^(proxy-)?authorization$|token|secret|password|passwd|api[-_]?key|^appid$|cookie|jwt|signature|session[-_]?id|credential|^pin$|^otp$/i;
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+// Account and card numbers: 10-19 digits, optionally grouped with spaces or dashes
+const ACCOUNT_NUMBER_PATTERN = /\b\d(?:[ -]?\d){9,18}\b/g;
+// Fields whose numeric values are account or card numbers (other long numbers, e.g. epoch times, are kept)
+const ACCOUNT_FIELD_NAME = /acc(oun)?t|card|number|^pan$|iban/i;
+const REDACTED = '[REDACTED]';
+
+export class Cassette {
+  constructor(settings = {}, authConfig = {}) {
+    this.mode = settings.mode || 'off';
+    if (!CASSETTE_MODES.includes(this.mode)) {
+      throw new Error(`Invalid cassette mode '${this.mode}' (expected one of: ${CASSETTE_MODES.join(', ')})`);
+    }
+
+    this.filePath = path.join(settings.dir || 'cassettes', `${settings.name || 'default'}.json`);
+    this.strict = settings.strict === true;
+    this.ignoreBodyFields = settings.ignoreBodyFields || [];
+    this.scrubFields = settings.scrubFields || [];
+    this.matchers = (settings.match || ['method', 'url', 'body']).map(matcher => {
+      if (typeof matcher === 'function') {
+        return matcher;
+      }
+      if (!MATCHERS[matcher]) {
+        throw new Error(`Unknown cassette matcher '${matcher}' (expected one of: ${Object.keys(MATCHERS).join(', ')})`);
+      }
+      return MATCHERS[matcher];
+    });
+
+    // Configured credentials are scrubbed wherever they appear, longest first
+    this.secrets = Cassette.collectSecrets(authConfig).sort((a, b) => b.length - a.length);
+    this.interactions = this.mode === 'replay' ? this.load() : [];
+    this.matchKeys = this.interactions.map(interaction => this.bodyKey(interaction.request.body));
+    this.used = new Set();
+  }
+
+  /**
+   * Send an axios request config through the cassette; send(config) performs the real request.
+   * Resolves or rejects like axios does, so callers keep their own error handling.
+   */
+  async request(requestConfig, send) {
+    if (this.mode === 'replay') {
+      return this.replay(requestConfig, send);
+    }
+    if (this.mode === 'record') {
+      return this.record(requestConfig, send);
+    }
+    return send(requestConfig);
+  }
+
+  async replay(requestConfig, send) {
+    const request = this.describeRequest(requestConfig);
+    request.bodyKey = this.bodyKey(request.body);
+    const matches = this.interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(({ interaction, index }) => {
+        const recorded = { ...interaction.request, bodyKey: this.matchKeys[index] };
+        return this.matchers.every(matcher => matcher(recorded, request));
+      });
+
+    // Serve recordings in order; once all are used the last one repeats
+    const match = matches.find(({ index }) => !this.used.has(index)) || matches[matches.length - 1];
+
+    if (!match) {
+      if (this.strict) {
+        const error = new Error(`No cassette recording matches ${request.method} ${request.url} in ${this.filePath}`);
+        error.code = 'ERR_CASSETTE_UNMATCHED';
+        throw error;
+      }
+      logger.warn('No cassette recording matches request, sending it upstream', { method: request.method, url: request.url });
+      return send(requestConfig);
+    }
+
+    this.used.add(match.index);
+    logger.debug('Replaying cassette recording', { method: request.method, url: request.url, index: match.index });
+    return Cassette.toAxiosOutcome(match.interaction, requestConfig);
+  }
+
+  async record(requestConfig, send) {
+    const request = this.describeRequest(requestConfig);
+
+    try {
+      const response = await send(requestConfig);
+      this.save({ request, response: this.describeResponse(response) });
+      return response;
+    } catch (error) {
+      this.save(error.response
+        ? { request, response: this.describeResponse(error.response) }
+        : { request, error: { code: error.code || null, message: this.scrubString(error.message) } });
+      throw error;
+    }
+  }
+
+  // Turn a recorded interaction back into what axios would have resolved or thrown
+  static toAxiosOutcome(interaction, requestConfig) {
+    if (interaction.error) {
+      const error = new Error(interaction.error.message);
+      error.code = interaction.error.code || undefined;
+      error.config = requestConfig;
+      throw error;
+    }
+
+    const response = {
+      status: interaction.response.status,
+      statusText: interaction.response.statusText,
+      headers: interaction.response.headers,
+      data: structuredClone(interaction.response.body),
+      config: requestConfig
+    };
+
+    const validateStatus = requestConfig.validateStatus ?? (status => status >= 200 && status < 300);
+    if (validateStatus && !validateStatus(response.status)) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.code = response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST';
+      error.config = requestConfig;
+      error.response = response;
+      throw error;
+    }
+    return response;
+  }
+
+  describeRequest(requestConfig) {
+    return {
+      method: String(requestConfig.method || 'get').toUpperCase(),
+      url: this.scrubUrl(axios.getUri(requestConfig)),
+      headers: this.scrubHeaders(requestConfig.headers),
+      body: this.scrub(this.normalizeBody(requestConfig.data))
+    };
+  }
+
+  // Body compared by the 'body' matcher: key order and ignored fields don't count
+  bodyKey(body) {
+    return Cassette.stableStringify(this.withoutFields(body, this.ignoreBodyFields));
+  }
+
+  describeResponse(response) {
+    return {
+      status: response.status,
+      statusText: response.statusText || '',
+      headers: this.scrubHeaders(response.headers),
+      body: this.scrub(this.normalizeBody(response.data))
+    };
+  }
+
+  // JSON-safe copy of a request or response body
+  normalizeBody(data) {
+    if (data === undefined || data === null) {
+      return null;
+    }
+    if (typeof FormData !== 'undefined' && data instanceof FormData) {
+      return { multipart: [...data.entries()].map(([name, value]) => [name, typeof value === 'string' ? value : '[file]']) };
+    }
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      return { base64: Buffer.from(data).toString('base64') };
+    }
+    if (typeof data === 'string') {
+      try {
+        return JSON.parse(data);
+      } catch {
+        return data;
+      }
+    }
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  scrub(value, key = null) {
+    if (key !== null && this.isSensitiveName(key) && value !== null && typeof value !== 'object') {
+      return REDACTED;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.scrub(item, key));
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.scrub(item, name)]));
+    }
+    if (typeof value === 'number' && key !== null && ACCOUNT_FIELD_NAME.test(key) && Number.isInteger(value)) {
+      return this.scrubString(String(value));
+    }
+    return typeof value === 'string' ? this.scrubString(value) : value;
+  }
+
+  scrubString(text) {
+    let scrubbed = String(text);
+    for (const secret of this.secrets) {
+      scrubbed = scrubbed.split(secret).join(REDACTED);
+    }
+    return scrubbed
+      .replace(JWT_PATTERN, '[JWT]')
+      .replace(ACCOUNT_NUMBER_PATTERN, match => Cassette.accountPlaceholder(match));
+  }
+
+  // Same number, same placeholder, so replay still tells accounts apart; the digits themselves are not kept
+  static accountPlaceholder(number) {
+    const digest = crypto.createHash('sha256').update(number.replace(/\D/g, '')).digest('hex');
+    return `[ACCOUNT-${digest.slice(0, 8)}]`;
+  }
+
+  scrubUrl(url) {
+    const parsed = new URL(url);
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (this.isSensitiveName(name)) {
+        parsed.searchParams.set(name, REDACTED);
+      }
+    }
+    return this.scrubString(decodeURI(parsed.toString()));
+  }
+
+  scrubHeaders(headers = {}) {
+    const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    return Object.fromEntries(Object.entries(plain)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => [
+        name,
+        this.isSensitiveName(name) || name.toLowerCase() === 'set-cookie' ? REDACTED : this.scrubString(value)
+      ]));
+  }
+
+  isSensitiveName(name) {
+    return SENSITIVE_NAME.test(name) || this.scrubFields.includes(name);
+  }
+
+  withoutFields(body, fields) {
+    if (fields.length === 0 || body === null || typeof body !== 'object') {
+      return body;
+    }
+    if (Array.isArray(body)) {
+      return body.map(item => this.withoutFields(item, fields));
+    }
+    return Object.fromEntries(Object.entries(body)
+      .filter(([name]) => !fields.includes(name))
+      .map(([name, value]) => [name, this.withoutFields(value, fields)]));
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      logger.warn('Cassette file not found; every request is unmatched', { path: this.filePath });
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).interactions || [];
+  }
+
+  save(interaction) {
+    this.interactions.push({ ...interaction, recordedAt: new Date().toISOString() });
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ interactions: this.interactions }, null, 2));
+  }
+
+  // String credentials anywhere in the auth config (apiKey, token, clientSecret, ...)
+  static collectSecrets(authConfig, found = []) {
+    for (const [name, value] of Object.entries(authConfig || {})) {
+      if (typeof value === 'string' && value.length >= 6 && SENSITIVE_NAME.test(name)) {
+        found.push(value);
+      } else if (value && typeof value === 'object') {
+        Cassette.collectSecrets(value, found);
+      }
+    }
+    return found;
+  }
+
+  // JSON with sorted keys so body matching ignores key order
+  static stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => Cassette.stableStringify(item)).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${Cassette.stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+  }
+}
@@ -1,13 +1,35 @@
 import axios from 'axios';
 import { RequestBuilder } from './request-builder.js';
+import { ResponseValidator } from './response-validator.js';
+import { ResponseFormatter } from './response-formatter.js';
+import { RetryPolicy } from './retry-policy.js';
+import { RateLimiter } from './rate-limiter.js';
+import { Paginator } from './paginator.js';
+import { Cassette } from './cassette.js';
+import { MockUpstream } from './mock-upstream.js';
+import { ResultSelector } from './result-selector.js';
+import { PerformanceMonitor } from './performance-monitor.js';
 import { MaybankAdapter } from '../adapters/maybank-adapter.js';
 import { JWTManager } from '../authentication/jwt-manager.js';
+import { OAuth2TokenCache } from '../authentication/security-schemes.js';
 import { logger } from '../utils/logger.js';
 
 export class ApiExecutor {
-  constructor(registry, authConfig) {
+  constructor(registry, authConfig, options = {}) {
     this.registry = registry;
     this.authConfig = authConfig;
+    this.serverSelection = options.serverSelection || null;
+    this.uploadRoot = options.uploadRoot || null;
+    // Tool-profile check; applies to calls from workflows and the interactive tool as well
+    this.operationFilter = options.operationFilter || null;
+    this.responseValidator = new ResponseValidator(options.responseValidation);
+    this.responseFormatter = new ResponseFormatter(options.formatting);
+    this.retryPolicy = new RetryPolicy(options.retry, authConfig);
+    this.rateLimiter = new RateLimiter(options.rateLimits);
+    this.paginationConfig = options.pagination || {};
+    this.cassette = new Cassette(options.cassette, authConfig);
+    this.mockUpstream = new MockUpstream(options.mock, registry);
+    this.performanceMonitor = options.performanceMonitor || new PerformanceMonitor();
     this.httpClient = axios.create({
       timeout: 30000,  // 30 second timeout for banking operations
       headers: {
@@ -15,10 +37,13 @@ export class ApiExecutor {
       }
     });
     
-    // Initialize Maybank adapter and JWT manager
-    this.maybankAdapter = new MaybankAdapter();
+    // Initialize Maybank adapter (it resolves each caller's token) and JWT manager
+    this.maybankAdapter = new MaybankAdapter(options.maybank);
     this.jwtManager = new JWTManager();
     
+    // OAuth2 client-credentials tokens for spec security schemes, fetched through the same transport as operations
+    this.tokenCache = new OAuth2TokenCache(config => this.sendUpstream(config));
+    
     logger.info('ApiExecutor initialized with Maybank support');
   }
 
@@ -32,27 +57,47 @@ export class ApiExecutor {
         throw new Error(`Operation '${operationId}' not found in registry`);
       }
       
+      if (this.operationFilter && !this.operationFilter(operationDetails)) {
+        const error = new Error(`Operation '${operationId}' is not available in the active tool profile`);
+        error.profileBlocked = true;
+        throw error;
+      }
+      
+      // A select expression is checked before anything is sent and never goes upstream
+      let selectExpression = null;
+      if (ResultSelector.appliesTo(operationDetails, userParameters)) {
+        ({ expression: selectExpression, parameters: userParameters } = ResultSelector.splitArguments(userParameters));
+        ResultSelector.compile(selectExpression);
+      }
+      
       // Check if this is a Maybank operation
       const isMaybankOperation = this.isMaybankOperation(operationDetails);
+      const pagination = isMaybankOperation ? null : Paginator.resolve(operationDetails, this.paginationConfig);
       
-      let requestConfig;
+      let apiResponse;
+      let attempts;
+      let paginationInfo = null;
       
-      if (isMaybankOperation) {
-        // Use Maybank adapter for Maybank operations
-        requestConfig = await this.prepareMaybankRequest(operationId, userParameters, options);
+      if (pagination) {
+        // List operations may fetch several pages and merge them
+        ({ apiResponse, attempts, paginationInfo } = await this.executePaginated(operationDetails, userParameters, pagination));
       } else {
-        // Use standard RequestBuilder for other operations
-        requestConfig = RequestBuilder.buildRequest(operationDetails, userParameters, this.authConfig);
+        const requestConfig = await this.buildRequestConfig(operationDetails, userParameters, options, isMaybankOperation);
+        ({ response: apiResponse, attempts } = await this.sendRequest(requestConfig, operationDetails));
       }
       
-      logger.debug('Built request config', {
-        method: requestConfig.method,
-        url: requestConfig.url,
-        hasAuth: !!requestConfig.headers?.Authorization
-      });
+      // Maybank reports failures in 4xx bodies and business codes, not only as HTTP errors
+      if (isMaybankOperation) {
+        try {
+          this.maybankAdapter.assertSuccessful(apiResponse, operationId);
+        } catch (error) {
+          error.attempts = attempts;
+          throw error;
+        }
+      }
       
-      // Execute HTTP request with proper error handling
-      const apiResponse = await this.makeHttpRequest(requestConfig);
+      // Check the payload against the spec's response schema before formatting
+      const responseValidation = this.validateResponse(apiResponse, operationDetails);
       
       // Log raw API response using logger instead of console.log
       if (isMaybankOperation) {
@@ -66,31 +111,229 @@ export class ApiExecutor {
 
       // Format response for MCP return
       let formattedResponse;
-      if (isMaybankOperation) {
-        formattedResponse = await this.formatMaybankResponse(apiResponse, operationId);
+      if (selectExpression !== null) {
+        // Projected results skip the API-specific formatters, which expect the full body
+        formattedResponse = this.formatSelectedResponse(apiResponse, operationDetails, selectExpression);
+      } else if (isMaybankOperation) {
+        formattedResponse = await this.formatMaybankResponse(apiResponse, operationDetails.operationId);
       } else {
         formattedResponse = this.formatResponse(apiResponse, operationDetails);
       }
       
+      // Markdown view for tool output; select results have neither a schema nor the x-format layout to go by
+      const display = selectExpression !== null
+        ? this.renderResult(formattedResponse.data, operationDetails, null, { currency: operationDetails.format?.currency })
+        : this.renderResult(apiResponse.data, operationDetails, ResponseValidator.selectResponseSchema(
+          operationDetails.responses, apiResponse.status, apiResponse.headers?.['content-type']
+        ));
+      
       return {
         success: true,
         data: formattedResponse,
+        display: display,
         operationId: operationId,
         timestamp: new Date().toISOString(),
-        apiType: isMaybankOperation ? 'maybank' : 'standard'
+        apiType: isMaybankOperation ? 'maybank' : 'standard',
+        responseValidation: responseValidation,
+        attempts: attempts,
+        pagination: paginationInfo,
+        select: selectExpression
       };
       
     } catch (error) {
+      if (error.responseValidation) {
+        return this.handleResponseValidationError(error, operationId);
+      }
+      
+      if (error.profileBlocked) {
+        return this.handleProfileError(error, operationId);
+      }
+      
+      if (error.limit) {
+        return this.handleLimitError(error, operationId);
+      }
+      
+      if (error.selectExpression !== undefined) {
+        return this.handleSelectError(error, operationId);
+      }
+      
       // Check if this is a Maybank operation for specialized error handling
       const operationDetails = this.registry.getOperationDetails(operationId);
       const isMaybankOperation = operationDetails && this.isMaybankOperation(operationDetails);
       
-      if (isMaybankOperation) {
-        return this.handleMaybankError(error, operationId);
-      } else {
-        return this.handleApiError(error, operationId);
+      const errorResult = isMaybankOperation
+        ? this.handleMaybankError(error, operationId)
+        : this.handleApiError(error, operationId);
+      
+      // Attempt history of the failed call (absent when no request was sent)
+      if (error.attempts) {
+        errorResult.attempts = error.attempts;
       }
+      return errorResult;
+    }
+  }
+
+  async buildRequestConfig(operationDetails, userParameters, options, isMaybankOperation) {
+    let requestConfig;
+    
+    if (isMaybankOperation) {
+      // Use Maybank adapter for Maybank operations
+      requestConfig = await this.prepareMaybankRequest(operationDetails, userParameters, options);
+    } else {
+      // Use standard RequestBuilder for other operations
+      const oauthTokens = await this.tokenCache.resolveTokens(operationDetails, this.authConfig);
+      requestConfig = RequestBuilder.buildRequest(operationDetails, userParameters, this.authConfig, {
+        serverSelection: this.serverSelection,
+        uploadRoot: this.uploadRoot,
+        oauthTokens
+      });
     }
+    
+    logger.debug('Built request config', {
+      method: requestConfig.method,
+      url: requestConfig.url,
+      hasAuth: !!requestConfig.headers?.Authorization
+    });
+    
+    return requestConfig;
+  }
+
+  // Execute HTTP request, retrying transient failures per the operation's retry policy;
+  // every attempt waits for rate-limit capacity and counts against the API's quota
+  sendRequest(requestConfig, operationDetails) {
+    return this.retryPolicy.execute(
+      async config => {
+        await this.rateLimiter.acquire(operationDetails.specName);
+        return this.makeHttpRequest(config);
+      },
+      requestConfig,
+      operationDetails
+    );
+  }
+
+  /**
+   * Fetch up to maxPages pages (default 1) and merge their items.
+   * A continuation token is returned while more pages remain.
+   */
+  async executePaginated(operationDetails, userParameters, settings) {
+    const paginator = new Paginator(settings, operationDetails);
+    const { controls, parameters } = Paginator.splitArguments(userParameters);
+    const maxPages = Math.min(Number(controls.maxPages) || 1, this.paginationConfig.maxPagesLimit || 10);
+    const maxItems = controls.maxItems !== undefined ? Number(controls.maxItems) : Infinity;
+    
+    const pages = [];
+    const items = [];
+    const attempts = [];
+    let state = paginator.initialState(parameters, controls.continuationToken);
+    let total = null;
+    
+    while (state && pages.length < maxPages && items.length < maxItems) {
+      const requestConfig = await this.buildRequestConfig(operationDetails, paginator.parametersFor(parameters, state), {}, false);
+      
+      if (state.url) {
+        // A Link URL carries its own query; keep only parameters it lacks (e.g. API keys)
+        const nextUrl = new URL(state.url);
+        requestConfig.params = Object.fromEntries(
+          Object.entries(requestConfig.params).filter(([name]) => !nextUrl.searchParams.has(name))
+        );
+        requestConfig.url = state.url;
+      }
+      
+      const { response, attempts: pageAttempts } = await this.sendRequest(requestConfig, operationDetails);
+      attempts.push(...pageAttempts.map(attempt => ({ ...attempt, page: pages.length + 1 })));
+      pages.push(response);
+      items.push(...paginator.getItems(response.data));
+      total = total ?? paginator.getTotal(response.data);
+      
+      const previousState = state;
+      state = paginator.nextState(response, state, parameters, items.length, requestConfig.url);
+      
+      // Offset paging can resume exactly where maxItems cut the list
+      if (items.length > maxItems && settings.type === 'offset') {
+        state = { offset: previousState.offset + paginator.getItems(response.data).length - (items.length - maxItems) };
+      }
+    }
+    
+    const returned = items.slice(0, maxItems);
+    
+    return {
+      apiResponse: paginator.merge(pages, returned),
+      attempts,
+      paginationInfo: {
+        type: settings.type,
+        pagesFetched: pages.length,
+        itemsReturned: returned.length,
+        itemsOmitted: settings.type === 'offset' ? 0 : items.length - returned.length,
+        total,
+        hasMore: !!state,
+        continuationToken: state ? paginator.encodeToken(state) : null
+      }
+    };
+  }
+
+  // Validate against the response schema; strict mode turns violations into a failure
+  validateResponse(apiResponse, operationDetails) {
+    const validation = this.responseValidator.validate(apiResponse, operationDetails);
+    if (!validation || !validation.checked) {
+      return validation;
+    }
+    
+    this.performanceMonitor.recordResponseValidation(operationDetails.specName, operationDetails.operationId, validation);
+    
+    if (!validation.valid && validation.mode === 'strict') {
+      const error = new Error(
+        `Response schema validation failed: ${ResponseValidator.summarize(validation).join('; ')}`
+      );
+      error.responseValidation = validation;
+      throw error;
+    }
+    
+    return validation;
+  }
+
+  handleResponseValidationError(error, operationId) {
+    logger.error('Upstream response rejected by schema validation', {
+      operationId,
+      violations: error.responseValidation.violationCount
+    });
+    
+    return {
+      success: false,
+      error: error.message,
+      errorType: 'schema_validation',
+      operationId: operationId,
+      timestamp: new Date().toISOString(),
+      responseValidation: error.responseValidation
+    };
+  }
+
+  // Operation hidden by the active tool profile; nothing was sent upstream
+  handleProfileError(error, operationId) {
+    logger.warn('Operation blocked by tool profile', { operationId });
+    
+    return {
+      success: false,
+      error: error.message,
+      errorType: 'profile_blocked',
+      operationId: operationId,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Client-side rate limit or quota refusal; nothing was sent upstream
+  handleLimitError(error, operationId) {
+    logger.warn('Request held back by client-side limits', { operationId, ...error.limit });
+    
+    return {
+      success: false,
+      error: error.message,
+      errorType: error.limit.type,
+      operationId: operationId,
+      timestamp: new Date().toISOString(),
+      retryAfterMs: error.limit.retryAfterMs,
+      resetsAt: error.limit.resetsAt,
+      attempts: error.attempts
+    };
   }
 
   async makeHttpRequest(requestConfig) {
@@ -114,7 +357,7 @@ export class ApiExecutor {
         });
       }
       
-      const response = await this.httpClient.request(requestConfig);
+      const response = await this.sendUpstream(requestConfig);
       
       logger.info('HTTP response received', {
         status: response.status,
@@ -160,11 +403,11 @@ export class ApiExecutor {
         requestMethod: requestConfig.method
       });
       
-      // Handle different types of HTTP errors
+      // Handle different types of HTTP errors (status, code and headers stay on the error for the retry policy)
       if (error.code === 'ECONNABORTED') {
-        throw new Error('API request timeout - service may be down');
+        throw this.httpError('API request timeout - service may be down', error);
       } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-        throw new Error('Network error - unable to reach API service');
+        throw this.httpError('Network error - unable to reach API service', error);
       } else if (error.response) {
         // API returned an error response
         const status = error.response.status;
@@ -180,86 +423,83 @@ export class ApiExecutor {
         
         switch (status) {
           case 401:
-            throw new Error('API authentication failed - check API key or JWT token');
+            throw this.httpError('API authentication failed - check API key or JWT token', error);
           case 404:
-            throw new Error('Requested resource not found');
+            throw this.httpError('Requested resource not found', error);
           case 429:
-            throw new Error('API rate limit exceeded - try again later');
+            throw this.httpError('API rate limit exceeded - try again later', error);
           case 500:
           case 502:
           case 503:
           case 504:
-            throw new Error('API service error - try again later');
+            throw this.httpError('API service error - try again later', error);
           default:
             const errorMessage = data?.message || data?.error || `HTTP ${status} error`;
-            throw new Error(`API request failed: ${errorMessage}`);
+            throw this.httpError(`API request failed: ${errorMessage}`, error);
         }
       } else {
-        throw new Error(`Network request failed: ${error.message}`);
+        throw this.httpError(`Network request failed: ${error.message}`, error);
       }
     }
   }
 
+  // Mock upstream and record/replay sit below everything else so retries and error mapping behave as live
+  // (the client's default timeout is passed along so slow mock scenarios time out like real calls).
+  // OAuth2 token requests go this way too, so offline and replay runs never fetch tokens from the network.
+  sendUpstream(requestConfig) {
+    return this.mockUpstream.request({ timeout: this.httpClient.defaults.timeout, ...requestConfig }, config =>
+      this.cassette.request(config, recorded => this.httpClient.request(recorded)));
+  }
+
+  // Bad select expression; parse errors are caught before anything is sent upstream
+  handleSelectError(error, operationId) {
+    logger.warn('Select expression rejected', { operationId, expression: error.selectExpression, error: error.message });
+    
+    return {
+      success: false,
+      error: error.message,
+      errorType: 'invalid_select',
+      operationId: operationId,
+      timestamp: new Date().toISOString(),
+      attempts: error.attempts
+    };
+  }
+
+  httpError(message, cause) {
+    const error = new Error(message);
+    error.code = cause.code;
+    error.status = cause.response?.status;
+    error.headers = cause.response?.headers;
+    error.responseData = cause.response?.data;
+    return error;
+  }
+
   formatResponse(apiResponse, operationDetails) {
-    try {
-      const responseData = apiResponse.data;
-      
-      // For weather API, format the response in a user-friendly way
-      if (operationDetails.operationId === 'getCurrentWeather') {
-        return this.formatWeatherResponse(responseData);
-      }
-      
-      // Generic formatting for other APIs
-      return {
-        status: apiResponse.status,
-        data: responseData,
-        operation: operationDetails.operationId,
-        summary: operationDetails.summary
-      };
-      
-    } catch (error) {
-      throw new Error(`Failed to format response: ${error.message}`);
-    }
+    return {
+      status: apiResponse.status,
+      data: apiResponse.data,
+      operation: operationDetails.operationId,
+      summary: operationDetails.summary
+    };
+  }
+
+  formatSelectedResponse(apiResponse, operationDetails, expression) {
+    return {
+      ...this.formatResponse(apiResponse, operationDetails),
+      data: ResultSelector.apply(apiResponse.data, expression)
+    };
   }
 
-  formatWeatherResponse(weatherData) {
+  // A rendering failure must not fail the call; the tool output falls back to JSON
+  renderResult(data, operationDetails, schema, format = operationDetails.format || {}) {
     try {
-      const formatted = {
-        location: weatherData.name || 'Unknown',
-        country: weatherData.sys?.country || 'Unknown',
-        coordinates: {
-          latitude: weatherData.coord?.lat,
-          longitude: weatherData.coord?.lon
-        },
-        weather: {
-          condition: weatherData.weather?.[0]?.main || 'Unknown',
-          description: weatherData.weather?.[0]?.description || 'No description',
-          icon: weatherData.weather?.[0]?.icon
-        },
-        temperature: {
-          current: weatherData.main?.temp,
-          feels_like: weatherData.main?.feels_like,
-          min: weatherData.main?.temp_min,
-          max: weatherData.main?.temp_max
-        },
-        atmospheric: {
-          pressure: weatherData.main?.pressure,
-          humidity: weatherData.main?.humidity,
-          visibility: weatherData.visibility
-        },
-        wind: weatherData.wind || {},
-        timestamp: new Date().toISOString(),
-        raw_data: weatherData // Include raw data for debugging
-      };
-      
-      return formatted;
+      return this.responseFormatter.render(data, schema, format);
     } catch (error) {
-      // If formatting fails, return raw data
-      console.warn('Weather response formatting failed, returning raw data:', error.message);
-      return {
-        raw_data: weatherData,
-        formatting_error: error.message
-      };
+      logger.warn('Response rendering failed, falling back to JSON', {
+        operationId: operationDetails.operationId,
+        error: error.message
+      });
+      return null;
     }
   }
 
@@ -284,7 +524,7 @@ export class ApiExecutor {
       } else if (error.message.includes('service error') || error.message.includes('HTTP 5')) {
         errorType = 'service';
         userMessage = 'The weather service is experiencing issues - please try again later';
-      } else if (error.message.includes('Parameter validation failed')) {
+      } else if (error.message.includes('Parameter validation failed') || error.message.includes('Request body validation failed')) {
         errorType = 'validation';
         userMessage = error.message;
       }
@@ -327,28 +567,23 @@ export class ApiExecutor {
   }
 
   // Prepare Maybank-specific request
-  async prepareMaybankRequest(operationId, userParameters, options) {
+  async prepareMaybankRequest(operationDetails, userParameters, options) {
+    const operationId = operationDetails.operationId;
+    
     try {
-      // JWT token is now optional - adapter will use default if not provided
-      const jwtToken = options.jwtToken;
-      
-      if (!jwtToken) {
-        logger.info('No JWT token provided, using default token');
-      }
-
-      // Validate JWT token format only if provided
-      if (jwtToken) {
-        const tokenValidation = await this.jwtManager.validateMaybankToken(jwtToken);
-        if (!tokenValidation.isValid) {
-          throw new Error(`Invalid JWT token: ${tokenValidation.reason}`);
-        }
-      }
+      // An explicit token (executor option or jwtToken tool argument) wins; otherwise the
+      // adapter's token chain tries the session, environment and token file. It is never sent as a parameter.
+      const { jwtToken: argumentToken, ...parameters } = userParameters;
 
       // Prepare request using Maybank adapter
       const requestData = {
-        operation: operationId,
-        jwtToken: jwtToken,
-        parameters: userParameters
+        operationDetails,
+        jwtToken: options.jwtToken || argumentToken,
+        sessionId: options.sessionId,
+        // Mock upstream answers Maybank operations itself, so no identity is needed there
+        allowMissingToken: this.mockUpstream.enabled,
+        parameters: parameters,
+        baseUrl: RequestBuilder.extractServerUrl(operationDetails, this.serverSelection)
       };
 
       const preparedRequest = await this.maybankAdapter.prepareRequest(requestData);
@@ -371,11 +606,11 @@ export class ApiExecutor {
     }
   }
 
-  // Format Maybank-specific response
+  // Structured Maybank data read by the banking workflows; tool output is rendered from the raw body
   async formatMaybankResponse(apiResponse, operationId) {
     try {
       // Validate response using Maybank adapter
-      const validation = await this.maybankAdapter.validateResponse(apiResponse.data, operationId);
+      const validation = await this.maybankAdapter.validateResponse(apiResponse.data, operationId, apiResponse.status);
       
       if (!validation.isValid) {
         throw new Error(`Invalid Maybank response: ${validation.error}`);
@@ -422,18 +657,20 @@ export class ApiExecutor {
 
   // Format MAE Wallet balance response
   formatMaybankBalanceResponse(extractedData, apiResponse) {
+    const category = this.categorizeAccount(apiResponse.data.result);
     return {
       account: {
         name: extractedData.accountName,
         code: extractedData.accountCode,
         balance: extractedData.balance,
         currentBalance: extractedData.currentBalance,
-        value: extractedData.value
+        value: extractedData.value,
+        ...category
       },
       formatted: {
         displayText: `${extractedData.accountName}: RM ${extractedData.balance}`,
         balanceRM: `RM ${extractedData.balance}`,
-        accountType: 'MAE Wallet'
+        accountType: category.categoryLabel
       },
       status: apiResponse.status,
       timestamp: new Date().toISOString(),
@@ -443,19 +680,25 @@ export class ApiExecutor {
 
   // Format account summary response
   formatMaybankSummaryResponse(extractedData, apiResponse) {
+    const accounts = extractedData.accounts.map(account => ({
+      name: account.name,
+      code: account.code,
+      type: account.type,
+      balance: account.balance,
+      value: account.value,
+      primary: account.primary,
+      ...this.categorizeAccount(account),
+      ...this.accountStatusReason(account)
+    }));
+    
     return {
       summary: {
         totalBalance: extractedData.total,
         accountCount: extractedData.accountCount,
         maeAvailable: extractedData.maeAvailable
       },
-      accounts: extractedData.accounts.map(account => ({
-        name: account.name,
-        code: account.code,
-        type: account.type,
-        balance: account.balance,
-        primary: account.primary
-      })),
+      accounts,
+      categories: this.maybankAdapter.accountClassifier.group(accounts),
       formatted: {
         displayText: `Total Balance: RM ${extractedData.total} across ${extractedData.accountCount} accounts`,
         totalRM: `RM ${extractedData.total}`,
@@ -469,16 +712,22 @@ export class ApiExecutor {
 
   // Format all accounts response
   formatMaybankAccountsResponse(extractedData, apiResponse) {
+    const accounts = extractedData.accounts.map(account => ({
+      name: account.name,
+      code: account.code,
+      type: account.accountType || account.type,
+      balance: account.balance,
+      value: account.value,
+      number: account.formattedNumber || account.number,
+      primary: account.primary,
+      active: account.statusCode === '00',
+      ...this.categorizeAccount(account),
+      ...this.accountStatusReason(account)
+    }));
+    
     return {
-      accounts: extractedData.accounts.map(account => ({
-        name: account.name,
-        code: account.code,
-        type: account.accountType || account.type,
-        balance: account.balance,
-        number: account.formattedNumber || account.number,
-        primary: account.primary,
-        active: account.statusCode === '00'
-      })),
+      accounts,
+      categories: this.maybankAdapter.accountClassifier.group(accounts),
       summary: {
         totalAccounts: extractedData.accountCount,
         activeAccounts: extractedData.accounts.filter(acc => acc.statusCode === '00').length
@@ -495,6 +744,21 @@ export class ApiExecutor {
     };
   }
 
+  // Category of an account listing from its code, type, group, loan, card and investment fields
+  categorizeAccount(account) {
+    const { category, label } = this.maybankAdapter.accountClassifier.classify(account || {});
+    return { category, categoryLabel: label };
+  }
+
+  // Decoded statusCode / statusMessage of an account listing, only for accounts Maybank flags
+  accountStatusReason(account) {
+    if (account.statusCode === undefined || account.statusCode === null) {
+      return {};
+    }
+    const reason = this.maybankAdapter.statusCatalogue.decodeAccount(account.statusCode, account.statusMessage);
+    return this.maybankAdapter.statusCatalogue.isSuccess(reason) ? {} : { statusReason: reason };
+  }
+
   // Enhanced error handling for Maybank operations
   handleMaybankError(error, operationId) {
     // Use Maybank adapter's error handling
@@ -519,7 +783,12 @@ export class ApiExecutor {
       registryInitialized: this.registry?.initialized || false,
       operationsCount: this.registry?.operations?.size || 0,
       authConfigured: !!this.authConfig,
-      httpClientConfigured: !!this.httpClient
+      httpClientConfigured: !!this.httpClient,
+      responseValidationMode: this.responseValidator.mode,
+      responseValidation: this.performanceMonitor.getResponseValidationStats(),
+      limits: this.rateLimiter.getStatus(),
+      cassetteMode: this.cassette.mode,
+      mockUpstream: this.mockUpstream.enabled
     };
   }
 }
\ No newline at end of file
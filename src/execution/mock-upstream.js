@@ -0,0 +1,412 @@
+import axios from 'axios';
+import { Cassette } from './cassette.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Offline upstream: answers requests for registered operations with synthetic
+ * responses built from the operation's response `example` or, failing that, its
+ * resolved response schema. No network access or credentials are needed.
+ *
+ * Settings (server-config `mock`):
+ *   {
+ *     enabled,
+ *     seed,                 // same seed + same request => same response
+ *     stateful,             // POST/PUT/PATCH/DELETE change what later GETs of the resource return
+ *     delayMs,              // latency added to every response
+ *     passthrough,          // send requests that match no operation upstream instead of failing them
+ *     scenarios: {
+ *       [toolName|operationId|'*']: { status, body, headers, delayMs, empty, times }
+ *     }
+ *   }
+ * Scenarios: status >= 400 fails like the real API would, `empty` returns empty
+ * lists, `delayMs` past the request timeout fails with a timeout, and `times`
+ * limits the scenario to the first N calls (e.g. one 503, then success).
+ * OAuth2 client-credentials token requests are answered with a synthetic token.
+ */
+
+const BASE_DATE = Date.UTC(2024, 0, 1);
+const MAX_DEPTH = 8;
+const DEFAULT_ARRAY_LENGTH = 2;
+
+export class MockUpstream {
+  constructor(settings = {}, registry = null) {
+    this.enabled = settings.enabled === true;
+    this.seed = String(settings.seed ?? 'mock');
+    this.stateful = settings.stateful === true;
+    this.delayMs = settings.delayMs || 0;
+    this.passthrough = settings.passthrough === true;
+    this.scenarios = settings.scenarios || {};
+    this.registry = registry;
+    this.scenarioCalls = new Map();
+    this.state = new Map();   // '<spec> <collection path>' -> Map(id -> resource)
+  }
+
+  /**
+   * Same contract as Cassette.request: resolve or reject like axios would
+   */
+  async request(requestConfig, send) {
+    if (!this.enabled) {
+      return send(requestConfig);
+    }
+
+    const method = String(requestConfig.method || 'get').toUpperCase();
+
+    // OAuth2 client-credentials token requests get a synthetic token instead of reaching the provider
+    if (method === 'POST' && MockUpstream.parseBody(requestConfig.data)?.grant_type === 'client_credentials') {
+      logger.debug('Mock upstream token response', { url: requestConfig.url });
+      return Cassette.toAxiosOutcome({ response: MockUpstream.tokenResponse() }, requestConfig);
+    }
+    const url = new URL(axios.getUri(requestConfig));
+    const match = this.findOperation(method, url);
+
+    if (!match) {
+      if (this.passthrough) {
+        return send(requestConfig);
+      }
+      const error = new Error(`Mock upstream has no operation for ${method} ${url.pathname}`);
+      error.code = 'ERR_MOCK_UNKNOWN_OPERATION';
+      throw error;
+    }
+
+    const { operationDetails, pathValues } = match;
+    const scenario = this.takeScenario(operationDetails);
+    const delayMs = scenario.delayMs ?? this.delayMs;
+
+    if (delayMs > 0) {
+      if (requestConfig.timeout && delayMs >= requestConfig.timeout) {
+        await this.sleep(requestConfig.timeout);
+        const error = new Error(`timeout of ${requestConfig.timeout}ms exceeded`);
+        error.code = 'ECONNABORTED';
+        throw error;
+      }
+      await this.sleep(delayMs);
+    }
+
+    const body = MockUpstream.parseBody(requestConfig.data);
+    const response = this.buildResponse(operationDetails, {
+      scenario,
+      seedKey: `${method} ${url.pathname}${url.search} ${Cassette.stableStringify(body)}`
+    });
+
+    if (this.stateful && response.status < 400) {
+      response.body = this.applyState(operationDetails, method, pathValues, body, response.body);
+    }
+
+    logger.debug('Mock upstream response', { operationId: operationDetails.operationId, status: response.status });
+    return Cassette.toAxiosOutcome({ response }, requestConfig);
+  }
+
+  static tokenResponse() {
+    return {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/json', 'x-mock-upstream': 'true' },
+      body: { access_token: 'mock-access-token', token_type: 'Bearer', expires_in: 3600 }
+    };
+  }
+
+  /**
+   * Synthetic { status, statusText, headers, body } for an operation
+   */
+  buildResponse(operationDetails, { scenario = {}, seedKey = '' } = {}) {
+    const status = scenario.status || MockUpstream.successStatus(operationDetails.responses);
+    const random = MockUpstream.random(`${this.seed}|${operationDetails.operationId}|${seedKey}`);
+    const media = MockUpstream.selectMedia(operationDetails.responses, status);
+
+    let body;
+    if (scenario.body !== undefined) {
+      body = structuredClone(scenario.body);
+    } else if (media?.example !== undefined) {
+      body = structuredClone(media.example);
+    } else if (media?.examples && Object.values(media.examples)[0]?.value !== undefined) {
+      body = structuredClone(Object.values(media.examples)[0].value);
+    } else if (media?.schema) {
+      body = MockUpstream.generate(media.schema, random, { empty: scenario.empty === true });
+    } else if (status >= 400) {
+      body = { error: 'mock_error', message: `Mock ${status} response for ${operationDetails.operationId}` };
+    } else {
+      body = null;
+    }
+
+    if (scenario.empty) {
+      body = MockUpstream.emptyLists(body);
+    }
+
+    return {
+      status,
+      statusText: status < 400 ? 'OK' : 'Mock Error',
+      headers: { 'content-type': media?.mediaType || 'application/json', 'x-mock-upstream': 'true', ...(scenario.headers || {}) },
+      body
+    };
+  }
+
+  /**
+   * Operation whose method and path template match a request URL. The longest template wins
+   * so '/accounts/{id}/balance' beats '/accounts/{id}'; on a tie, the spec whose server host matches
+   */
+  findOperation(method, url) {
+    let best = null;
+
+    for (const operationDetails of this.registry?.operations?.values() || []) {
+      if (operationDetails.method !== method) {
+        continue;
+      }
+      const pathValues = MockUpstream.matchPath(operationDetails.path, url.pathname);
+      if (!pathValues) {
+        continue;
+      }
+
+      const sameHost = (operationDetails.servers || []).some(server => MockUpstream.hostOf(server.url) === url.host);
+      const score = operationDetails.path.length + (sameHost ? 0.5 : 0);
+      if (!best || score > best.score) {
+        best = { operationDetails, pathValues, score };
+      }
+    }
+    return best;
+  }
+
+  // Scenario for this call, counting down `times`
+  takeScenario(operationDetails) {
+    const key = [operationDetails.toolName, operationDetails.operationId, '*'].find(name => this.scenarios[name]);
+    if (!key) {
+      return {};
+    }
+
+    const scenario = this.scenarios[key];
+    const calls = (this.scenarioCalls.get(key) || 0) + 1;
+    this.scenarioCalls.set(key, calls);
+    return scenario.times === undefined || calls <= scenario.times ? scenario : {};
+  }
+
+  /**
+   * Stateful mode: remember created and updated resources per collection
+   * ('/accounts' for '/accounts/{accountId}') and serve them on later reads
+   */
+  applyState(operationDetails, method, pathValues, body, generated) {
+    const segments = operationDetails.path.split('/');
+    const itemParam = segments[segments.length - 1].match(/^\{(.+)\}$/)?.[1] || null;
+    const collection = itemParam ? segments.slice(0, -1).join('/') : operationDetails.path;
+    const storeKey = `${operationDetails.specName} ${collection}`;
+    if (!this.state.has(storeKey)) {
+      this.state.set(storeKey, new Map());
+    }
+    const store = this.state.get(storeKey);
+    const requestFields = MockUpstream.isObject(body) ? body : {};
+
+    if (!itemParam) {
+      if (method === 'POST') {
+        const resource = { ...(MockUpstream.isObject(generated) ? generated : {}), ...requestFields };
+        const idField = this.idField(resource, operationDetails, collection);
+        if (idField) {
+          store.set(String(resource[idField]), resource);
+        }
+        return resource;
+      }
+      if (method === 'GET' && Array.isArray(generated)) {
+        return [...generated, ...store.values()];
+      }
+      return generated;
+    }
+
+    const id = pathValues[itemParam];
+    switch (method) {
+      case 'GET':
+        return store.get(id) ?? generated;
+      case 'PUT':
+      case 'PATCH': {
+        const resource = { ...(store.get(id) ?? (MockUpstream.isObject(generated) ? generated : {})), ...requestFields };
+        store.set(id, resource);
+        return resource;
+      }
+      case 'DELETE':
+        store.delete(id);
+        return generated;
+      default:
+        return generated;
+    }
+  }
+
+  // 'id', the item path parameter of the collection ('/accounts/{accountId}'), or any '...Id' field
+  idField(resource, operationDetails, collection) {
+    const itemPath = [...(this.registry?.operations?.values() || [])]
+      .map(details => details.specName === operationDetails.specName && details.path.match(new RegExp(`^${MockUpstream.escape(collection)}/\\{(.+)\\}$`)))
+      .find(Boolean);
+
+    return ['id', itemPath?.[1], ...Object.keys(resource).filter(key => /id$/i.test(key))]
+      .find(key => key && resource[key] !== undefined && resource[key] !== null);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Value for a resolved JSON Schema: example, default or enum first, otherwise synthesized
+   */
+  static generate(schema, random, options = {}, name = '', depth = 0) {
+    if (!schema || depth > MAX_DEPTH) {
+      return null;
+    }
+    if (schema.example !== undefined) {
+      return structuredClone(schema.example);
+    }
+    if (schema.default !== undefined) {
+      return structuredClone(schema.default);
+    }
+    if (schema.enum) {
+      return schema.enum[Math.floor(random() * schema.enum.length)];
+    }
+    if (schema.allOf) {
+      const merged = schema.allOf.reduce((result, part) => ({
+        ...result,
+        ...part,
+        properties: { ...(result.properties || {}), ...(part.properties || {}) }
+      }), {});
+      return this.generate(merged, random, options, name, depth + 1);
+    }
+    if (schema.oneOf || schema.anyOf) {
+      return this.generate((schema.oneOf || schema.anyOf)[0], random, options, name, depth + 1);
+    }
+
+    const type = Array.isArray(schema.type) ? schema.type.find(item => item !== 'null') : schema.type;
+
+    if (type === 'object' || (!type && schema.properties)) {
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, property]) =>
+        [key, this.generate(property, random, options, key, depth + 1)]
+      ));
+    }
+    if (type === 'array') {
+      const minItems = schema.minItems || 0;
+      const length = options.empty ? minItems : Math.min(Math.max(DEFAULT_ARRAY_LENGTH, minItems), schema.maxItems ?? Infinity);
+      return Array.from({ length }, () => this.generate(schema.items, random, options, name, depth + 1));
+    }
+    if (type === 'integer' || type === 'number') {
+      const minimum = schema.minimum ?? schema.exclusiveMinimum ?? 0;
+      const maximum = schema.maximum ?? schema.exclusiveMaximum ?? minimum + 1000;
+      const value = minimum + random() * (maximum - minimum);
+      return type === 'integer' ? Math.round(value) : Math.round(value * 100) / 100;
+    }
+    if (type === 'boolean') {
+      return random() < 0.5;
+    }
+    return this.generateString(schema, random, name);
+  }
+
+  static generateString(schema, random, name) {
+    const n = Math.floor(random() * 10000);
+    const date = new Date(BASE_DATE + Math.floor(random() * 365) * 86400000);
+
+    switch (schema.format) {
+      case 'date-time':
+        return date.toISOString();
+      case 'date':
+        return date.toISOString().slice(0, 10);
+      case 'email':
+        return `user${n}@example.com`;
+      case 'uuid': {
+        const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16)).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20)}`;
+      }
+      case 'uri':
+      case 'url':
+        return `https://example.com/${name || 'resource'}/${n}`;
+      case 'ipv4':
+        return `192.0.2.${n % 255}`;
+    }
+
+    let value = `${name || 'value'}-${n}`;
+    if (schema.minLength && value.length < schema.minLength) {
+      value = value.padEnd(schema.minLength, 'x');
+    }
+    return schema.maxLength ? value.slice(0, schema.maxLength) : value;
+  }
+
+  static successStatus(responses = {}) {
+    const success = Object.keys(responses).find(code => /^2\d\d$/.test(code)) ||
+      Object.keys(responses).find(code => /^2xx$/i.test(code));
+    return success && /^\d+$/.test(success) ? Number(success) : 200;
+  }
+
+  static selectMedia(responses = {}, status) {
+    const statusKey = String(status);
+    const response = responses[statusKey] || responses[`${statusKey.charAt(0)}XX`] ||
+      responses[`${statusKey.charAt(0)}xx`] || responses.default;
+    const content = response?.content;
+    if (!content) {
+      return null;
+    }
+
+    const mediaType = Object.keys(content).find(type => type.includes('json')) || Object.keys(content)[0];
+    return { mediaType, ...content[mediaType] };
+  }
+
+  // '/accounts/{accountId}' against a request path (the server URL may add a prefix)
+  static matchPath(template, pathname) {
+    const names = [];
+    const pattern = template.split(/(\{[^}]+\})/).map(part => {
+      const param = part.match(/^\{(.+)\}$/);
+      if (param) {
+        names.push(param[1]);
+        return '([^/]+)';
+      }
+      return MockUpstream.escape(part);
+    }).join('');
+
+    const match = pathname.replace(/\/+$/, '').match(new RegExp(`${pattern.replace(/\/$/, '')}$`));
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+  }
+
+  static emptyLists(value) {
+    if (Array.isArray(value)) {
+      return [];
+    }
+    if (MockUpstream.isObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, MockUpstream.emptyLists(item)]));
+    }
+    return value;
+  }
+
+  static parseBody(data) {
+    if (typeof data === 'string') {
+      try {
+        return JSON.parse(data);
+      } catch {
+        return Object.fromEntries(new URLSearchParams(data));
+      }
+    }
+    return MockUpstream.isObject(data) && !(typeof FormData !== 'undefined' && data instanceof FormData) ? data : null;
+  }
+
+  // Deterministic PRNG (mulberry32) seeded from a string hash
+  static random(seedText) {
+    let seed = 2166136261;
+    for (const char of seedText) {
+      seed = Math.imul(seed ^ char.charCodeAt(0), 16777619);
+    }
+    return () => {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  static hostOf(serverUrl) {
+    try {
+      return new URL(serverUrl).host;
+    } catch {
+      return null;
+    }
+  }
+
+  static escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
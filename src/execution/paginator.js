@@ -0,0 +1,212 @@
+/**
+ * Pagination for list operations
+ *
+ * Declared per operation with an `x-pagination` extension, or in server-config
+ * `pagination.operations[toolName|operationId]` (config wins):
+ *   { type: 'page',   pageParam, sizeParam, startPage, defaultPageSize, itemsPath, totalPath }
+ *   { type: 'offset', offsetParam, limitParam, defaultPageSize, itemsPath, totalPath }
+ *   { type: 'cursor', cursorParam, nextCursorPath | nextCursorHeader, itemsPath }
+ *   { type: 'link',   itemsPath }                                   // RFC 8288 Link: <...>; rel="next"
+ * itemsPath and friends are dotted paths into the response body ('articles', 'meta.next').
+ *
+ * Tool calls control paging with maxPages, maxItems and continuationToken arguments.
+ */
+
+export const PAGINATION_TYPES = ['page', 'offset', 'cursor', 'link'];
+
+// Tool arguments that steer pagination and are never sent upstream
+export const PAGINATION_ARGUMENTS = ['maxPages', 'maxItems', 'continuationToken'];
+
+const DEFAULTS = {
+  page: { pageParam: 'page', sizeParam: 'pageSize', startPage: 1 },
+  offset: { offsetParam: 'offset', limitParam: 'limit' },
+  cursor: { cursorParam: 'cursor' },
+  link: {}
+};
+
+export class Paginator {
+  constructor(settings, operationDetails) {
+    this.settings = { ...DEFAULTS[settings.type], ...settings };
+    this.toolName = operationDetails.toolName || operationDetails.operationId;
+  }
+
+  /**
+   * Pagination settings for an operation, or null when it does not page
+   */
+  static resolve(operationDetails, paginationConfig = {}) {
+    const configured = paginationConfig.operations?.[operationDetails.toolName] ||
+      paginationConfig.operations?.[operationDetails.operationId];
+    const settings = configured || operationDetails.pagination;
+
+    if (!settings) {
+      return null;
+    }
+    if (!PAGINATION_TYPES.includes(settings.type)) {
+      throw new Error(`Unknown pagination type '${settings.type}' for ${operationDetails.operationId}`);
+    }
+    return settings;
+  }
+
+  // Split tool arguments into pagination controls and the parameters sent upstream
+  static splitArguments(userParameters = {}) {
+    const controls = {};
+    const parameters = {};
+    for (const [name, value] of Object.entries(userParameters)) {
+      if (PAGINATION_ARGUMENTS.includes(name)) {
+        controls[name] = value;
+      } else {
+        parameters[name] = value;
+      }
+    }
+    return { controls, parameters };
+  }
+
+  /**
+   * Where to start: the continuation token's position, or the caller's own page/offset/cursor
+   */
+  initialState(parameters, continuationToken) {
+    if (continuationToken) {
+      return this.decodeToken(continuationToken);
+    }
+
+    const { type } = this.settings;
+    if (type === 'page') {
+      return { page: Number(parameters[this.settings.pageParam] ?? this.settings.startPage) };
+    }
+    if (type === 'offset') {
+      return { offset: Number(parameters[this.settings.offsetParam] ?? 0) };
+    }
+    if (type === 'cursor') {
+      return { cursor: parameters[this.settings.cursorParam] ?? null };
+    }
+    return { url: null };
+  }
+
+  // Tool parameters for the page at this state (link pagination follows state.url instead)
+  parametersFor(parameters, state) {
+    const { type } = this.settings;
+    if (type === 'page') {
+      return { ...parameters, [this.settings.pageParam]: state.page };
+    }
+    if (type === 'offset') {
+      return { ...parameters, [this.settings.offsetParam]: state.offset };
+    }
+    if (type === 'cursor' && state.cursor) {
+      return { ...parameters, [this.settings.cursorParam]: state.cursor };
+    }
+    return parameters;
+  }
+
+  getItems(data) {
+    const items = this.settings.itemsPath ? Paginator.getPath(data, this.settings.itemsPath) : data;
+    return Array.isArray(items) ? items : [];
+  }
+
+  getTotal(data) {
+    const total = this.settings.totalPath ? Paginator.getPath(data, this.settings.totalPath) : undefined;
+    return typeof total === 'number' ? total : null;
+  }
+
+  /**
+   * State of the following page, or null when this was the last one
+   */
+  nextState(apiResponse, state, parameters, itemsSoFar, requestUrl) {
+    const data = apiResponse.data;
+    const items = this.getItems(data);
+    const total = this.getTotal(data);
+    const { type } = this.settings;
+
+    if (type === 'link') {
+      const next = Paginator.parseLinkHeader(apiResponse.headers?.link)?.next;
+      return next ? { url: new URL(next, requestUrl).toString() } : null;
+    }
+
+    if (type === 'cursor') {
+      const cursor = this.settings.nextCursorHeader
+        ? apiResponse.headers?.[this.settings.nextCursorHeader.toLowerCase()]
+        : Paginator.getPath(data, this.settings.nextCursorPath || 'next_cursor');
+      return cursor && items.length > 0 ? { cursor } : null;
+    }
+
+    if (items.length === 0 || (total !== null && itemsSoFar >= total)) {
+      return null;
+    }
+
+    const pageSize = Number(parameters[type === 'page' ? this.settings.sizeParam : this.settings.limitParam] ??
+      this.settings.defaultPageSize ?? items.length);
+    if (items.length < pageSize) {
+      return null;
+    }
+
+    return type === 'page'
+      ? { page: state.page + 1 }
+      : { offset: state.offset + items.length };
+  }
+
+  /**
+   * Merge page responses: the first page's body with every page's items under itemsPath
+   */
+  merge(pages, items) {
+    const first = pages[0];
+    if (!this.settings.itemsPath) {
+      return { ...first, data: items };
+    }
+
+    const data = structuredClone(first.data);
+    Paginator.setPath(data, this.settings.itemsPath, items);
+    return { ...first, data };
+  }
+
+  // Opaque token: base64url JSON of the operation and the next page's position
+  encodeToken(state) {
+    return Buffer.from(JSON.stringify({ operation: this.toolName, state })).toString('base64url');
+  }
+
+  decodeToken(token) {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch {
+      throw new Error('Invalid continuationToken');
+    }
+
+    if (decoded.operation !== this.toolName || !decoded.state) {
+      throw new Error(`continuationToken belongs to '${decoded.operation}', not '${this.toolName}'`);
+    }
+    return decoded.state;
+  }
+
+  // Link: <https://api.example.com/items?page=2>; rel="next", <...>; rel="last"
+  static parseLinkHeader(header) {
+    if (!header) {
+      return null;
+    }
+
+    const links = {};
+    for (const part of String(header).split(',')) {
+      const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/i);
+      if (match) {
+        for (const rel of match[2].trim().split(/\s+/)) {
+          links[rel.toLowerCase()] = match[1];
+        }
+      }
+    }
+    return links;
+  }
+
+  static getPath(object, path) {
+    return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  static setPath(object, path, value) {
+    const keys = String(path).split('.');
+    const last = keys.pop();
+    const target = keys.reduce((current, key) => {
+      if (current[key] === null || typeof current[key] !== 'object') {
+        current[key] = {};
+      }
+      return current[key];
+    }, object);
+    target[last] = value;
+  }
+}
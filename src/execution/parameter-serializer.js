@@ -0,0 +1,203 @@
+/**
+ * OpenAPI 3 parameter serialization (style/explode)
+ *
+ *   query:  form (default), spaceDelimited, pipeDelimited, deepObject
+ *   path:   simple (default), label, matrix
+ *   header: simple
+ *   cookie: form
+ *
+ * explode defaults to true for 'form' and false for every other style.
+ * Parameters described with `content` instead of `schema` are sent as JSON.
+ */
+
+const DEFAULT_STYLES = {
+  query: 'form',
+  path: 'simple',
+  header: 'simple',
+  cookie: 'form'
+};
+
+export class ParameterSerializer {
+  static getStyle(paramDef) {
+    return paramDef.style || DEFAULT_STYLES[paramDef.in] || 'form';
+  }
+
+  static getExplode(paramDef) {
+    if (paramDef.explode !== undefined) {
+      return paramDef.explode === true;
+    }
+    return this.getStyle(paramDef) === 'form';
+  }
+
+  /**
+   * Query parameters as { key: string | string[] }; arrays repeat the key
+   * (requires axios paramsSerializer { indexes: null })
+   */
+  static serializeQuery(paramDef, value) {
+    const name = paramDef.name;
+    const normalized = this.normalizeValue(paramDef, value);
+    const style = this.getStyle(paramDef);
+    const explode = this.getExplode(paramDef);
+
+    if (paramDef.content) {
+      return { [name]: JSON.stringify(value) };
+    }
+
+    if (style === 'deepObject') {
+      if (!this.isObject(normalized)) {
+        throw new Error(`Parameter '${name}' uses deepObject style but is not an object`);
+      }
+      return this.flattenDeepObject(name, normalized);
+    }
+
+    const delimiter = { spaceDelimited: ' ', pipeDelimited: '|' }[style] || ',';
+
+    if (Array.isArray(normalized)) {
+      const items = normalized.map(item => this.stringify(item));
+      return { [name]: explode ? items : items.join(delimiter) };
+    }
+
+    if (this.isObject(normalized)) {
+      if (explode) {
+        return Object.fromEntries(Object.entries(normalized).map(([key, item]) => [key, this.stringify(item)]));
+      }
+      return { [name]: this.objectPairs(normalized).join(delimiter) };
+    }
+
+    return { [name]: this.stringify(normalized) };
+  }
+
+  /**
+   * Path parameter value, percent-encoded, ready to replace '{name}' in the URL
+   */
+  static serializePath(paramDef, value) {
+    const name = paramDef.name;
+    const normalized = this.normalizeValue(paramDef, value);
+    const style = this.getStyle(paramDef);
+    const explode = this.getExplode(paramDef);
+    const encode = item => encodeURIComponent(this.stringify(item));
+
+    if (paramDef.content) {
+      return encodeURIComponent(JSON.stringify(value));
+    }
+
+    if (style === 'label') {
+      if (Array.isArray(normalized)) {
+        return '.' + normalized.map(encode).join(explode ? '.' : ',');
+      }
+      if (this.isObject(normalized)) {
+        return '.' + (explode
+          ? Object.entries(normalized).map(([key, item]) => `${encode(key)}=${encode(item)}`).join('.')
+          : this.objectPairs(normalized).map(item => encodeURIComponent(item)).join(','));
+      }
+      return `.${encode(normalized)}`;
+    }
+
+    if (style === 'matrix') {
+      if (Array.isArray(normalized)) {
+        return explode
+          ? normalized.map(item => `;${name}=${encode(item)}`).join('')
+          : `;${name}=${normalized.map(encode).join(',')}`;
+      }
+      if (this.isObject(normalized)) {
+        return explode
+          ? Object.entries(normalized).map(([key, item]) => `;${encode(key)}=${encode(item)}`).join('')
+          : `;${name}=${this.objectPairs(normalized).map(item => encodeURIComponent(item)).join(',')}`;
+      }
+      return `;${name}=${encode(normalized)}`;
+    }
+
+    // simple
+    if (Array.isArray(normalized)) {
+      return normalized.map(encode).join(',');
+    }
+    if (this.isObject(normalized)) {
+      return explode
+        ? Object.entries(normalized).map(([key, item]) => `${encode(key)}=${encode(item)}`).join(',')
+        : this.objectPairs(normalized).map(item => encodeURIComponent(item)).join(',');
+    }
+    return encode(normalized);
+  }
+
+  // Header values use the simple style without percent-encoding
+  static serializeHeader(paramDef, value) {
+    const normalized = this.normalizeValue(paramDef, value);
+
+    if (paramDef.content) {
+      return JSON.stringify(value);
+    }
+    if (Array.isArray(normalized)) {
+      return normalized.map(item => this.stringify(item)).join(',');
+    }
+    if (this.isObject(normalized)) {
+      return this.getExplode(paramDef)
+        ? Object.entries(normalized).map(([key, item]) => `${key}=${this.stringify(item)}`).join(',')
+        : this.objectPairs(normalized).join(',');
+    }
+    return this.stringify(normalized);
+  }
+
+  /**
+   * Cookie parameters as [[cookieName, value]]; exploded arrays and objects become several cookies
+   */
+  static serializeCookie(paramDef, value) {
+    const name = paramDef.name;
+    const normalized = this.normalizeValue(paramDef, value);
+    const explode = this.getExplode(paramDef);
+
+    if (paramDef.content) {
+      return [[name, JSON.stringify(value)]];
+    }
+    if (Array.isArray(normalized)) {
+      const items = normalized.map(item => this.stringify(item));
+      return explode ? items.map(item => [name, item]) : [[name, items.join(',')]];
+    }
+    if (this.isObject(normalized)) {
+      return explode
+        ? Object.entries(normalized).map(([key, item]) => [key, this.stringify(item)])
+        : [[name, this.objectPairs(normalized).join(',')]];
+    }
+    return [[name, this.stringify(normalized)]];
+  }
+
+  // Tool arguments for array parameters may arrive as "a,b"; accept that as well as real arrays
+  static normalizeValue(paramDef, value) {
+    if (paramDef.schema?.type === 'array' && typeof value === 'string') {
+      return value.split(',').map(item => item.trim()).filter(item => item !== '');
+    }
+    if (paramDef.schema?.type === 'array' && !Array.isArray(value)) {
+      return [value];
+    }
+    return value;
+  }
+
+  static flattenDeepObject(prefix, value, result = {}) {
+    for (const [key, item] of Object.entries(value)) {
+      const name = `${prefix}[${key}]`;
+      if (this.isObject(item)) {
+        this.flattenDeepObject(name, item, result);
+      } else if (Array.isArray(item)) {
+        result[name] = item.map(element => this.stringify(element));
+      } else {
+        result[name] = this.stringify(item);
+      }
+    }
+    return result;
+  }
+
+  // { a: 1, b: 2 } -> ['a', '1', 'b', '2']
+  static objectPairs(value) {
+    return Object.entries(value).flatMap(([key, item]) => [key, this.stringify(item)]);
+  }
+
+  static stringify(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -35,6 +35,9 @@ export class PerformanceMonitor {
       }
     };
 
+    // Response schema validation counters per operation
+    this.validationStats = new Map();
+
     // Real-time monitoring state
     this.monitoringState = {
       activeAlerts: new Map(),
@@ -627,6 +630,57 @@ export class PerformanceMonitor {
     return daysDiff > 0 ? metrics.totalCalls / daysDiff : metrics.totalCalls;
   }
 
+  /**
+   * Record the outcome of response schema validation
+   * @param {string} apiId - API identifier (spec name)
+   * @param {string} operationId - Operation that was validated
+   * @param {Object} validation - Result from ResponseValidator.validate
+   * @returns {Object} Updated validation stats for the operation
+   */
+  recordResponseValidation(apiId, operationId, validation) {
+    const key = `${apiId}:${operationId}`;
+
+    if (!this.validationStats.has(key)) {
+      this.validationStats.set(key, {
+        apiId: apiId,
+        operationId: operationId,
+        checked: 0,
+        failed: 0,
+        totalViolations: 0,
+        lastViolations: [],
+        lastViolationAt: null
+      });
+    }
+
+    const stats = this.validationStats.get(key);
+    stats.checked++;
+
+    if (!validation.valid) {
+      stats.failed++;
+      stats.totalViolations += validation.violationCount;
+      stats.lastViolations = validation.violations;
+      stats.lastViolationAt = Date.now();
+
+      logger.warn('Response schema violations', {
+        apiId: apiId,
+        operationId: operationId,
+        violations: validation.violationCount,
+        first: validation.violations[0]
+      });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Get response schema validation stats
+   * @returns {Array} Stats per operation, most recently violated first
+   */
+  getResponseValidationStats() {
+    return Array.from(this.validationStats.values())
+      .sort((a, b) => (b.lastViolationAt || 0) - (a.lastViolationAt || 0));
+  }
+
   /**
    * Clear performance data
    * @param {string} apiId - Optional API to clear (clears all if not specified)
@@ -634,11 +688,15 @@ export class PerformanceMonitor {
   clearPerformanceData(apiId = null) {
     if (apiId) {
       this.metrics.delete(apiId);
+      for (const [key, stats] of this.validationStats) {
+        if (stats.apiId === apiId) this.validationStats.delete(key);
+      }
       this.monitoringState.activeAlerts.delete(apiId);
       this.monitoringState.trendAnalysis.delete(apiId);
       this.monitoringState.performanceInsights.delete(apiId);
     } else {
       this.metrics.clear();
+      this.validationStats.clear();
       this.monitoringState.activeAlerts.clear();
       this.monitoringState.trendAnalysis.clear();
       this.monitoringState.performanceInsights.clear();
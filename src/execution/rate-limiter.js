@@ -0,0 +1,269 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Client-side rate limiting and quota tracking per upstream API (spec name)
+ *
+ * Settings (server-config `rateLimits`):
+ *   {
+ *     statePath,                       // quota counters file; null keeps them in memory
+ *     apis: {
+ *       [specName]: {
+ *         rate: { requests, intervalMs, burst, maxWaitMs },   // token bucket
+ *         quota: { daily, monthly },                           // request counts, reset at UTC midnight / month start
+ *         sharedWith                                           // spec whose bucket and quota this API also draws on
+ *       }
+ *     }
+ *   }
+ *
+ * Refusals throw an Error carrying error.limit = { type: 'rate_limited' | 'quota_exhausted', spec, retryAfterMs, resetsAt }
+ */
+
+/**
+ * Token bucket with FIFO queueing: callers reserve a token and wait for it,
+ * unless the wait would exceed maxWaitMs
+ */
+export class TokenBucket {
+  constructor({ requests = 1, intervalMs = 1000, burst, maxWaitMs = 0 } = {}) {
+    this.capacity = burst || requests;
+    this.refillPerMs = requests / intervalMs;
+    this.maxWaitMs = maxWaitMs;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Reserve a token; returns the wait in ms, or null when the wait would exceed maxWaitMs.
+   * A negative balance represents callers already queued.
+   */
+  reserve() {
+    this.refill();
+    const waitMs = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+
+    if (waitMs > this.maxWaitMs) {
+      return null;
+    }
+
+    this.tokens -= 1;
+    return waitMs;
+  }
+
+  // Time until one more token would be free for a new caller
+  nextAvailableInMs() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+}
+
+/**
+ * Daily and monthly request counters, persisted so restarts don't reset them
+ */
+export class QuotaTracker {
+  constructor(statePath = null) {
+    this.statePath = statePath;
+    this.counters = {};   // { [specName]: { day, daily, month, monthly } }
+    this.load();
+  }
+
+  load() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) {
+      return;
+    }
+
+    try {
+      this.counters = JSON.parse(fs.readFileSync(this.statePath, 'utf8')).counters || {};
+    } catch (error) {
+      logger.warn('Ignoring unreadable quota state file', { path: this.statePath, error: error.message });
+      this.counters = {};
+    }
+  }
+
+  save() {
+    if (!this.statePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+      fs.writeFileSync(this.statePath, JSON.stringify({ counters: this.counters }, null, 2));
+    } catch (error) {
+      logger.warn('Failed to persist quota state', { path: this.statePath, error: error.message });
+    }
+  }
+
+  // Counters for the current periods; stale periods start again from zero
+  current(specName, now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    const month = day.slice(0, 7);
+    const counter = this.counters[specName] || {};
+
+    if (counter.day !== day) {
+      counter.day = day;
+      counter.daily = 0;
+    }
+    if (counter.month !== month) {
+      counter.month = month;
+      counter.monthly = 0;
+    }
+
+    this.counters[specName] = counter;
+    return counter;
+  }
+
+  /**
+   * The exhausted period for a quota ({ period, limit, used, resetsAt }), or null when there is capacity
+   */
+  check(specName, quota = {}, now = new Date()) {
+    const counter = this.current(specName, now);
+
+    if (quota.daily !== undefined && counter.daily >= quota.daily) {
+      return { period: 'daily', limit: quota.daily, used: counter.daily, resetsAt: QuotaTracker.nextDay(now) };
+    }
+    if (quota.monthly !== undefined && counter.monthly >= quota.monthly) {
+      return { period: 'monthly', limit: quota.monthly, used: counter.monthly, resetsAt: QuotaTracker.nextMonth(now) };
+    }
+    return null;
+  }
+
+  /**
+   * Check and count one request in the same synchronous step, so concurrent callers
+   * cannot both take the last unit. Returns the exhausted period like check(), or null once counted.
+   */
+  reserve(specName, quota = {}, now = new Date()) {
+    const exhausted = this.check(specName, quota, now);
+    if (!exhausted) {
+      this.increment(specName, now);
+    }
+    return exhausted;
+  }
+
+  // Give back a reserved unit for a request that was never sent
+  release(specName, now = new Date()) {
+    const counter = this.current(specName, now);
+    counter.daily = Math.max(counter.daily - 1, 0);
+    counter.monthly = Math.max(counter.monthly - 1, 0);
+    this.save();
+  }
+
+  increment(specName, now = new Date()) {
+    const counter = this.current(specName, now);
+    counter.daily += 1;
+    counter.monthly += 1;
+    this.save();
+  }
+
+  getUsage(quotas = {}, now = new Date()) {
+    return Object.entries(quotas).map(([specName, quota]) => {
+      const counter = this.current(specName, now);
+      return {
+        spec: specName,
+        daily: quota.daily !== undefined ? `${counter.daily}/${quota.daily}` : `${counter.daily}`,
+        monthly: quota.monthly !== undefined ? `${counter.monthly}/${quota.monthly}` : `${counter.monthly}`
+      };
+    });
+  }
+
+  static nextDay(now) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+
+  static nextMonth(now) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+}
+
+export class RateLimiter {
+  constructor(settings = {}) {
+    this.apis = settings.apis || {};
+    this.buckets = new Map();
+    this.quotaTracker = new QuotaTracker(settings.statePath || null);
+
+    for (const [specName, apiSettings] of Object.entries(this.apis)) {
+      if (apiSettings.rate) {
+        this.buckets.set(specName, new TokenBucket(apiSettings.rate));
+      }
+    }
+  }
+
+  /**
+   * Wait for capacity before sending a request to the spec's API.
+   * Quota is reserved first so a queued caller never waits for a request that will be refused;
+   * the unit is given back when the rate limit then refuses the call.
+   */
+  async acquire(requestedSpec) {
+    const specName = this.apis[requestedSpec]?.sharedWith || requestedSpec;
+    const settings = this.apis[specName];
+    if (!settings) {
+      return;
+    }
+
+    if (settings.quota) {
+      const exhausted = this.quotaTracker.reserve(specName, settings.quota);
+      if (exhausted) {
+        throw this.limitError(
+          `${specName} ${exhausted.period} quota of ${exhausted.limit} requests is used up; ` +
+          `capacity returns at ${exhausted.resetsAt.toISOString()}`,
+          {
+            type: 'quota_exhausted',
+            spec: specName,
+            period: exhausted.period,
+            limit: exhausted.limit,
+            resetsAt: exhausted.resetsAt.toISOString(),
+            retryAfterMs: exhausted.resetsAt.getTime() - Date.now()
+          }
+        );
+      }
+    }
+
+    const bucket = this.buckets.get(specName);
+    if (bucket) {
+      const waitMs = bucket.reserve();
+      if (waitMs === null) {
+        if (settings.quota) {
+          this.quotaTracker.release(specName);
+        }
+        const retryAfterMs = bucket.nextAvailableInMs();
+        throw this.limitError(
+          `${specName} client-side rate limit reached; capacity returns in ${Math.ceil(retryAfterMs / 1000)}s`,
+          {
+            type: 'rate_limited',
+            spec: specName,
+            retryAfterMs,
+            resetsAt: new Date(Date.now() + retryAfterMs).toISOString()
+          }
+        );
+      }
+      if (waitMs > 0) {
+        logger.debug('Queued for rate limit', { spec: specName, waitMs });
+        await this.sleep(waitMs);
+      }
+    }
+  }
+
+  limitError(message, limit) {
+    const error = new Error(message);
+    error.limit = limit;
+    return error;
+  }
+
+  getStatus() {
+    const quotas = Object.fromEntries(
+      Object.entries(this.apis).filter(([, settings]) => settings.quota).map(([specName, settings]) => [specName, settings.quota])
+    );
+    return {
+      rateLimitedApis: [...this.buckets.keys()],
+      quotas: this.quotaTracker.getUsage(quotas)
+    };
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
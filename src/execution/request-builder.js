@@ -1,14 +1,23 @@
+import fs from 'fs';
+import path from 'path';
+import { ServerSelector } from './server-selector.js';
+import { ParameterSerializer } from './parameter-serializer.js';
+import { SchemaValidator } from '../utils/schema-validator.js';
+import { SecuritySchemes } from '../authentication/security-schemes.js';
+
 export class RequestBuilder {
-  static buildRequest(operationDetails, userParameters, authConfig) {
+  static buildRequest(operationDetails, userParameters, authConfig, options = {}) {
     try {
-      // Extract server URL from OpenAPI spec
-      const baseUrl = this.extractServerUrl(operationDetails);
+      // Extract server URL from OpenAPI spec (honouring configured server selection) unless the caller chose one
+      const baseUrl = options.baseUrl || this.extractServerUrl(operationDetails, options.serverSelection);
       
       // Map user parameters to OpenAPI parameters
       const mappedParams = this.mapParameters(userParameters, operationDetails.parameters);
       
       // Add authentication parameters to mapped params
-      this.addAuthParametersToMapped(mappedParams, operationDetails, authConfig);
+      if (options.authenticate !== false) {
+        this.addAuthParametersToMapped(mappedParams, operationDetails, authConfig);
+      }
       
       // Validate all required parameters are present (including auth)
       const validation = this.validateParameters(mappedParams, operationDetails.parameters);
@@ -21,33 +30,47 @@ export class RequestBuilder {
         method: operationDetails.method.toLowerCase(),
         url: baseUrl + operationDetails.path,
         params: {},
+        // Exploded arrays repeat the key (ids=1&ids=2) instead of axios' ids[]=1 form
+        paramsSerializer: { indexes: null },
         headers: {
-          'Accept': 'application/json',
+          'Accept': this.negotiateAccept(operationDetails.responses),
           'User-Agent': 'MCP-Gateway/1.0.0'
         },
         timeout: 10000
       };
       
-      // Add parameters based on their location (query, path, header)
+      // Add parameters based on their location (query, path, header, cookie)
       for (const [paramName, paramValue] of Object.entries(mappedParams)) {
         const paramDef = operationDetails.parameters.find(p => p.name === paramName);
         if (!paramDef) continue;
         
+        // Values are serialized per the parameter's OpenAPI style/explode
         switch (paramDef.in) {
           case 'query':
-            requestConfig.params[paramName] = paramValue;
+            Object.assign(requestConfig.params, ParameterSerializer.serializeQuery(paramDef, paramValue));
             break;
           case 'path':
-            requestConfig.url = requestConfig.url.replace(`{${paramName}}`, encodeURIComponent(paramValue));
+            requestConfig.url = requestConfig.url.replace(`{${paramName}}`, ParameterSerializer.serializePath(paramDef, paramValue));
             break;
           case 'header':
-            requestConfig.headers[paramName] = paramValue;
+            requestConfig.headers[paramName] = ParameterSerializer.serializeHeader(paramDef, paramValue);
+            break;
+          case 'cookie':
+            for (const [cookieName, cookieValue] of ParameterSerializer.serializeCookie(paramDef, paramValue)) {
+              SecuritySchemes.appendCookie(requestConfig.headers, cookieName, cookieValue);
+            }
             break;
         }
       }
       
-      // Add authentication to request config
-      this.addAuthentication(requestConfig, operationDetails, authConfig);
+      // Serialize the request body for the operation's requestBody media type
+      this.addRequestBody(requestConfig, operationDetails, userParameters, options);
+      
+      // Add authentication from the spec's security schemes (OAuth2 tokens are fetched by the executor);
+      // authenticate: false leaves it to the caller, e.g. the Maybank adapter's own bearer headers
+      if (options.authenticate !== false) {
+        this.addAuthentication(requestConfig, operationDetails, authConfig, options.oauthTokens);
+      }
       
       return requestConfig;
     } catch (error) {
@@ -55,18 +78,199 @@ export class RequestBuilder {
     }
   }
 
-  static extractServerUrl(operationDetails) {
-    if (!operationDetails.servers || operationDetails.servers.length === 0) {
-      throw new Error('No servers defined in OpenAPI spec');
+  /**
+   * Build requestConfig.data from the tool arguments.
+   * Body fields arrive flattened into the arguments, or as a single 'body' argument
+   * for non-object bodies (see server.addRequestBodyToInputSchema).
+   */
+  static addRequestBody(requestConfig, operationDetails, userParameters, options = {}) {
+    const requestBody = operationDetails.requestBody;
+    const content = requestBody?.content;
+    if (!content || Object.keys(content).length === 0) {
+      return;
     }
-    
-    // Use the first server URL
-    const serverUrl = operationDetails.servers[0].url;
-    if (!serverUrl) {
-      throw new Error('Server URL is empty');
+
+    const mediaType = this.selectBodyMediaType(content);
+    const schema = content[mediaType].schema || {};
+    const { value: body, pointer } = this.extractBody(userParameters, schema, operationDetails.parameters);
+
+    const errors = this.validateBody(body, schema, requestBody.required === true, pointer);
+    if (errors.length > 0) {
+      throw new Error(`Request body validation failed: ${errors.join(', ')}`);
     }
-    
-    return serverUrl;
+    if (body === undefined) {
+      return;
+    }
+
+    const kind = this.bodyKind(mediaType);
+    try {
+      requestConfig.data = this.serializeBody(body, kind, schema, content[mediaType].encoding || {}, options.uploadRoot);
+    } catch (error) {
+      throw new Error(`Request body validation failed: ${error.message}`);
+    }
+
+    // multipart boundaries are set by axios from the FormData
+    if (kind !== 'multipart') {
+      requestConfig.headers['Content-Type'] = kind === 'json' && mediaType.includes('*') ? 'application/json' : mediaType;
+    }
+  }
+
+  // How a media type is serialized, or null when unsupported
+  static bodyKind(mediaType) {
+    const type = mediaType.split(';')[0].trim().toLowerCase();
+
+    if (type === 'application/json' || type.endsWith('+json') || type === '*/*' || type === 'application/*') {
+      return 'json';
+    }
+    if (type === 'application/x-www-form-urlencoded') {
+      return 'form';
+    }
+    if (type === 'multipart/form-data') {
+      return 'multipart';
+    }
+    if (type.startsWith('text/')) {
+      return 'text';
+    }
+    return null;
+  }
+
+  // JSON first, then form, multipart and text; multipart wins when it carries file fields
+  static selectBodyMediaType(content) {
+    const mediaTypes = Object.keys(content).filter(type => this.bodyKind(type));
+    if (mediaTypes.length === 0) {
+      throw new Error(`Unsupported request body media type: ${Object.keys(content).join(', ')}`);
+    }
+
+    const byKind = kind => mediaTypes.find(type => this.bodyKind(type) === kind);
+    const multipart = byKind('multipart');
+    if (multipart && this.binaryFields(content[multipart].schema).length > 0) {
+      return multipart;
+    }
+
+    return byKind('json') || byKind('form') || multipart || byKind('text');
+  }
+
+  // Returns { value, pointer }: pointer is where the body sits in the tool arguments ('' when flattened)
+  static extractBody(userParameters, schema, parameters = []) {
+    const properties = schema.properties || {};
+
+    if (userParameters.body !== undefined && !properties.body) {
+      return { value: userParameters.body, pointer: '/body' };
+    }
+
+    const parameterNames = new Set(parameters.map(param => param.name));
+    const fields = {};
+    for (const name of Object.keys(properties)) {
+      if (userParameters[name] !== undefined && !parameterNames.has(name)) {
+        fields[name] = userParameters[name];
+      }
+    }
+
+    return { value: Object.keys(fields).length > 0 ? fields : undefined, pointer: '' };
+  }
+
+  static validateBody(body, schema, required, pointer = '') {
+    if (body === undefined) {
+      return required ? ['Request body is required'] : [];
+    }
+
+    const result = SchemaValidator.validate(body, schema, { rootPath: pointer });
+    return SchemaValidator.formatErrors(result.errors);
+  }
+
+  static serializeBody(body, kind, schema, encoding, uploadRoot) {
+    switch (kind) {
+      case 'json':
+        return body !== null && typeof body === 'object' ? body : JSON.stringify(body);
+      case 'form':
+        return this.serializeFormBody(body);
+      case 'multipart':
+        return this.serializeMultipartBody(body, schema, encoding, uploadRoot);
+      default:
+        return typeof body === 'string' ? body : JSON.stringify(body);
+    }
+  }
+
+  // Arrays repeat the key; nested objects are sent as JSON
+  static serializeFormBody(body) {
+    const form = new URLSearchParams();
+    for (const [name, value] of Object.entries(body || {})) {
+      if (value === undefined || value === null) continue;
+      for (const item of Array.isArray(value) ? value : [value]) {
+        form.append(name, typeof item === 'object' ? JSON.stringify(item) : String(item));
+      }
+    }
+    return form.toString();
+  }
+
+  static serializeMultipartBody(body, schema, encoding, uploadRoot) {
+    const form = new FormData();
+    const fileFields = this.binaryFields(schema);
+
+    for (const [name, value] of Object.entries(body || {})) {
+      if (value === undefined || value === null) continue;
+
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (fileFields.includes(name)) {
+          const file = this.readFilePart(item, encoding[name]?.contentType, uploadRoot);
+          form.append(name, file.blob, file.filename);
+        } else if (typeof item === 'object') {
+          form.append(name, new Blob([JSON.stringify(item)], { type: 'application/json' }));
+        } else {
+          form.append(name, String(item));
+        }
+      }
+    }
+    return form;
+  }
+
+  // Properties holding file content (format: binary), whose argument values are local paths
+  static binaryFields(schema = {}) {
+    return Object.entries(schema.properties || {})
+      .filter(([, property]) => property.format === 'binary' || property.items?.format === 'binary')
+      .map(([name]) => name);
+  }
+
+  // File paths come from tool arguments, so nothing is read without an upload directory to contain them
+  static readFilePart(filePath, contentType, uploadRoot) {
+    if (!uploadRoot) {
+      throw new Error(`Upload file '${filePath}' refused: no upload directory is configured`);
+    }
+
+    const resolved = path.resolve(uploadRoot, String(filePath));
+    const relative = path.relative(path.resolve(uploadRoot), resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Upload file '${filePath}' is outside the upload directory`);
+    }
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+      throw new Error(`Upload file '${filePath}' does not exist`);
+    }
+
+    return {
+      blob: new Blob([fs.readFileSync(resolved)], { type: contentType || 'application/octet-stream' }),
+      filename: path.basename(resolved)
+    };
+  }
+
+  // Prefer JSON; otherwise accept whatever the success responses declare
+  static negotiateAccept(responses = {}) {
+    const mediaTypes = new Set();
+    for (const [status, response] of Object.entries(responses || {})) {
+      if (/^2/.test(status) || status === 'default') {
+        Object.keys(response?.content || {}).forEach(type => mediaTypes.add(type));
+      }
+    }
+
+    const types = [...mediaTypes];
+    if (types.length === 0 || types.some(type => this.bodyKind(type) === 'json')) {
+      return 'application/json';
+    }
+    return types.join(', ');
+  }
+
+  static extractServerUrl(operationDetails, serverSelection = null) {
+    // Without a selection config this is the spec's first server
+    return ServerSelector.resolve(operationDetails, serverSelection);
   }
 
   static mapParameters(userParams, operationParams) {
@@ -139,95 +343,66 @@ export class RequestBuilder {
     };
   }
 
+  // Full JSON Schema check; errors are JSON pointers rooted at the argument name ('/units')
   static validateParameterType(value, schema, paramName) {
-    try {
-      switch (schema.type) {
-        case 'string':
-          if (typeof value !== 'string') {
-            return { valid: false, error: `Parameter '${paramName}' must be a string` };
-          }
-          
-          // Check enum values if specified
-          if (schema.enum && !schema.enum.includes(value)) {
-            return { 
-              valid: false, 
-              error: `Parameter '${paramName}' must be one of: ${schema.enum.join(', ')}` 
-            };
-          }
-          break;
-          
-        case 'number':
-        case 'integer':
-          if (typeof value !== 'number' && !(!isNaN(parseFloat(value)) && isFinite(value))) {
-            return { valid: false, error: `Parameter '${paramName}' must be a number` };
-          }
-          break;
-          
-        case 'boolean':
-          if (typeof value !== 'boolean' && value !== 'true' && value !== 'false') {
-            return { valid: false, error: `Parameter '${paramName}' must be a boolean` };
-          }
-          break;
-      }
-      
+    const result = SchemaValidator.validate(this.coerceParameterValue(value, schema), schema, {
+      rootPath: SchemaValidator.childPath('', paramName)
+    });
+
+    if (result.valid) {
       return { valid: true };
-    } catch (error) {
-      return { valid: false, error: `Parameter validation error for '${paramName}': ${error.message}` };
+    }
+    return {
+      valid: false,
+      error: SchemaValidator.formatErrors(result.errors).join(', '),
+      errors: result.errors
+    };
+  }
+
+  // Query-style strings ('5', 'true', 'a,b') are accepted for typed parameters
+  static coerceParameterValue(value, schema = {}) {
+    if (schema.type === 'array') {
+      const items = ParameterSerializer.normalizeValue({ schema }, value);
+      return Array.isArray(items) ? items.map(item => this.coerceParameterValue(item, schema.items)) : items;
+    }
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    switch (schema.type) {
+      case 'number':
+      case 'integer':
+        return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+      case 'boolean':
+        return value === 'true' ? true : value === 'false' ? false : value;
+      default:
+        return value;
     }
   }
 
+  // Parameters that duplicate an apiKey scheme (e.g. weather's required 'appid') take the configured key
   static addAuthParametersToMapped(mappedParams, operationDetails, authConfig) {
-    // Add API key to mapped parameters for weather API
-    if (operationDetails.specName === 'weather' && authConfig && authConfig.weather) {
-      const weatherApiKey = authConfig.weather.apiKey;
-      if (weatherApiKey && !mappedParams.appid) {
-        mappedParams.appid = weatherApiKey;
+    for (const supplied of SecuritySchemes.suppliedParameters(operationDetails, authConfig)) {
+      if (mappedParams.hasOwnProperty(supplied.name)) {
+        continue;
+      }
+
+      const declared = (operationDetails.parameters || []).some(p => p.name === supplied.name && p.in === supplied.in);
+      if (declared) {
+        mappedParams[supplied.name] = supplied.apiKey;
       }
     }
   }
 
-  static addAuthentication(requestConfig, operationDetails, authConfig) {
+  static addAuthentication(requestConfig, operationDetails, authConfig, oauthTokens = {}) {
     try {
-      // Handle API key authentication based on OpenAPI security schemes
-      const spec = operationDetails.spec;
-      
-      if (spec.components && spec.components.securitySchemes) {
-        for (const [schemeName, scheme] of Object.entries(spec.components.securitySchemes)) {
-          if (scheme.type === 'apiKey') {
-            // Get API key from auth config based on spec name
-            const apiKey = this.getApiKeyForSpec(operationDetails.specName, authConfig);
-            
-            if (apiKey) {
-              if (scheme.in === 'query') {
-                requestConfig.params[scheme.name] = apiKey;
-              } else if (scheme.in === 'header') {
-                requestConfig.headers[scheme.name] = apiKey;
-              }
-            }
-          }
-        }
-      }
-      
-      // Fallback: if no security scheme but we know it's weather API, add appid
-      if (operationDetails.specName === 'weather' && authConfig && authConfig.weather) {
-        const weatherApiKey = authConfig.weather.apiKey;
-        if (weatherApiKey && !requestConfig.params.appid) {
-          requestConfig.params.appid = weatherApiKey;
-        }
-      }
+      SecuritySchemes.apply(requestConfig, operationDetails, authConfig, oauthTokens);
     } catch (error) {
       throw new Error(`Failed to add authentication: ${error.message}`);
     }
   }
 
   static getApiKeyForSpec(specName, authConfig) {
-    if (!authConfig) return null;
-    
-    switch (specName) {
-      case 'weather':
-        return authConfig.weather?.apiKey;
-      default:
-        return null;
-    }
+    return authConfig?.[specName]?.apiKey || null;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,315 @@
+/**
+ * Markdown rendering of operation results, driven by the OpenAPI response schema
+ *
+ *   objects            -> "**Label:** value" lines; nested objects get a sub-heading
+ *   arrays of objects  -> Markdown tables of their scalar fields (at most maxTableRows rows)
+ *   money-like fields  -> amounts with their currency (x-currency, a sibling currency field or x-format currency)
+ *   long strings       -> truncated to maxTextLength
+ *
+ * Operations override the layout with an `x-format` extension:
+ *   {
+ *     title: 'Weather in {{name}}',                  // heading
+ *     template: ['Temperature: {{main.temp}}°C'],     // replaces the generic object rendering
+ *     tables: [{ path: 'result.items', title, columns: { Header: 'field' } }],
+ *     columns: { Header: 'field' },                  // columns for tables rendered generically
+ *     currency: 'MYR', moneyFields: ['value'],
+ *     hide: ['cardImage', 'result.exception']        // field names or dotted paths
+ *   }
+ * Template placeholders are dotted paths into the response body ('weather.0.main');
+ * `{{path | money}}` formats an amount and `{{path | count}}` counts an array.
+ */
+
+const DEFAULT_SETTINGS = {
+  maxTextLength: 280,
+  maxCellLength: 60,
+  maxTableRows: 25,
+  maxTableColumns: 8,
+  maxDepth: 3,
+  locale: 'en-US',
+  currency: null
+};
+
+// Field names that carry amounts when a currency is known
+const MONEY_FIELD = /(amount|balance|price|total|fee|cost)$/i;
+const CURRENCY_FIELDS = ['currency', 'currencyCode'];
+const PLACEHOLDER = /\{\{\s*([^}|\s]+)\s*(?:\|\s*(\w+)(?::(\w+))?\s*)?\}\}/g;
+
+export class ResponseFormatter {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+  }
+
+  /**
+   * Render a response body; schema may be null (e.g. for select results) and is then inferred from the data
+   */
+  render(data, schema, format = {}) {
+    const context = { format, currency: format.currency || this.settings.currency };
+    const sections = [];
+
+    if (format.title) {
+      sections.push(`## ${this.interpolate(format.title, data, context)}`);
+    }
+
+    if (format.template) {
+      const template = Array.isArray(format.template) ? format.template.join('\n') : format.template;
+      sections.push(this.interpolate(template, data, context));
+    } else if (!format.tables) {
+      sections.push(this.renderValue(data, schema, '', 0, context));
+    }
+
+    for (const table of format.tables || []) {
+      const rows = ResponseFormatter.getPath(data, table.path);
+      const rendered = Array.isArray(rows)
+        ? this.renderTable(rows, ResponseFormatter.schemaAt(schema, table.path)?.items, context, table.columns)
+        : '_(none)_';
+      sections.push(table.title ? `### ${table.title}\n\n${rendered}` : rendered);
+    }
+
+    return sections.filter(section => section !== '').join('\n\n');
+  }
+
+  renderValue(value, schema, path, depth, context) {
+    if (Array.isArray(value)) {
+      return this.renderArray(value, schema, depth, context);
+    }
+    if (ResponseFormatter.isObject(value)) {
+      return this.renderObject(value, schema, path, depth, context);
+    }
+    return this.formatScalar(value, ResponseFormatter.lastKey(path), schema, context, this.settings.maxTextLength);
+  }
+
+  renderObject(object, schema, path, depth, context) {
+    const currency = this.currencyOf(object, schema) || context.currency;
+    const scopedContext = { ...context, currency };
+    const lines = [];
+    const sections = [];
+
+    for (const [key, value] of this.visibleEntries(object, schema, path, context)) {
+      const childPath = path ? `${path}.${key}` : key;
+      const childSchema = schema?.properties?.[key];
+      const label = childSchema?.title || ResponseFormatter.humanize(key);
+
+      if (ResponseFormatter.isObject(value) || Array.isArray(value)) {
+        if (depth >= this.settings.maxDepth) {
+          lines.push(`- **${label}:** ${this.truncate(JSON.stringify(value), this.settings.maxTextLength)}`);
+        } else if (Array.isArray(value) && !value.some(ResponseFormatter.isObject)) {
+          lines.push(`- **${label}:** ${this.renderArray(value, childSchema, depth + 1, scopedContext)}`);
+        } else {
+          const heading = '#'.repeat(Math.min(depth + 3, 6));
+          sections.push(`${heading} ${label}\n\n${this.renderValue(value, childSchema, childPath, depth + 1, scopedContext)}`);
+        }
+      } else {
+        lines.push(`- **${label}:** ${this.formatScalar(value, key, childSchema, scopedContext, this.settings.maxTextLength)}`);
+      }
+    }
+
+    if (lines.length === 0 && sections.length === 0) {
+      return '_(empty)_';
+    }
+    return [lines.join('\n'), ...sections].filter(part => part !== '').join('\n\n');
+  }
+
+  renderArray(items, schema, depth, context) {
+    if (items.length === 0) {
+      return '_(none)_';
+    }
+    if (items.some(ResponseFormatter.isObject)) {
+      return this.renderTable(items, schema?.items, context, context.format.columns);
+    }
+
+    const shown = items.slice(0, this.settings.maxTableRows)
+      .map(item => this.formatScalar(item, null, schema?.items, context, this.settings.maxCellLength));
+    const more = items.length - shown.length;
+    return shown.join(', ') + (more > 0 ? ` … and ${more} more` : '');
+  }
+
+  /**
+   * Markdown table of an array of objects; columns are { Header: 'dotted.path' }
+   * or derived from the scalar fields that carry a value in some row
+   */
+  renderTable(rows, itemSchema, context, columns) {
+    const objects = rows.filter(ResponseFormatter.isObject);
+    const columnMap = columns || this.deriveColumns(objects, itemSchema, context);
+    const headers = Object.keys(columnMap);
+    if (headers.length === 0) {
+      return '_(no fields to show)_';
+    }
+
+    const shown = objects.slice(0, this.settings.maxTableRows);
+    const lines = [
+      `| ${headers.map(header => this.escapeCell(header)).join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`
+    ];
+
+    for (const row of shown) {
+      const rowContext = { ...context, currency: this.currencyOf(row, itemSchema) || context.currency };
+      const cells = headers.map(header => {
+        const fieldPath = columnMap[header];
+        const value = ResponseFormatter.getPath(row, fieldPath);
+        const fieldSchema = ResponseFormatter.schemaAt(itemSchema, fieldPath);
+        const text = ResponseFormatter.isObject(value) || Array.isArray(value)
+          ? this.truncate(JSON.stringify(value), this.settings.maxCellLength)
+          : this.formatScalar(value, ResponseFormatter.lastKey(fieldPath), fieldSchema, rowContext, this.settings.maxCellLength);
+        return this.escapeCell(text);
+      });
+      lines.push(`| ${cells.join(' | ')} |`);
+    }
+
+    if (objects.length > shown.length) {
+      lines.push('', `_Showing ${shown.length} of ${objects.length} rows._`);
+    }
+    return lines.join('\n');
+  }
+
+  deriveColumns(rows, itemSchema, context) {
+    const keys = new Set(Object.keys(itemSchema?.properties || {}));
+    for (const row of rows) {
+      Object.keys(row).forEach(key => keys.add(key));
+    }
+
+    const columns = {};
+    for (const key of keys) {
+      const filled = rows.some(row => row[key] !== null && row[key] !== undefined && row[key] !== '' &&
+        !ResponseFormatter.isObject(row[key]) && !Array.isArray(row[key]));
+      if (filled && !this.isHidden(key, key, context)) {
+        columns[itemSchema?.properties?.[key]?.title || ResponseFormatter.humanize(key)] = key;
+      }
+      if (Object.keys(columns).length >= this.settings.maxTableColumns) {
+        break;
+      }
+    }
+    return columns;
+  }
+
+  // Entries worth showing: no nulls, empty strings or hidden fields
+  visibleEntries(object, schema, path, context) {
+    return Object.entries(object).filter(([key, value]) =>
+      value !== null && value !== undefined && value !== '' &&
+      !this.isHidden(key, path ? `${path}.${key}` : key, context)
+    );
+  }
+
+  isHidden(key, path, context) {
+    const hide = context.format.hide || [];
+    return hide.includes(key) || hide.includes(path);
+  }
+
+  formatScalar(value, key, schema, context, maxLength) {
+    if (value === null || value === undefined) {
+      return '—';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'Yes' : 'No';
+    }
+    if (this.isMoney(key, schema, context)) {
+      const money = this.formatMoney(value, schema?.['x-currency'] || context.currency);
+      if (money !== null) {
+        return money;
+      }
+    }
+    return this.truncate(String(value), maxLength);
+  }
+
+  isMoney(key, schema, context) {
+    if (schema?.['x-currency'] || schema?.format === 'money') {
+      return true;
+    }
+    if (!context.currency || !key) {
+      return false;
+    }
+    return (context.format.moneyFields || []).includes(key) || MONEY_FIELD.test(key);
+  }
+
+  // null when the value is not a number or no currency is known
+  formatMoney(value, currency) {
+    const amount = typeof value === 'number' ? value : Number(value);
+    if (!currency || value === '' || !Number.isFinite(amount)) {
+      return null;
+    }
+
+    try {
+      return new Intl.NumberFormat(this.settings.locale, {
+        style: 'currency',
+        currency,
+        currencyDisplay: 'narrowSymbol'
+      }).format(amount);
+    } catch {
+      // Not an ISO 4217 code; show it as given
+      return `${currency} ${amount.toFixed(2)}`;
+    }
+  }
+
+  currencyOf(object, schema) {
+    if (schema?.['x-currency']) {
+      return schema['x-currency'];
+    }
+    const field = CURRENCY_FIELDS.find(name => typeof object[name] === 'string' && /^[A-Za-z]{3}$/.test(object[name]));
+    return field ? object[field].toUpperCase() : null;
+  }
+
+  interpolate(template, data, context) {
+    return String(template).replace(PLACEHOLDER, (match, path, filter, argument) => {
+      const value = ResponseFormatter.getPath(data, path);
+
+      if (filter === 'count') {
+        return Array.isArray(value) ? String(value.length) : '0';
+      }
+      if (filter === 'money') {
+        return this.formatMoney(value, argument || context.currency) ?? this.formatScalar(value, null, null, context, this.settings.maxTextLength);
+      }
+      if (ResponseFormatter.isObject(value) || Array.isArray(value)) {
+        return this.truncate(JSON.stringify(value), this.settings.maxTextLength);
+      }
+      return this.formatScalar(value, null, null, context, this.settings.maxTextLength);
+    });
+  }
+
+  truncate(text, maxLength) {
+    if (text.length <= maxLength) {
+      return text;
+    }
+    return `${text.slice(0, maxLength).trimEnd()}… (${text.length - maxLength} more characters)`;
+  }
+
+  escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+
+  static getPath(object, path) {
+    if (path === undefined || path === null || path === '') {
+      return object;
+    }
+    return String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  // Sub-schema for a dotted path; numeric segments step into array items
+  static schemaAt(schema, path) {
+    if (path === undefined || path === null || path === '') {
+      return schema;
+    }
+    return String(path).split('.').reduce((current, key) => {
+      if (!current) {
+        return undefined;
+      }
+      return /^\d+$/.test(key) ? current.items : current.properties?.[key];
+    }, schema);
+  }
+
+  static lastKey(path) {
+    return path ? String(path).split('.').pop() : null;
+  }
+
+  // 'feels_like' -> 'Feels like', 'accountListings' -> 'Account listings'
+  static humanize(key) {
+    const words = String(key)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/[_-]+/g, ' ')
+      .trim()
+      .toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
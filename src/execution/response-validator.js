@@ -0,0 +1,103 @@
+import { SchemaValidator } from '../utils/schema-validator.js';
+
+// Modes: 'off' skips validation, 'warn' reports violations, 'strict' fails the operation
+export const RESPONSE_VALIDATION_MODES = ['off', 'warn', 'strict'];
+
+// Keep tool results readable when a payload drifts badly
+const MAX_REPORTED_VIOLATIONS = 20;
+
+/**
+ * Validates upstream responses against the operation's OpenAPI response schema
+ * Settings: { mode, specs: { [specName]: mode }, operations: { [toolName|operationId]: mode } }
+ */
+export class ResponseValidator {
+  constructor(settings = {}) {
+    this.mode = settings.mode || 'warn';
+    this.specModes = settings.specs || {};
+    this.operationModes = settings.operations || {};
+
+    for (const mode of [this.mode, ...Object.values(this.specModes), ...Object.values(this.operationModes)]) {
+      if (!RESPONSE_VALIDATION_MODES.includes(mode)) {
+        throw new Error(`Invalid response validation mode '${mode}' (expected one of: ${RESPONSE_VALIDATION_MODES.join(', ')})`);
+      }
+    }
+  }
+
+  getMode(operationDetails) {
+    return this.operationModes[operationDetails.toolName] ||
+      this.operationModes[operationDetails.operationId] ||
+      this.specModes[operationDetails.specName] ||
+      this.mode;
+  }
+
+  /**
+   * Validate an HTTP response ({ status, data, headers }) for an operation.
+   * Returns null when validation is off.
+   */
+  validate(apiResponse, operationDetails) {
+    const mode = this.getMode(operationDetails);
+    if (mode === 'off') {
+      return null;
+    }
+
+    const schema = ResponseValidator.selectResponseSchema(
+      operationDetails.responses,
+      apiResponse.status,
+      apiResponse.headers?.['content-type']
+    );
+
+    if (!schema) {
+      return {
+        mode,
+        status: apiResponse.status,
+        checked: false,
+        valid: true,
+        violations: []
+      };
+    }
+
+    const result = SchemaValidator.validate(apiResponse.data, schema);
+
+    return {
+      mode,
+      status: apiResponse.status,
+      checked: true,
+      valid: result.valid,
+      violationCount: result.errors.length,
+      violations: result.errors.slice(0, MAX_REPORTED_VIOLATIONS)
+    };
+  }
+
+  /**
+   * Pick the response schema for a status code: exact match, then '2XX'-style range, then 'default'
+   */
+  static selectResponseSchema(responses = {}, status, contentType = '') {
+    const statusKey = String(status);
+    const response = responses[statusKey] ||
+      responses[`${statusKey.charAt(0)}XX`] ||
+      responses[`${statusKey.charAt(0)}xx`] ||
+      responses.default;
+
+    const content = response?.content;
+    if (!content) {
+      return null;
+    }
+
+    const mediaTypes = Object.keys(content);
+    const baseContentType = String(contentType).split(';')[0].trim();
+    const mediaType = mediaTypes.find(type => type === baseContentType) ||
+      mediaTypes.find(type => type.includes('json')) ||
+      mediaTypes[0];
+
+    return content[mediaType]?.schema || null;
+  }
+
+  static summarize(validation) {
+    const lines = SchemaValidator.formatErrors(validation.violations);
+    const hidden = validation.violationCount - validation.violations.length;
+    if (hidden > 0) {
+      lines.push(`... and ${hidden} more`);
+    }
+    return lines;
+  }
+}
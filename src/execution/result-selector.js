@@ -0,0 +1,71 @@
+import jmespath from 'jmespath';
+
+/**
+ * Projection and filtering of operation results with a `select` tool argument
+ *
+ * Expressions are JMESPath (https://jmespath.org) evaluated against the upstream
+ * response body, before any formatting:
+ *   result.accountListings[?primary].{name: name, balance: balance}
+ *   articles[:5].[title, url]
+ */
+
+// Tool argument carrying the expression; never sent upstream
+export const SELECT_ARGUMENT = 'select';
+
+// Shown in every operation tool so callers know the language without looking it up
+export const SELECT_SYNTAX =
+  'JMESPath expression applied to the response body to keep only what you need. ' +
+  'Syntax: a.b (field), a[0] / a[-1] / a[:5] (index, slice), a[*].b (project each item), ' +
+  "a[?b == 'x'] / a[?b > `10`] / a[?flag] (filter; && || ! allowed), " +
+  '{name: a, total: b.c} (pick and rename), [a, b] (list), a | b (pipe), ' +
+  'functions such as length(a), sort_by(a, &b), contains(a, \'x\'). ' +
+  'Literals: \'text\' or `10`. Example: result.accountListings[?primary].{name: name, balance: balance}';
+
+export class ResultSelector {
+  /**
+   * Whether the tool call carries a select expression the operation does not claim as its own parameter
+   */
+  static appliesTo(operationDetails, userParameters = {}) {
+    return userParameters[SELECT_ARGUMENT] !== undefined &&
+      !operationDetails.parameters?.some(param => param.name === SELECT_ARGUMENT);
+  }
+
+  // Split tool arguments into the expression and the parameters sent upstream
+  static splitArguments(userParameters = {}) {
+    const { [SELECT_ARGUMENT]: expression, ...parameters } = userParameters;
+    return { expression, parameters };
+  }
+
+  /**
+   * Parse an expression up front so a bad one fails before anything is sent upstream
+   */
+  static compile(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw this.selectError(expression, 'expected a non-empty string');
+    }
+
+    try {
+      return jmespath.compile(expression);
+    } catch (error) {
+      throw this.selectError(expression, error.message);
+    }
+  }
+
+  static apply(data, expression) {
+    this.compile(expression);
+
+    try {
+      const selected = jmespath.search(data, expression);
+      return selected === undefined ? null : selected;
+    } catch (error) {
+      // Runtime failures: unknown functions, wrong argument types
+      throw this.selectError(expression, error.message.replace(/^\w*Error:\s*/, ''));
+    }
+  }
+
+  static selectError(expression, reason) {
+    const error = new Error(`Invalid select expression ${JSON.stringify(expression)}: ${reason}`);
+    error.selectExpression = expression;
+    return error;
+  }
+}
@@ -0,0 +1,141 @@
+import { logger } from '../utils/logger.js';
+
+// Methods that are safe to repeat; POST/PATCH need an idempotency key header
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+const DEFAULT_SETTINGS = {
+  maxRetries: 3,
+  baseDelayMs: 250,
+  maxDelayMs: 8000,
+  jitter: true,
+  retryOnStatus: [408, 425, 429, 500, 502, 503, 504],
+  retryOnErrorCodes: ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'],
+  idempotencyHeader: 'Idempotency-Key',
+  maxRetryAfterMs: 30000
+};
+
+/**
+ * Retry policy for upstream HTTP calls
+ * Settings (server-config `retry`): the defaults above plus
+ *   { specs: { [specName]: settings }, operations: { [toolName|operationId]: settings } }
+ * The retry count of a spec also comes from apis.<spec>.retries (MAX_RETRIES);
+ * operation settings override spec settings, which override the defaults.
+ */
+export class RetryPolicy {
+  constructor(settings = {}, apiConfig = {}) {
+    const { specs = {}, operations = {}, ...defaults } = settings;
+    this.defaults = { ...DEFAULT_SETTINGS, ...defaults };
+    this.specSettings = specs;
+    this.operationSettings = operations;
+    this.apiConfig = apiConfig || {};
+  }
+
+  forOperation(operationDetails) {
+    const apiRetries = this.apiConfig[operationDetails.specName]?.retries;
+
+    return {
+      ...this.defaults,
+      ...(apiRetries !== undefined ? { maxRetries: apiRetries } : {}),
+      ...(this.specSettings[operationDetails.specName] || {}),
+      ...(this.operationSettings[operationDetails.toolName] ||
+        this.operationSettings[operationDetails.operationId] || {})
+    };
+  }
+
+  /**
+   * Run send() until it succeeds, the error is not retryable or attempts run out.
+   * Resolves { response, attempts }; rejects with the last error carrying error.attempts.
+   */
+  async execute(send, requestConfig, operationDetails) {
+    const settings = this.forOperation(operationDetails);
+    const repeatable = this.isRepeatable(requestConfig, settings);
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      const startTime = Date.now();
+
+      try {
+        const response = await send(requestConfig);
+        attempts.push({ attempt, status: response.status, durationMs: Date.now() - startTime });
+        return { response, attempts };
+      } catch (error) {
+        const record = {
+          attempt,
+          status: error.status,
+          code: error.code,
+          error: error.message,
+          durationMs: Date.now() - startTime
+        };
+        attempts.push(record);
+
+        const delayMs = repeatable && attempt <= settings.maxRetries
+          ? this.getRetryDelay(error, attempt, settings)
+          : null;
+
+        if (delayMs === null) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        record.retryInMs = delayMs;
+        logger.warn('Retrying upstream request', {
+          operationId: operationDetails.operationId,
+          attempt,
+          status: error.status,
+          code: error.code,
+          delayMs
+        });
+        await this.sleep(delayMs);
+      }
+    }
+  }
+
+  isRepeatable(requestConfig, settings) {
+    const method = String(requestConfig.method || 'get').toUpperCase();
+    if (IDEMPOTENT_METHODS.includes(method)) {
+      return true;
+    }
+
+    const header = settings.idempotencyHeader.toLowerCase();
+    return Object.keys(requestConfig.headers || {}).some(name => name.toLowerCase() === header);
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt, or null when the error is not retryable
+   */
+  getRetryDelay(error, attempt, settings) {
+    const retryable = (error.status && settings.retryOnStatus.includes(error.status)) ||
+      (!error.status && error.code && settings.retryOnErrorCodes.includes(error.code));
+    if (!retryable) {
+      return null;
+    }
+
+    const retryAfterMs = RetryPolicy.parseRetryAfter(error.headers?.['retry-after']);
+    if (retryAfterMs !== null) {
+      // Waiting longer than allowed would only hold the tool call open; fail now instead
+      return retryAfterMs <= settings.maxRetryAfterMs ? retryAfterMs : null;
+    }
+
+    const backoff = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (attempt - 1));
+    return settings.jitter ? Math.round(Math.random() * backoff) : backoff;
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Server selection for OpenAPI operations
+ * Chooses one of the spec's servers by explicit URL, index, description or
+ * environment name, then substitutes OpenAPI server variables
+ *
+ * Selection config (server-config `servers`):
+ *   { environment, variables, specs: { [specName]: selection }, operations: { [toolName|operationId]: selection } }
+ * where selection is { url, index, description, environment, variables }.
+ * Operation entries override spec entries, which override the global defaults.
+ */
+
+// How environment names are recognised in server descriptions and URLs
+const ENVIRONMENT_PATTERNS = {
+  production: /\b(prod|production|live)\b/i,
+  staging: /\b(staging|stage|uat)\b|[/.]staging[.-]/i,
+  sandbox: /\b(sandbox|test|testing)\b|[/.]sandbox[.-]/i,
+  development: /\b(dev|development|local|localhost)\b|localhost|127\.0\.0\.1/i
+};
+
+export class ServerSelector {
+  /**
+   * Resolve the base URL for an operation
+   */
+  static resolve(operationDetails, selectionConfig = null) {
+    const selection = this.getSelection(operationDetails, selectionConfig);
+    const servers = operationDetails.servers || [];
+
+    if (selection.url) {
+      return this.trimTrailingSlash(this.substituteVariables({ url: selection.url }, selection.variables));
+    }
+
+    if (servers.length === 0) {
+      throw new Error('No servers defined in OpenAPI spec');
+    }
+
+    const server = this.pickServer(servers, selection, operationDetails);
+    if (!server.url) {
+      throw new Error('Server URL is empty');
+    }
+
+    return this.trimTrailingSlash(this.substituteVariables(server, selection.variables));
+  }
+
+  /**
+   * Merge global, spec-level and operation-level selection settings.
+   * 'strict' is set when the environment was chosen for this spec or operation
+   * specifically, so a missing match is an error instead of a fallback.
+   */
+  static getSelection(operationDetails, selectionConfig) {
+    if (!selectionConfig) {
+      return { variables: {} };
+    }
+
+    const specSelection = selectionConfig.specs?.[operationDetails.specName] || {};
+    const operationSelection = selectionConfig.operations?.[operationDetails.toolName] ||
+      selectionConfig.operations?.[operationDetails.operationId] || {};
+
+    const selection = {
+      environment: selectionConfig.environment || null,
+      ...specSelection,
+      ...operationSelection,
+      variables: {
+        ...(selectionConfig.variables || {}),
+        ...(specSelection.variables || {}),
+        ...(operationSelection.variables || {})
+      }
+    };
+
+    selection.strict = !!(specSelection.environment || operationSelection.environment);
+    return selection;
+  }
+
+  static pickServer(servers, selection, operationDetails) {
+    const target = `${operationDetails.specName}/${operationDetails.operationId}`;
+
+    if (selection.index !== undefined && selection.index !== null) {
+      const server = servers[selection.index];
+      if (!server) {
+        throw new Error(`Server index ${selection.index} out of range for ${target} (${servers.length} servers)`);
+      }
+      return server;
+    }
+
+    if (selection.description) {
+      const wanted = selection.description.toLowerCase();
+      const server = servers.find(candidate => (candidate.description || '').toLowerCase().includes(wanted));
+      if (!server) {
+        throw new Error(`No server matching description '${selection.description}' for ${target}`);
+      }
+      return server;
+    }
+
+    if (selection.environment) {
+      const server = this.findByEnvironment(servers, selection.environment);
+      if (server) {
+        return server;
+      }
+      if (selection.strict) {
+        throw new Error(`No '${selection.environment}' server defined for ${target}`);
+      }
+    }
+
+    return servers[0];
+  }
+
+  static findByEnvironment(servers, environment) {
+    const name = environment.toLowerCase();
+
+    // An explicit x-environment tag on the server wins over description matching
+    const tagged = servers.find(server => String(server['x-environment'] || '').toLowerCase() === name);
+    if (tagged) {
+      return tagged;
+    }
+
+    const pattern = ENVIRONMENT_PATTERNS[name] || new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+    return servers.find(server => pattern.test(server.description || '')) ||
+      servers.find(server => pattern.test(server.url || '')) ||
+      null;
+  }
+
+  /**
+   * Replace {variable} placeholders using configured values or the spec defaults
+   */
+  static substituteVariables(server, values = {}) {
+    const definitions = server.variables || {};
+
+    return server.url.replace(/\{([^}]+)\}/g, (placeholder, name) => {
+      const definition = definitions[name] || {};
+      const value = values[name] !== undefined ? String(values[name]) : definition.default;
+
+      if (value === undefined) {
+        throw new Error(`No value for server variable '${name}' in ${server.url}`);
+      }
+
+      if (definition.enum && !definition.enum.includes(value)) {
+        throw new Error(`Server variable '${name}' must be one of: ${definition.enum.join(', ')}`);
+      }
+
+      return value;
+    });
+  }
+
+  static trimTrailingSlash(url) {
+    return url.endsWith('/') ? url.slice(0, -1) : url;
+  }
+}
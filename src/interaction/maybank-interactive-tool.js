@@ -1,8 +1,10 @@
+import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
 import { MaybankParameterCollector } from './maybank-parameter-collector.js';
 import { MaybankWorkflows } from '../workflows/maybank-workflows.js';
-import fs from 'fs/promises';
-import path from 'path';
+
+// Idle sessions (and the tokens they hold) are dropped after 30 minutes
+const SESSION_MAX_AGE_MS = 30 * 60 * 1000;
 
 /**
  * Maybank Interactive Tool for Phase 4.2 Checkpoint 3
@@ -29,7 +31,7 @@ export class MaybankInteractiveTool {
     // Session cleanup interval (30 minutes)
     this.cleanupInterval = setInterval(() => {
       this.cleanupExpiredSessions();
-    }, 30 * 60 * 1000);
+    }, SESSION_MAX_AGE_MS);
 
     // MCP tool definition for Maybank operations
     this.toolDefinition = {
@@ -50,7 +52,8 @@ export class MaybankInteractiveTool {
               'maybank_mae_focus', 
               'maybank_account_comparison',
               'maybank_quick_balance',
-              'maybank_health_check'
+              'maybank_health_check',
+              'maybank_bill_history'
             ]
           },
           operationId: {
@@ -59,7 +62,8 @@ export class MaybankInteractiveTool {
             enum: [
               'get_banking_getBalance',
               'get_banking_summary',
-              'get_banking_all'
+              'get_banking_all',
+              'post_bill_getBillsTxnHistory'
             ]
           },
           parameters: {
@@ -81,12 +85,34 @@ export class MaybankInteractiveTool {
               includeRecommendations: {
                 type: 'boolean',
                 description: 'Include financial recommendations'
+              },
+              payeeCode: {
+                type: 'string',
+                description: 'Biller payee code for bill history (e.g. 1111 for TNB)'
+              },
+              billAcctNo: {
+                type: 'string',
+                description: 'Your account number with the biller'
+              },
+              billers: {
+                type: 'array',
+                description: 'Saved billers to run bill history across, instead of a single payeeCode/billAcctNo',
+                items: {
+                  type: 'object',
+                  properties: {
+                    payeeCode: { type: 'string' },
+                    billAcctNo: { type: 'string' },
+                    fullName: { type: 'string' },
+                    shortName: { type: 'string' }
+                  },
+                  required: ['payeeCode', 'billAcctNo']
+                }
               }
             }
           },
           sessionId: {
             type: 'string',
-            description: 'Session ID for continuing interactive collection'
+            description: 'Session ID for continuing interactive collection, or for a new request that reuses the session\'s token'
           },
           providedValue: {
             type: 'string',
@@ -135,11 +161,27 @@ export class MaybankInteractiveTool {
 
       // Handle session continuation
       if (sessionId) {
-        if (this.activeSessions.has(sessionId)) {
-          return await this.continueInteractiveSession(sessionId, providedValue, skipParameter);
-        } else {
+        let session = this.activeSessions.get(sessionId);
+        // Sessions past their age are dropped here too, not only by the periodic cleanup
+        if (session && this.isSessionExpired(session)) {
+          this.activeSessions.delete(sessionId);
+          this.forgetSessionToken(sessionId);
+          session = null;
+        }
+        if (!session) {
           return this.formatError('Session not found or expired. Please start a new request.');
         }
+        if (session.status !== 'completed') {
+          return await this.continueInteractiveSession(sessionId, providedValue, skipParameter);
+        }
+        // A finished session takes new requests, reusing its token until the session expires
+        return await this.startNewInteractiveSession({
+          request,
+          workflowName,
+          operationId,
+          parameters,
+          sessionId
+        });
       }
 
       // Start new interactive session
@@ -161,7 +203,7 @@ export class MaybankInteractiveTool {
    * @param {Object} params - Session parameters
    * @returns {Promise<Object>} Session start result
    */
-  async startNewInteractiveSession({ request, workflowName, operationId, parameters }) {
+  async startNewInteractiveSession({ request, workflowName, operationId, parameters, sessionId: existingSessionId = null }) {
     try {
       // Determine what to execute (workflow vs direct operation)
       const executionPlan = await this.determineExecutionPlan(request, workflowName, operationId);
@@ -171,7 +213,7 @@ export class MaybankInteractiveTool {
       }
 
       // Create session
-      const sessionId = this.generateSessionId();
+      const sessionId = existingSessionId || this.generateSessionId();
       const session = {
         sessionId: sessionId,
         type: executionPlan.type, // 'workflow' or 'operation'
@@ -195,7 +237,8 @@ export class MaybankInteractiveTool {
         operationId: session.operationId,
         providedParams: parameters,
         isWorkflow: session.type === 'workflow',
-        interactiveMode: true
+        interactiveMode: true,
+        hasSessionToken: this.hasSessionToken(sessionId)
       });
 
       session.parameterAnalysis = parameterAnalysis;
@@ -326,12 +369,7 @@ export class MaybankInteractiveTool {
     // Check if we have more steps
     if (session.currentStep >= session.interactiveWorkflow.steps.length) {
       // All parameters collected, execute
-      const result = await this.executeSession(session);
-      
-      // Clean up session
-      this.activeSessions.delete(session.sessionId);
-      
-      return result;
+      return await this.executeSession(session);
     }
 
     // Generate prompt for next step
@@ -363,10 +401,10 @@ export class MaybankInteractiveTool {
 
       if (session.type === 'workflow') {
         // Execute workflow
-        result = await this.executeWorkflow(session.workflowName, allParameters);
+        result = await this.executeWorkflow(session.workflowName, allParameters, session.sessionId);
       } else {
         // Execute direct operation
-        result = await this.executeOperation(session.operationId, allParameters);
+        result = await this.executeOperation(session.operationId, allParameters, session.sessionId);
       }
 
       // Format successful result
@@ -377,7 +415,14 @@ export class MaybankInteractiveTool {
         sessionId: session.sessionId,
         error: error.message 
       });
-      return this.formatError(`Execution failed: ${error.message}`);
+      return this.formatError(error.maybankReason
+        ? `Execution failed: ${error.message}\n\n**What to do:** ${error.maybankReason.guidance}`
+        : `Execution failed: ${error.message}`);
+    } finally {
+      // The session (and the token it was given) stays for later requests until it expires
+      session.status = 'completed';
+      session.lastActivity = new Date().toISOString();
+      this.activeSessions.set(session.sessionId, session);
     }
   }
 
@@ -581,6 +626,9 @@ export class MaybankInteractiveTool {
     }
 
     content += `**Status:** ${result.success ? 'Success' : 'Failed'}\n`;
+    if (!result.success && result.error) {
+      content += MaybankInteractiveTool.formatReason(result.reason, result.error);
+    }
     content += `**Execution Time:** ${new Date().toISOString()}\n`;
     
     // Add API type if available
@@ -624,35 +672,27 @@ export class MaybankInteractiveTool {
       content += `\n`;
     }
 
-    // Add detailed error information for debugging
+    // What Maybank said about each failed call, decoded from its status codes
     if (result && result.detailedErrors && result.detailedErrors.length > 0) {
-      content += `🔍 **Detailed API Error Information:**\n`;
+      content += `🔍 **Why the API calls failed:**\n`;
       
-      // Log errors to file for debugging
-      await this.logErrorsToFile(result.detailedErrors, session.sessionId);
+      logger.warn('Maybank API calls failed', {
+        sessionId: session.sessionId,
+        failures: result.detailedErrors.map(errorDetail => ({
+          api: errorDetail.api,
+          httpStatus: errorDetail.httpStatus,
+          source: errorDetail.reason?.source,
+          code: errorDetail.reason?.code,
+          category: errorDetail.reason?.category
+        }))
+      });
       
       result.detailedErrors.forEach((errorDetail, index) => {
         content += `\n**${index + 1}. ${errorDetail.api}**\n`;
-        content += `• Endpoint: ${errorDetail.endpoint}\n`;
-        content += `• HTTP Status: ${errorDetail.httpStatus} ${errorDetail.httpStatusText || ''}\n`;
-        content += `• Error: ${errorDetail.error}\n`;
-        content += `• Duration: ${errorDetail.duration}ms\n`;
-        content += `• Timestamp: ${errorDetail.timestamp}\n`;
-        
-        if (errorDetail.responseBody) {
-          // Limit response body to first 500 characters for readability
-          const responsePreview = typeof errorDetail.responseBody === 'string' 
-            ? errorDetail.responseBody.substring(0, 500)
-            : JSON.stringify(errorDetail.responseBody).substring(0, 500);
-          content += `• Response Body: ${responsePreview}${responsePreview.length >= 500 ? '...' : ''}\n`;
-        }
-        
-        if (errorDetail.responseHeaders) {
-          content += `• Response Headers: ${JSON.stringify(errorDetail.responseHeaders, null, 2)}\n`;
-        }
+        content += MaybankInteractiveTool.formatReason(errorDetail.reason, errorDetail.error);
       });
       
-      content += `\n📁 **Error Log:** Complete API error details saved to maybank-api-errors.log\n\n`;
+      content += `\n`;
     }
 
     // Add API status information if available for workflows
@@ -669,6 +709,7 @@ export class MaybankInteractiveTool {
     }
 
     content += `\n*Interactive session completed successfully.*`;
+    content += `\n*Session ID: ${session.sessionId} (pass it with a new request to reuse this session's token)*`;
 
     return {
       content: [{
@@ -696,6 +737,8 @@ export class MaybankInteractiveTool {
         return this.formatQuickBalance(data);
       case 'maybank_health_check':
         return this.formatHealthCheck(data);
+      case 'maybank_bill_history':
+        return this.formatBillHistory(data);
       default:
         return `**Results:**\n${JSON.stringify(data, null, 2)}`;
     }
@@ -736,16 +779,17 @@ export class MaybankInteractiveTool {
         if (data.accounts && data.accounts.length > 0) {
           content += `\n**Accounts:**\n`;
           data.accounts.forEach(acc => {
-            content += `• ${acc.name}: RM ${acc.balance}\n`;
+            content += `• ${acc.name}${acc.categoryLabel ? ` (${acc.categoryLabel})` : ''}: RM ${acc.balance}\n`;
           });
         }
+        content += this.formatCategories(data.categories);
         break;
         
       case 'get_banking_all':
         if (data.accounts && data.accounts.length > 0) {
           content += `**All Accounts:**\n`;
           data.accounts.forEach(acc => {
-            content += `• ${acc.name} (${acc.type || acc.accountType}): RM ${acc.balance}\n`;
+            content += `• ${acc.name} (${acc.categoryLabel || acc.type || acc.accountType}): RM ${acc.balance}\n`;
             if (acc.number) {
               content += `  Account Number: ${acc.number}\n`;
             }
@@ -757,6 +801,7 @@ export class MaybankInteractiveTool {
           content += `• Total Accounts: ${data.summary.totalAccounts || 0}\n`;
           content += `• Active Accounts: ${data.summary.activeAccounts || 0}\n`;
         }
+        content += this.formatCategories(data.categories);
         break;
         
       default:
@@ -786,6 +831,7 @@ export class MaybankInteractiveTool {
       content += `\n**MAE Wallet:**\n`;
       content += `• Balance: RM ${data.maeWallet.balance || '0.00'}\n`;
     }
+    content += this.formatCategories(data.categories);
     if (data.insights && data.insights.length > 0) {
       content += `\n**Insights:**\n`;
       data.insights.forEach(insight => {
@@ -815,6 +861,7 @@ export class MaybankInteractiveTool {
       content += `\n**Context:**\n`;
       content += `• Total Across All Accounts: RM ${data.context.totalAcrossAllAccounts || '0.00'}\n`;
       content += `• MAE Percentage: ${data.context.maePercentage || 0}%\n`;
+      content += this.formatCategories(data.context.categories);
     }
     if (data.insights && data.insights.length > 0) {
       content += `\n**Insights:**\n`;
@@ -829,6 +876,7 @@ export class MaybankInteractiveTool {
     let content = `**🔄 Account Comparison:**\n`;
     content += `• Total Accounts: ${data.accountCount}\n`;
     content += `• Total Balance: RM ${data.totalBalance}\n`;
+    content += this.formatCategories(data.categories);
     return content;
   }
 
@@ -836,6 +884,9 @@ export class MaybankInteractiveTool {
     let content = `**⚡ Quick Balance:**\n`;
     if (data.balance) {
       content += `• ${data.displayText}\n`;
+      if (data.categoryLabel) {
+        content += `• Category: ${data.categoryLabel}\n`;
+      }
     }
     
     // Add raw response for debugging
@@ -851,6 +902,52 @@ export class MaybankInteractiveTool {
     let content = `**🏥 Financial Health:**\n`;
     content += `• Health Score: ${data.healthScore}/100\n`;
     content += `• Rating: ${data.rating}\n`;
+    content += this.formatCategories(data.categories);
+    return content;
+  }
+
+  formatBillHistory(data) {
+    let content = `**🧾 Bill Payment History:**\n`;
+    for (const biller of data.billers || []) {
+      content += `\n**${biller.name}** (${biller.billAcctNo})\n`;
+      if (biller.lastPaidDate) {
+        content += `• Last Paid: RM ${biller.lastPaidAmount.toFixed(2)} on ${biller.lastPaidDate}\n`;
+        content += `• Average of Last ${biller.paymentCount}: RM ${biller.averageAmount.toFixed(2)}\n`;
+      } else {
+        content += `• No recent payments\n`;
+      }
+      biller.payments.forEach(payment => {
+        content += `  - ${payment.date}: RM ${payment.amount.toFixed(2)}${payment.referenceNo ? ` (${payment.referenceNo})` : ''}\n`;
+      });
+      if (biller.nextEffectiveDates.length > 0) {
+        content += `• Next Payment Dates: ${biller.nextEffectiveDates.map(entry => entry.text || entry.date).join(', ')}\n`;
+      }
+    }
+    for (const failed of data.failedBillers || []) {
+      content += `\n⚠️  **Unavailable: ${failed.biller}**\n`;
+      content += MaybankInteractiveTool.formatReason(failed.reason, failed.error);
+    }
+    return content;
+  }
+
+  /**
+   * Accounts grouped by category with a total per category and the net position
+   * @param {Object} categories - MaybankAccountClassifier.group() result
+   * @returns {string} Formatted categories, empty when there are none
+   */
+  formatCategories(categories) {
+    if (!categories || categories.groups.length === 0) {
+      return '';
+    }
+    
+    let content = `\n**By Category:**\n`;
+    categories.groups.forEach(group => {
+      content += `• ${group.label} (${group.count}): RM ${group.total.toFixed(2)}\n`;
+    });
+    if (categories.totals.liability) {
+      content += `• Liabilities: RM ${Math.abs(categories.totals.liability).toFixed(2)}\n`;
+    }
+    content += `• Net Position: RM ${categories.net.toFixed(2)}\n`;
     return content;
   }
 
@@ -858,9 +955,10 @@ export class MaybankInteractiveTool {
    * Execute workflow with parameters
    * @param {string} workflowName - Workflow name
    * @param {Object} parameters - Execution parameters
+   * @param {string} sessionId - Interactive session whose token later steps reuse
    * @returns {Promise<Object>} Workflow result
    */
-  async executeWorkflow(workflowName, parameters) {
+  async executeWorkflow(workflowName, parameters, sessionId = null) {
     try {
       logger.info('Executing Maybank workflow', { workflowName: workflowName });
       
@@ -883,12 +981,18 @@ export class MaybankInteractiveTool {
           ...parameters
         };
         
+        // Per-biller steps run once for each biller; one biller failing does not stop the others
+        if (step.forEachBiller) {
+          stepResults[step.outputMapping] = await this.executeForEachBiller(step, stepParams, sessionId);
+          continue;
+        }
+        
         // Execute the operation through the API executor
         if (this.executor) {
           const result = await this.executor.executeOperation(
             step.operation, 
             stepParams,
-            { jwtToken: parameters.jwtToken }
+            { jwtToken: parameters.jwtToken, sessionId }
           );
           
           // Store result with output mapping
@@ -896,7 +1000,9 @@ export class MaybankInteractiveTool {
           
           // Check for errors
           if (!result.success) {
-            throw new Error(`Step ${step.id} failed: ${result.error}`);
+            const error = new Error(`Step ${step.id} failed: ${result.error}`);
+            error.maybankReason = result.reason;
+            throw error;
           }
         } else {
           // Fallback if executor not available
@@ -926,13 +1032,44 @@ export class MaybankInteractiveTool {
     }
   }
 
+  /**
+   * Run a workflow step once per biller
+   * @returns {Promise<Array>} One { biller, result } entry per biller
+   */
+  async executeForEachBiller(step, stepParams, sessionId) {
+    const { billers, ...sharedParams } = stepParams;
+    const entries = [];
+    
+    for (const biller of this.maybankWorkflows.resolveBillers(stepParams)) {
+      const result = this.executor
+        ? await this.executor.executeOperation(
+          step.operation,
+          { ...sharedParams, ...biller },
+          { jwtToken: sharedParams.jwtToken, sessionId }
+        )
+        : { success: true, data: { simulated: true } };
+      
+      if (!result.success) {
+        logger.warn('Workflow step failed for biller', {
+          stepId: step.id,
+          payeeCode: biller.payeeCode,
+          error: result.error
+        });
+      }
+      entries.push({ biller, result });
+    }
+    
+    return entries;
+  }
+
   /**
    * Execute operation with parameters
    * @param {string} operationId - Operation ID
    * @param {Object} parameters - Execution parameters
+   * @param {string} sessionId - Interactive session the call belongs to
    * @returns {Promise<Object>} Operation result
    */
-  async executeOperation(operationId, parameters) {
+  async executeOperation(operationId, parameters, sessionId = null) {
     try {
       logger.info('Executing Maybank operation', { operationId: operationId });
       
@@ -941,7 +1078,7 @@ export class MaybankInteractiveTool {
         const result = await this.executor.executeOperation(
           operationId,
           parameters,
-          { jwtToken: parameters.jwtToken }
+          { jwtToken: parameters.jwtToken, sessionId }
         );
         
         return result;
@@ -1001,12 +1138,43 @@ export class MaybankInteractiveTool {
     };
   }
 
+  /**
+   * Decoded Maybank reason as bullet lines; falls back to the plain error text
+   * @param {Object} reason - Reason from MaybankStatusCatalogue
+   * @param {string} fallback - Error message when there is no reason
+   * @returns {string} Formatted reason
+   */
+  static formatReason(reason, fallback) {
+    if (!reason) {
+      return `• Error: ${fallback}\n`;
+    }
+    
+    let content = `• Error: ${reason.message}\n`;
+    content += `• Category: ${reason.category}${reason.retryable ? ' (retryable)' : ''}\n`;
+    content += `• What to do: ${reason.guidance}\n`;
+    return content;
+  }
+
   /**
    * Generate unique session ID
    * @returns {string} Session ID
    */
+  // Session IDs unlock the session's stored token, so they must not be guessable
   generateSessionId() {
-    return `maybank_interactive_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    return `maybank_interactive_${crypto.randomUUID()}`;
+  }
+
+  // Tokens are remembered per session by the executor's token chain
+  hasSessionToken(sessionId) {
+    return !!this.executor?.maybankAdapter?.tokenChain.fromSession(sessionId);
+  }
+
+  forgetSessionToken(sessionId) {
+    this.executor?.maybankAdapter?.tokenChain.forgetSession(sessionId);
+  }
+
+  isSessionExpired(session, maxAgeMs = SESSION_MAX_AGE_MS) {
+    return Date.now() - new Date(session.lastActivity).getTime() > maxAgeMs;
   }
 
   /**
@@ -1014,16 +1182,13 @@ export class MaybankInteractiveTool {
    * @param {number} maxAgeMs - Maximum age in milliseconds
    * @returns {number} Number of sessions cleaned
    */
-  cleanupExpiredSessions(maxAgeMs = 30 * 60 * 1000) {
-    const now = new Date();
+  cleanupExpiredSessions(maxAgeMs = SESSION_MAX_AGE_MS) {
     let cleanedCount = 0;
 
     for (const [sessionId, session] of this.activeSessions) {
-      const lastActivity = new Date(session.lastActivity);
-      const age = now - lastActivity;
-
-      if (age > maxAgeMs) {
+      if (this.isSessionExpired(session, maxAgeMs)) {
         this.activeSessions.delete(sessionId);
+        this.forgetSessionToken(sessionId);
         cleanedCount++;
       }
     }
@@ -1062,68 +1227,6 @@ export class MaybankInteractiveTool {
     };
   }
 
-  /**
-   * Log detailed API errors to file for debugging
-   * @param {Array} detailedErrors - Array of detailed error objects
-   * @param {string} sessionId - Session ID for context
-   */
-  async logErrorsToFile(detailedErrors, sessionId) {
-    try {
-      const logFileName = 'maybank-api-errors.log';
-      const timestamp = new Date().toISOString();
-      
-      let logContent = `\n${'='.repeat(80)}\n`;
-      logContent += `MAYBANK API ERROR LOG\n`;
-      logContent += `Timestamp: ${timestamp}\n`;
-      logContent += `Session ID: ${sessionId}\n`;
-      logContent += `Error Count: ${detailedErrors.length}\n`;
-      logContent += `${'='.repeat(80)}\n\n`;
-      
-      detailedErrors.forEach((errorDetail, index) => {
-        logContent += `ERROR ${index + 1}: ${errorDetail.api}\n`;
-        logContent += `${'-'.repeat(40)}\n`;
-        logContent += `API: ${errorDetail.api}\n`;
-        logContent += `Endpoint: ${errorDetail.endpoint}\n`;
-        logContent += `HTTP Status: ${errorDetail.httpStatus} ${errorDetail.httpStatusText || ''}\n`;
-        logContent += `Error Message: ${errorDetail.error}\n`;
-        logContent += `Duration: ${errorDetail.duration}ms\n`;
-        logContent += `Timestamp: ${errorDetail.timestamp}\n`;
-        
-        if (errorDetail.responseBody) {
-          logContent += `\nResponse Body:\n`;
-          logContent += typeof errorDetail.responseBody === 'string' 
-            ? errorDetail.responseBody 
-            : JSON.stringify(errorDetail.responseBody, null, 2);
-          logContent += `\n`;
-        }
-        
-        if (errorDetail.responseHeaders) {
-          logContent += `\nResponse Headers:\n`;
-          logContent += JSON.stringify(errorDetail.responseHeaders, null, 2);
-          logContent += `\n`;
-        }
-        
-        logContent += `\n`;
-      });
-      
-      // Append to log file
-      await fs.appendFile(logFileName, logContent, 'utf8');
-      
-      logger.info('API errors logged to file', {
-        fileName: logFileName,
-        errorCount: detailedErrors.length,
-        sessionId
-      });
-      
-    } catch (error) {
-      logger.error('Failed to log errors to file', {
-        error: error.message,
-        sessionId
-      });
-      // Don't throw - logging failure shouldn't break the main flow
-    }
-  }
-
   /**
    * Cleanup on destruction
    */
@@ -1131,6 +1234,9 @@ export class MaybankInteractiveTool {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
+    for (const sessionId of this.activeSessions.keys()) {
+      this.forgetSessionToken(sessionId);
+    }
     this.activeSessions.clear();
     logger.info('Maybank Interactive Tool destroyed');
   }
@@ -102,6 +102,22 @@ export class MaybankParameterCollector {
         description: 'Detail level of financial recommendations provided',
         defaultValue: 'detailed',
         validation: /^(basic|detailed|actionable)$/i
+      },
+      'payeeCode': {
+        type: 'string',
+        sensitive: false,
+        required: true,
+        validation: /^[A-Za-z0-9]+$/,
+        prompt: 'Which biller? Please provide the payee code (e.g. 1111 for TNB):',
+        description: 'Payee code of a saved Maybank biller'
+      },
+      'billAcctNo': {
+        type: 'string',
+        sensitive: false,
+        required: true,
+        validation: /^[A-Za-z0-9-]+$/,
+        prompt: 'Please provide your account number with this biller:',
+        description: 'Your account or reference number with the biller'
       }
     };
 
@@ -121,6 +137,11 @@ export class MaybankParameterCollector {
         required: ['jwtToken'],
         optional: [],
         workflowCompatible: true
+      },
+      'post_bill_getBillsTxnHistory': {
+        required: ['jwtToken', 'payeeCode', 'billAcctNo'],
+        optional: [],
+        workflowCompatible: true
       }
     };
 
@@ -140,11 +161,13 @@ export class MaybankParameterCollector {
         operationId, 
         providedParams = {}, 
         isWorkflow = false,
-        interactiveMode = true 
+        interactiveMode = true,
+        hasSessionToken = false
       } = request;
 
       let analysis = {
-        hasJWT: !!providedParams.jwtToken,
+        // A token remembered for the session counts as provided
+        hasJWT: !!providedParams.jwtToken || hasSessionToken,
         missingRequired: [],
         availableOptional: [],
         interactiveParameters: [],
@@ -153,7 +176,7 @@ export class MaybankParameterCollector {
       };
 
       // JWT token is always required for Maybank operations
-      if (!providedParams.jwtToken) {
+      if (!analysis.hasJWT) {
         analysis.missingRequired.push({
           parameter: 'jwtToken',
           config: this.maybankParameterTypes.jwtToken,
@@ -167,10 +190,12 @@ export class MaybankParameterCollector {
         // Handle workflow parameter requirements
         const workflowAnalysis = await this.analyzeWorkflowParameters(workflowName, providedParams, interactiveMode);
         analysis = { ...analysis, ...workflowAnalysis };
+        analysis.missingRequired.push(...this.missingWorkflowParameters(workflowName, providedParams));
       } else if (operationId) {
         // Handle direct operation parameter requirements
         const operationAnalysis = await this.analyzeOperationParameters(operationId, providedParams);
         analysis.availableOptional = operationAnalysis.optional || [];
+        analysis.missingRequired.push(...(operationAnalysis.missingRequired || []));
       }
 
       // Check if we can proceed (JWT provided and no blocking parameters missing)
@@ -247,6 +272,25 @@ export class MaybankParameterCollector {
     }
   }
 
+  /**
+   * Required workflow inputs besides the JWT, e.g. the biller for bill history
+   * @param {string} workflowName - Maybank workflow name
+   * @param {Object} providedParams - Already provided parameters
+   * @returns {Array} Missing required parameter entries
+   */
+  missingWorkflowParameters(workflowName, providedParams) {
+    const { missingParameters } = this.maybankWorkflows.validateWorkflowParameters(workflowName, providedParams);
+
+    return missingParameters
+      .filter(paramName => paramName !== 'jwtToken' && this.maybankParameterTypes[paramName])
+      .map(paramName => ({
+        parameter: paramName,
+        config: this.maybankParameterTypes[paramName],
+        priority: 90,
+        blocking: true
+      }));
+  }
+
   /**
    * Analyze operation-specific parameter requirements
    * @param {string} operationId - Maybank operation ID
@@ -263,7 +307,15 @@ export class MaybankParameterCollector {
     return {
       optional: operationConfig.optional.map(paramName => 
         this.maybankParameterTypes[paramName]
-      ).filter(Boolean)
+      ).filter(Boolean),
+      missingRequired: operationConfig.required
+        .filter(paramName => paramName !== 'jwtToken' && !providedParams[paramName])
+        .map(paramName => ({
+          parameter: paramName,
+          config: this.maybankParameterTypes[paramName],
+          priority: 90,
+          blocking: true
+        }))
     };
   }
 
@@ -554,7 +606,8 @@ export class MaybankParameterCollector {
       'maybank_mae_focus': ['includeRecommendations', 'period'],
       'maybank_account_comparison': ['comparisonType', 'includeRecommendations'],
       'maybank_quick_balance': [], // Quick balance doesn't need recommendations
-      'maybank_health_check': ['healthMetrics', 'recommendationLevel', 'includeRecommendations']
+      'maybank_health_check': ['healthMetrics', 'recommendationLevel', 'includeRecommendations'],
+      'maybank_bill_history': []
     };
 
     return recommendations[workflowName]?.includes(paramName) || false;
@@ -616,6 +669,13 @@ export class MaybankParameterCollector {
           'recommendationLevel': 'Detail level of improvement recommendations',
           'includeRecommendations': 'Whether to include actionable financial health advice'
         }
+      },
+      'maybank_bill_history': {
+        description: 'Recent payments and upcoming payment dates for your saved billers',
+        parameterContext: {
+          'payeeCode': 'Pass a billers list instead to cover several saved billers at once',
+          'billAcctNo': 'The account number printed on your bill'
+        }
       }
     };
 
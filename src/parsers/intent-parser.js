@@ -1593,7 +1593,8 @@ export class IntentParser {
         { regex: /mae\s+wallet|mae\s+analysis|wallet\s+analysis/i, workflow: 'maybank_mae_focus' },
         { regex: /account\s+comparison|compare\s+accounts/i, workflow: 'maybank_account_comparison' },
         { regex: /quick\s+balance|balance\s+check/i, workflow: 'maybank_quick_balance' },
-        { regex: /financial\s+health|health\s+check|financial\s+assessment/i, workflow: 'maybank_health_check' }
+        { regex: /financial\s+health|health\s+check|financial\s+assessment/i, workflow: 'maybank_health_check' },
+        { regex: /bill\s+(payment\s+)?history|bill\s+payments?|past\s+bills/i, workflow: 'maybank_bill_history' }
       ];
       
       for (const pattern of maybankWorkflowPatterns) {
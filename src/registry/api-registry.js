@@ -1,21 +1,55 @@
-import { promises as fs } from 'fs';
+import { promises as fs, watch } from 'fs';
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { RefResolver } from './ref-resolver.js';
+import { SpecLoaders } from './spec-loaders.js';
+import { OperationIndex } from './operation-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-export class ApiRegistry {
-  constructor() {
+// How to handle two specs declaring the same operationId
+export const COLLISION_POLICIES = ['error', 'last-wins', 'namespace'];
+
+// Editors write files in several steps; wait for the directory to settle before reloading
+const RELOAD_DEBOUNCE_MS = 300;
+
+// Below this BM25 score a single weak term match is not treated as an intent
+const MIN_INTENT_SCORE = 1.5;
+
+// MCP tool names are limited to letters, digits, '_' and '-' (max 64 chars)
+const MAX_TOOL_NAME_LENGTH = 64;
+// Shortened names end in '_' plus this many hex digits of a hash of the full name
+const TOOL_NAME_HASH_LENGTH = 8;
+const NAMESPACE_SEPARATOR = '__';
+
+export class ApiRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.specsPath = options.specsPath || join(__dirname, 'specs');
     this.specs = new Map();           // Map<string, OpenAPISpec>
-    this.operations = new Map();      // Map<operationId, OperationDetails>
+    this.operations = new Map();      // Map<toolName, OperationDetails>
+    this.aliases = new Map();         // Map<operationId, toolName> for namespaced collisions
+    this.collisions = [];             // Array<{ operationId, specs, resolution }>
+    this.skippedFiles = [];           // Array<{ file, reason }>
+    this.searchIndex = null;          // OperationIndex, rebuilt lazily after changes
+    this.collisionPolicy = options.collisionPolicy || 'namespace';
     this.initialized = false;
+    this.watcher = null;
+    this.reloadTimer = null;
+    this.reloading = null;
+    this.reloadPending = false;
+    
+    if (!COLLISION_POLICIES.includes(this.collisionPolicy)) {
+      throw new Error(`Invalid operation collision policy '${this.collisionPolicy}' (expected one of: ${COLLISION_POLICIES.join(', ')})`);
+    }
   }
 
   async initialize() {
     try {
-      const specsPath = join(__dirname, 'specs');
-      const specs = await this.loadSpecsFromDirectory(specsPath);
+      const specs = await this.loadSpecsFromDirectory(this.specsPath);
       
       for (const spec of specs) {
         this.registerSpec(spec.name, spec.content);
@@ -28,38 +62,168 @@ export class ApiRegistry {
     }
   }
 
+  /**
+   * Rebuild the registry from the specs directory.
+   * Everything is loaded into a staging registry first and swapped in only
+   * when it registers cleanly. Files that no longer validate keep their last
+   * good version, so one bad edit never removes the running operations.
+   */
+  async reload() {
+    if (this.reloading) {
+      this.reloadPending = true;
+      return this.reloading;
+    }
+    
+    this.reloading = this.performReload().finally(() => {
+      this.reloading = null;
+      if (this.reloadPending) {
+        this.reloadPending = false;
+        this.scheduleReload();
+      }
+    });
+    
+    return this.reloading;
+  }
+
+  async performReload() {
+    try {
+      const staging = new ApiRegistry({
+        specsPath: this.specsPath,
+        collisionPolicy: this.collisionPolicy
+      });
+      const specs = await staging.loadSpecsFromDirectory(this.specsPath);
+      const retained = [];
+      
+      for (const { file } of staging.skippedFiles) {
+        const specName = SpecLoaders.specNameFromFile(file);
+        if (SpecLoaders.isSupported(file) && this.specs.has(specName) && !specs.some(spec => spec.name === specName)) {
+          specs.push({ name: specName, content: this.specs.get(specName), file });
+          retained.push(specName);
+        }
+      }
+      
+      specs.sort((a, b) => a.file.localeCompare(b.file));
+      for (const spec of specs) {
+        staging.registerSpec(spec.name, spec.content);
+      }
+      
+      const previousOperations = new Set(this.operations.keys());
+      
+      // Swap in the staged state in one step
+      this.specs = staging.specs;
+      this.operations = staging.operations;
+      this.aliases = staging.aliases;
+      this.collisions = staging.collisions;
+      this.skippedFiles = staging.skippedFiles;
+      this.searchIndex = null;
+      this.initialized = true;
+      
+      const currentOperations = new Set(this.operations.keys());
+      const summary = {
+        specs: this.specs.size,
+        operations: this.operations.size,
+        added: [...currentOperations].filter(name => !previousOperations.has(name)),
+        removed: [...previousOperations].filter(name => !currentOperations.has(name)),
+        retained,
+        skipped: this.getSkippedFiles()
+      };
+      
+      console.error(`ApiRegistry reloaded with ${summary.specs} specs and ${summary.operations} operations`);
+      this.emit('reloaded', summary);
+      return summary;
+      
+    } catch (error) {
+      console.error(`ApiRegistry reload failed, keeping current operations: ${error.message}`);
+      this.emit('reloadFailed', error);
+      return null;
+    }
+  }
+
+  // Watch the specs directory and reload on changes
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+    
+    this.watcher = watch(this.specsPath, (eventType, fileName) => {
+      if (fileName && !SpecLoaders.isSupported(fileName)) {
+        return;
+      }
+      this.scheduleReload();
+    });
+    
+    this.watcher.on('error', (error) => {
+      console.error(`Specs directory watcher failed: ${error.message}`);
+      this.unwatch();
+    });
+    
+    console.error(`Watching ${this.specsPath} for spec changes`);
+  }
+
+  unwatch() {
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+    
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  scheduleReload() {
+    if (this.reloadTimer) {
+      clearTimeout(this.reloadTimer);
+    }
+    
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      this.reload();
+    }, RELOAD_DEBOUNCE_MS);
+  }
+
   async loadSpecsFromDirectory(specsPath) {
     try {
       const files = await fs.readdir(specsPath);
-      const jsonFiles = files.filter(file => file.endsWith('.json'));
       const specs = [];
+      const skipped = [];
+
+      for (const file of files.sort()) {
+        if (!SpecLoaders.isSupported(file)) {
+          skipped.push({ file, reason: 'Unsupported file extension' });
+          continue;
+        }
 
-      for (const file of jsonFiles) {
         try {
           const filePath = join(specsPath, file);
           const fileContent = await fs.readFile(filePath, 'utf8');
-          const spec = JSON.parse(fileContent);
+          const spec = SpecLoaders.parse(file, fileContent);
           
           // Validate the spec before adding
           this.validateSpec(spec);
           
           specs.push({
-            name: file.replace('.json', ''),
-            content: spec
+            name: SpecLoaders.specNameFromFile(file),
+            content: spec,
+            file: file
           });
         } catch (error) {
-          if (error.code === 'ENOENT') {
-            throw new Error(`OpenAPI spec file not found: ${file}`);
-          } else if (error.code === 'EACCES') {
-            throw new Error(`Permission denied reading spec file: ${file}`);
-          } else if (error.name === 'SyntaxError') {
-            throw new Error(`Invalid JSON format in spec file ${file}: ${error.message}`);
+          if (error.code === 'EACCES') {
+            skipped.push({ file, reason: 'Permission denied reading spec file' });
+          } else if (error.code === 'EISDIR') {
+            skipped.push({ file, reason: 'Is a directory' });
           } else {
-            throw new Error(`Failed to read spec file ${file}: ${error.message}`);
+            skipped.push({ file, reason: error.message });
           }
         }
       }
 
+      this.skippedFiles = skipped;
+      for (const { file, reason } of skipped) {
+        console.error(`Skipped spec file '${file}': ${reason}`);
+      }
+
       if (specs.length === 0) {
         throw new Error(`No valid OpenAPI specs found in ${specsPath}`);
       }
@@ -76,6 +240,10 @@ export class ApiRegistry {
     }
   }
 
+  getSkippedFiles() {
+    return [...this.skippedFiles];
+  }
+
   registerSpec(specName, openApiSpec) {
     try {
       // Validate spec structure
@@ -87,23 +255,31 @@ export class ApiRegistry {
       // Extract and register all operations from paths
       if (openApiSpec.paths) {
         for (const [path, pathObj] of Object.entries(openApiSpec.paths)) {
-          for (const [method, operation] of Object.entries(pathObj)) {
-            if (operation.operationId) {
+          const resolvedPathObj = RefResolver.resolve(pathObj, openApiSpec);
+          const pathParameters = resolvedPathObj.parameters || [];
+          
+          for (const [method, operation] of Object.entries(resolvedPathObj)) {
+            if (operation && operation.operationId) {
               const operationDetails = {
                 operationId: operation.operationId,
+                toolName: ApiRegistry.sanitizeToolName(operation.operationId),
                 method: method.toUpperCase(),
                 path: path,
                 summary: operation.summary || '',
                 description: operation.description || '',
-                parameters: operation.parameters || [],
+                parameters: this.mergeParameters(pathParameters, operation.parameters || []),
+                requestBody: operation.requestBody || null,
                 responses: operation.responses || {},
+                tags: operation.tags || [],
                 spec: openApiSpec,
                 specName: specName,
-                servers: openApiSpec.servers || [],
-                security: operation.security || openApiSpec.security || []
+                servers: operation.servers || resolvedPathObj.servers || openApiSpec.servers || [],
+                security: operation.security ?? openApiSpec.security ?? null,
+                pagination: operation['x-pagination'] || null,
+                format: operation['x-format'] || null
               };
               
-              this.operations.set(operation.operationId, operationDetails);
+              this.addOperation(operationDetails);
             }
           }
         }
@@ -115,46 +291,165 @@ export class ApiRegistry {
     }
   }
 
+  // Register an operation under its tool name, applying the collision policy
+  addOperation(operationDetails) {
+    const { operationId, specName } = operationDetails;
+    this.searchIndex = null;
+    
+    // Distinct operationIds of one spec that sanitize to the same name: namespacing can't separate them
+    const taken = this.operations.get(operationDetails.toolName);
+    if (taken && taken.specName === specName && taken.operationId !== operationId) {
+      operationDetails.toolName = ApiRegistry.hashedToolName(operationDetails.toolName, operationId);
+      console.error(`Operation '${operationId}' shares tool name '${taken.toolName}' with '${taken.operationId}' in spec '${specName}'; exposed as ${operationDetails.toolName}`);
+    }
+    
+    const aliasTarget = this.aliases.get(operationId);
+    const existing = this.operations.get(operationDetails.toolName) ||
+      (aliasTarget ? this.operations.get(aliasTarget) : null);
+    
+    if (!existing) {
+      this.operations.set(operationDetails.toolName, operationDetails);
+      return;
+    }
+    
+    const collision = {
+      operationId,
+      specs: [existing.specName, specName],
+      resolution: this.collisionPolicy
+    };
+    this.collisions.push(collision);
+    
+    switch (this.collisionPolicy) {
+      case 'error':
+        throw new Error(
+          `Operation '${operationId}' is defined in both '${existing.specName}' and '${specName}'`
+        );
+        
+      case 'last-wins':
+        console.error(`Operation '${operationId}' from spec '${specName}' replaces the one from '${existing.specName}'`);
+        this.operations.set(operationDetails.toolName, operationDetails);
+        break;
+        
+      case 'namespace': {
+        // Move the earlier operation under its namespaced name the first time the collision appears
+        if (!aliasTarget) {
+          this.operations.delete(existing.toolName);
+          existing.toolName = ApiRegistry.namespacedToolName(existing.specName, existing.operationId);
+          this.operations.set(existing.toolName, existing);
+        }
+        
+        operationDetails.toolName = ApiRegistry.namespacedToolName(specName, operationId);
+        if (this.operations.has(operationDetails.toolName)) {
+          throw new Error(`Operation '${operationId}' is defined more than once in spec '${specName}'`);
+        }
+        this.operations.set(operationDetails.toolName, operationDetails);
+        
+        // The bare operationId keeps resolving to the most recently registered operation
+        this.aliases.set(operationId, operationDetails.toolName);
+        console.error(`Operation '${operationId}' collides across specs ${collision.specs.join(', ')}; exposed as ${existing.toolName}, ${operationDetails.toolName}`);
+        break;
+      }
+    }
+  }
+
+  static namespacedToolName(specName, operationId) {
+    return ApiRegistry.sanitizeToolName(`${specName}${NAMESPACE_SEPARATOR}${operationId}`);
+  }
+
+  // Names over the limit are cut short and keep a hash of the full name, so long names sharing a prefix stay distinct
+  static sanitizeToolName(name) {
+    const sanitized = String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+    return sanitized.length > MAX_TOOL_NAME_LENGTH ? ApiRegistry.hashedToolName(sanitized, String(name)) : sanitized;
+  }
+  
+  static hashedToolName(toolName, source) {
+    const hash = crypto.createHash('sha256').update(source).digest('hex').slice(0, TOOL_NAME_HASH_LENGTH);
+    return `${toolName.slice(0, MAX_TOOL_NAME_LENGTH - TOOL_NAME_HASH_LENGTH - 1)}_${hash}`;
+  }
+
+  // Which spec (and original operationId) a tool name was generated from
+  getToolSource(toolName) {
+    const operation = this.operations.get(toolName) || this.operations.get(this.aliases.get(toolName));
+    if (!operation) {
+      return null;
+    }
+    
+    return {
+      toolName: operation.toolName,
+      operationId: operation.operationId,
+      specName: operation.specName
+    };
+  }
+
+  getCollisions() {
+    return [...this.collisions];
+  }
+
+  // Operation-level parameters override path-level ones with the same name and location
+  mergeParameters(pathParameters, operationParameters) {
+    const merged = new Map();
+    
+    for (const param of [...pathParameters, ...operationParameters]) {
+      merged.set(`${param.in}:${param.name}`, param);
+    }
+    
+    return Array.from(merged.values());
+  }
+
+  // Pick the request body schema, preferring JSON over other media types
+  getRequestBodySchema(operationDetails) {
+    const content = operationDetails.requestBody?.content;
+    if (!content) {
+      return null;
+    }
+    
+    const mediaTypes = Object.keys(content);
+    const mediaType = mediaTypes.find(type => type.includes('json')) || mediaTypes[0];
+    if (!mediaType) {
+      return null;
+    }
+    
+    return {
+      mediaType,
+      schema: content[mediaType].schema || {},
+      example: content[mediaType].example,
+      required: operationDetails.requestBody.required === true
+    };
+  }
+
   findOperationByIntent(userIntent) {
     if (!this.initialized) {
       throw new Error('ApiRegistry not initialized');
     }
     
     try {
-      const normalizedIntent = this.normalizeIntent(userIntent);
-      
-      // Simple keyword matching for Phase 1
-      const weatherKeywords = ['weather', 'temperature', 'temp', 'climate', 'forecast'];
-      
-      // Check if intent contains weather-related keywords
-      const hasWeatherKeyword = weatherKeywords.some(keyword => 
-        normalizedIntent.includes(keyword)
-      );
-      
-      if (hasWeatherKeyword) {
-        // Look for weather operation
-        for (const [operationId, details] of this.operations.entries()) {
-          if (details.summary.toLowerCase().includes('weather') || 
-              details.description.toLowerCase().includes('weather') ||
-              operationId.toLowerCase().includes('weather')) {
-            return operationId;
-          }
-        }
-      }
-      
-      // If no specific match found, return null
-      return null;
+      const [bestMatch] = this.searchOperations(userIntent, { limit: 1, minScore: MIN_INTENT_SCORE });
+      return bestMatch ? bestMatch.toolName : null;
     } catch (error) {
       throw new Error(`Failed to find operation for intent '${userIntent}': ${error.message}`);
     }
   }
 
+  // Ranked candidates with scores for a free-text query
+  searchOperations(query, options = {}) {
+    if (!this.initialized) {
+      throw new Error('ApiRegistry not initialized');
+    }
+    
+    if (!this.searchIndex) {
+      this.searchIndex = new OperationIndex().build(Array.from(this.operations.values()));
+    }
+    
+    return this.searchIndex.search(this.normalizeIntent(String(query || '')), options);
+  }
+
   getOperationDetails(operationId) {
     if (!this.initialized) {
       throw new Error('ApiRegistry not initialized');
     }
     
-    const operation = this.operations.get(operationId);
+    const operation = this.operations.get(operationId) ||
+      this.operations.get(this.aliases.get(operationId));
     if (!operation) {
       throw new Error(`Operation '${operationId}' not found`);
     }
@@ -169,6 +464,7 @@ export class ApiRegistry {
     
     return Array.from(this.operations.values()).map(op => ({
       operationId: op.operationId,
+      toolName: op.toolName,
       method: op.method,
       path: op.path,
       summary: op.summary,
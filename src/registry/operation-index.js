@@ -0,0 +1,240 @@
+/**
+ * Ranked search over registered operations
+ * BM25 over operationId, summary, description, tags and parameter names,
+ * with light stemming and synonym expansion at query time
+ */
+
+// Field weights: a term in the operationId or summary says more than one in a long description
+const FIELD_WEIGHTS = {
+  operationId: 3,
+  summary: 2,
+  tags: 2,
+  parameters: 1,
+  description: 1
+};
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+// Weight of a synonym match relative to the term the user actually typed
+const SYNONYM_WEIGHT = 0.5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'from',
+  'is', 'are', 'be', 'me', 'my', 'i', 'what', 'whats', 'how', 'show', 'give', 'please',
+  'get', 'fetch', 'retrieve', 'v1', 'v2', 'api'
+]);
+
+// Words ending in 's' that are not plurals ('news' must not become 'new')
+const INVARIANT_WORDS = new Set(['news', 'status', 'address', 'analysis', 'gas', 'bus', 'plus', 'always', 'series']);
+
+const SYNONYM_GROUPS = [
+  ['weather', 'forecast', 'temperature', 'climate', 'rain', 'humid'],
+  ['balance', 'fund', 'money', 'amount', 'saving'],
+  ['account', 'wallet', 'mae'],
+  ['news', 'headline', 'article', 'story'],
+  ['currency', 'exchange', 'rate', 'forex', 'fx', 'convert'],
+  ['location', 'geolocation', 'ip', 'where', 'country', 'city'],
+  ['bill', 'biller', 'payment', 'utility', 'payee'],
+  ['transaction', 'txn', 'history', 'statement'],
+  ['fact', 'trivia'],
+  ['transfer', 'send', 'remit'],
+  ['profile', 'user', 'customer'],
+  ['summary', 'overview', 'all']
+];
+
+export class OperationIndex {
+  constructor() {
+    this.documents = [];           // Array<{ operation, termFrequencies, length }>
+    this.documentFrequencies = new Map();
+    this.averageLength = 0;
+    this.synonyms = OperationIndex.buildSynonymMap(SYNONYM_GROUPS);
+  }
+
+  static buildSynonymMap(groups) {
+    const synonyms = new Map();
+    for (const group of groups) {
+      const stems = group.map(word => OperationIndex.stem(word));
+      for (const stemmed of stems) {
+        const related = synonyms.get(stemmed) || new Set();
+        stems.filter(other => other !== stemmed).forEach(other => related.add(other));
+        synonyms.set(stemmed, related);
+      }
+    }
+    return synonyms;
+  }
+
+  /**
+   * Split identifiers and prose into lowercase, stemmed terms
+   */
+  static tokenize(text) {
+    if (!text) {
+      return [];
+    }
+
+    return String(text)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .map(token => OperationIndex.stem(token));
+  }
+
+  /**
+   * Suffix-stripping stemmer; good enough to fold plurals and verb forms.
+   * Rules repeat until none applies, so 'savings' and 'saving' share a stem.
+   */
+  static stem(word) {
+    const rules = [
+      [/ies$/, 'y'],
+      [/sses$/, 'ss'],
+      [/([^s])s$/, '$1'],
+      [/ication$/, 'y'],
+      [/ations?$/, 'ate'],
+      [/ings?$/, ''],
+      [/edly$/, ''],
+      [/ed$/, ''],
+      [/ly$/, '']
+    ];
+
+    let current = word;
+    while (current.length > 3 && !INVARIANT_WORDS.has(current)) {
+      const rule = rules.find(([pattern]) => pattern.test(current));
+      const stemmed = rule ? current.replace(rule[0], rule[1]) : current;
+      if (stemmed === current || stemmed.length < 3) {
+        break;
+      }
+      current = stemmed;
+    }
+
+    return current;
+  }
+
+  /**
+   * Build the index from registry operation details
+   */
+  build(operations) {
+    this.documents = [];
+    this.documentFrequencies = new Map();
+    let totalLength = 0;
+
+    for (const operation of operations) {
+      const termFrequencies = new Map();
+      const fields = this.extractFields(operation);
+
+      for (const [field, text] of Object.entries(fields)) {
+        const weight = FIELD_WEIGHTS[field];
+        for (const term of OperationIndex.tokenize(text)) {
+          termFrequencies.set(term, (termFrequencies.get(term) || 0) + weight);
+        }
+      }
+
+      let length = 0;
+      for (const [term, frequency] of termFrequencies) {
+        length += frequency;
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      }
+
+      totalLength += length;
+      this.documents.push({ operation, termFrequencies, length });
+    }
+
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+    return this;
+  }
+
+  extractFields(operation) {
+    const parameterNames = (operation.parameters || [])
+      .filter(param => param.in !== 'header')
+      .map(param => param.name);
+
+    const bodySchema = Object.values(operation.requestBody?.content || {})[0]?.schema;
+    if (bodySchema && bodySchema.properties) {
+      parameterNames.push(...Object.keys(bodySchema.properties));
+    }
+
+    return {
+      operationId: operation.operationId,
+      summary: operation.summary,
+      tags: (operation.tags || []).join(' ') + ' ' + (operation.specName || ''),
+      parameters: parameterNames.join(' '),
+      description: operation.description
+    };
+  }
+
+  /**
+   * Expand query terms with synonyms; typed terms keep full weight
+   */
+  expandQuery(query) {
+    const weights = new Map();
+
+    for (const term of OperationIndex.tokenize(query)) {
+      weights.set(term, 1);
+    }
+
+    for (const term of [...weights.keys()]) {
+      for (const synonym of this.synonyms.get(term) || []) {
+        if (!weights.has(synonym)) {
+          weights.set(synonym, SYNONYM_WEIGHT);
+        }
+      }
+    }
+
+    return weights;
+  }
+
+  /**
+   * Rank operations for a free-text query
+   * Returns [{ toolName, operationId, specName, summary, score, matchedTerms }]
+   */
+  search(query, options = {}) {
+    const { limit = 5, minScore = 0, filter = null } = options;
+    const queryTerms = this.expandQuery(query);
+    const totalDocuments = this.documents.length;
+    const results = [];
+
+    if (queryTerms.size === 0 || totalDocuments === 0) {
+      return [];
+    }
+
+    for (const document of this.documents) {
+      if (filter && !filter(document.operation)) {
+        continue;
+      }
+      
+      let score = 0;
+      const matchedTerms = [];
+
+      for (const [term, queryWeight] of queryTerms) {
+        const frequency = document.termFrequencies.get(term);
+        if (!frequency) {
+          continue;
+        }
+
+        const documentFrequency = this.documentFrequencies.get(term);
+        const idf = Math.log(1 + (totalDocuments - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const normalization = K1 * (1 - B + B * (document.length / this.averageLength));
+        score += queryWeight * idf * (frequency * (K1 + 1)) / (frequency + normalization);
+        matchedTerms.push(term);
+      }
+
+      if (score > minScore) {
+        results.push({
+          toolName: document.operation.toolName || document.operation.operationId,
+          operationId: document.operation.operationId,
+          specName: document.operation.specName,
+          method: document.operation.method,
+          path: document.operation.path,
+          summary: document.operation.summary,
+          score: Math.round(score * 1000) / 1000,
+          matchedTerms
+        });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score || a.toolName.localeCompare(b.toolName));
+    return results.slice(0, limit);
+  }
+}
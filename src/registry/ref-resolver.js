@@ -0,0 +1,79 @@
+/**
+ * Local $ref resolution for OpenAPI documents
+ * Inlines '#/...' JSON pointers so operations can be used without the root spec
+ */
+export class RefResolver {
+  /**
+   * Resolve every local $ref in a node against the root document.
+   * Circular references are cut at the point they recur and replaced by a
+   * marker object carrying the target's type and an 'x-circular-ref' pointer.
+   */
+  static resolve(node, rootDocument, refStack = []) {
+    if (Array.isArray(node)) {
+      return node.map(item => this.resolve(item, rootDocument, refStack));
+    }
+
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    if (typeof node.$ref === 'string') {
+      const ref = node.$ref;
+      const target = this.lookup(ref, rootDocument);
+      const { $ref, ...siblings } = node;
+
+      let resolved;
+      if (refStack.includes(ref)) {
+        resolved = { 'x-circular-ref': ref };
+        if (target && target.type) {
+          resolved.type = target.type;
+        }
+      } else {
+        resolved = this.resolve(target, rootDocument, [...refStack, ref]);
+      }
+
+      // Sibling keywords (description, example, ...) override the referenced values
+      if (Object.keys(siblings).length > 0) {
+        return { ...resolved, ...this.resolve(siblings, rootDocument, refStack) };
+      }
+
+      return resolved;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      result[key] = this.resolve(value, rootDocument, refStack);
+    }
+
+    return result;
+  }
+
+  /**
+   * Look up a local JSON pointer reference such as '#/components/schemas/Account'
+   */
+  static lookup(ref, rootDocument) {
+    if (!ref.startsWith('#')) {
+      throw new Error(`External $ref not supported: ${ref}`);
+    }
+
+    const pointer = ref.slice(1);
+    if (pointer === '' || pointer === '/') {
+      return rootDocument;
+    }
+
+    const segments = pointer
+      .split('/')
+      .slice(1)
+      .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    let current = rootDocument;
+    for (const segment of segments) {
+      if (current === null || typeof current !== 'object' || !(segment in current)) {
+        throw new Error(`Unresolvable $ref: ${ref}`);
+      }
+      current = current[segment];
+    }
+
+    return current;
+  }
+}
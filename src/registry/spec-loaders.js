@@ -0,0 +1,492 @@
+import yaml from 'js-yaml';
+import { extname } from 'path';
+
+/**
+ * Spec file loaders for the ApiRegistry
+ * Parses JSON, YAML and Markdown-embedded documents and normalizes
+ * Swagger 2.0 documents into the internal OpenAPI 3 shape
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+export class SpecLoaders {
+  static get supportedExtensions() {
+    return ['.json', '.yaml', '.yml', '.md', '.markdown'];
+  }
+
+  static isSupported(fileName) {
+    return this.supportedExtensions.includes(extname(fileName).toLowerCase());
+  }
+
+  static specNameFromFile(fileName) {
+    return fileName.slice(0, fileName.length - extname(fileName).length);
+  }
+
+  /**
+   * Parse file content into an OpenAPI 3 document based on the file extension
+   */
+  static parse(fileName, fileContent) {
+    const extension = extname(fileName).toLowerCase();
+    let document;
+
+    switch (extension) {
+      case '.json':
+        document = this.parseJson(fileContent);
+        break;
+      case '.yaml':
+      case '.yml':
+        document = this.parseYaml(fileContent);
+        break;
+      case '.md':
+      case '.markdown':
+        document = this.parseMarkdown(fileContent);
+        break;
+      default:
+        throw new Error(`Unsupported spec file extension '${extension}'`);
+    }
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw new Error('Spec file does not contain an object document');
+    }
+
+    return this.normalize(document);
+  }
+
+  static parseJson(fileContent) {
+    try {
+      return JSON.parse(fileContent);
+    } catch (error) {
+      throw new Error(`Invalid JSON format: ${error.message}`);
+    }
+  }
+
+  static parseYaml(fileContent) {
+    try {
+      return yaml.load(fileContent);
+    } catch (error) {
+      throw new Error(`Invalid YAML format: ${error.reason || error.message}`);
+    }
+  }
+
+  /**
+   * Markdown files may embed the spec in a fenced code block (```json, ```yaml,
+   * ```openapi) or be a bare JSON/YAML document saved with a .md extension
+   */
+  static parseMarkdown(fileContent) {
+    const fencePattern = /^(`{3,}|~{3,})[ \t]*([\w-]*)[^\n]*\n([\s\S]*?)^\1[ \t]*$/gm;
+    let match;
+
+    while ((match = fencePattern.exec(fileContent)) !== null) {
+      const language = match[2].toLowerCase();
+      const block = match[3];
+
+      if (language && !['json', 'yaml', 'yml', 'openapi', 'swagger'].includes(language)) {
+        continue;
+      }
+
+      const document = this.parseEmbeddedBlock(block);
+      if (this.isSpecDocument(document)) {
+        return document;
+      }
+    }
+
+    const document = this.parseEmbeddedBlock(fileContent);
+    if (this.isSpecDocument(document)) {
+      return document;
+    }
+
+    throw new Error('No embedded OpenAPI or Swagger document found');
+  }
+
+  static parseEmbeddedBlock(content) {
+    const trimmed = content.trim();
+
+    try {
+      if (trimmed.startsWith('{')) {
+        return JSON.parse(trimmed);
+      }
+      return yaml.load(trimmed);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static isSpecDocument(document) {
+    return !!document && typeof document === 'object' && !!(document.openapi || document.swagger);
+  }
+
+  /**
+   * Convert Swagger 2.0 documents to OpenAPI 3; OpenAPI 3 documents pass through
+   */
+  static normalize(document) {
+    if (document.swagger) {
+      if (!String(document.swagger).startsWith('2.')) {
+        throw new Error(`Unsupported Swagger version: ${document.swagger}`);
+      }
+      return Swagger2Converter.convert(document);
+    }
+
+    return document;
+  }
+}
+
+/**
+ * Swagger 2.0 to OpenAPI 3.0 conversion
+ */
+export class Swagger2Converter {
+  static convert(swagger) {
+    const globalConsumes = swagger.consumes || ['application/json'];
+    const globalProduces = swagger.produces || ['application/json'];
+
+    const openapi = {
+      openapi: '3.0.3',
+      info: swagger.info || {},
+      servers: this.convertServers(swagger),
+      paths: {},
+      components: {}
+    };
+
+    if (swagger.tags) openapi.tags = swagger.tags;
+    if (swagger.security) openapi.security = swagger.security;
+    if (swagger.externalDocs) openapi.externalDocs = swagger.externalDocs;
+
+    if (swagger.definitions) {
+      openapi.components.schemas = this.rewriteRefs(swagger.definitions);
+    }
+
+    if (swagger.parameters) {
+      openapi.components.parameters = {};
+      openapi.components.requestBodies = {};
+      for (const [name, param] of Object.entries(swagger.parameters)) {
+        if (param.in === 'body') {
+          openapi.components.requestBodies[name] = this.convertBodyParameter(param, globalConsumes);
+        } else if (param.in !== 'formData') {
+          openapi.components.parameters[name] = this.convertParameter(param);
+        }
+      }
+    }
+
+    if (swagger.responses) {
+      openapi.components.responses = {};
+      for (const [name, response] of Object.entries(swagger.responses)) {
+        openapi.components.responses[name] = this.convertResponse(response, globalProduces);
+      }
+    }
+
+    if (swagger.securityDefinitions) {
+      openapi.components.securitySchemes = {};
+      for (const [name, definition] of Object.entries(swagger.securityDefinitions)) {
+        openapi.components.securitySchemes[name] = this.convertSecurityDefinition(definition);
+      }
+    }
+
+    for (const [path, pathItem] of Object.entries(swagger.paths || {})) {
+      openapi.paths[path] = this.convertPathItem(pathItem, swagger, globalConsumes, globalProduces);
+    }
+
+    return openapi;
+  }
+
+  static convertServers(swagger) {
+    if (!swagger.host) {
+      return swagger.basePath ? [{ url: swagger.basePath }] : [];
+    }
+
+    const schemes = swagger.schemes && swagger.schemes.length > 0 ? swagger.schemes : ['https'];
+    const basePath = swagger.basePath && swagger.basePath !== '/' ? swagger.basePath : '';
+
+    return schemes.map(scheme => ({ url: `${scheme}://${swagger.host}${basePath}` }));
+  }
+
+  static convertPathItem(pathItem, swagger, globalConsumes, globalProduces) {
+    const converted = {};
+    const pathParameters = [];
+
+    for (const param of pathItem.parameters || []) {
+      const resolved = this.resolveParameter(param, swagger);
+      if (resolved.in !== 'body' && resolved.in !== 'formData') {
+        pathParameters.push(param.$ref ? this.rewriteRefs(param) : this.convertParameter(param));
+      }
+    }
+
+    if (pathParameters.length > 0) {
+      converted.parameters = pathParameters;
+    }
+
+    // Body and formData parameters declared on the path apply to every operation
+    const sharedBodyParameters = (pathItem.parameters || [])
+      .map(param => this.resolveParameter(param, swagger))
+      .filter(param => param.in === 'body' || param.in === 'formData');
+
+    for (const [key, value] of Object.entries(pathItem)) {
+      if (HTTP_METHODS.includes(key)) {
+        converted[key] = this.convertOperation(value, swagger, globalConsumes, globalProduces, sharedBodyParameters);
+      } else if (key !== 'parameters') {
+        converted[key] = value;
+      }
+    }
+
+    return converted;
+  }
+
+  static convertOperation(operation, swagger, globalConsumes, globalProduces, sharedBodyParameters) {
+    const consumes = operation.consumes || globalConsumes;
+    const produces = operation.produces || globalProduces;
+    const { parameters = [], responses = {}, consumes: _consumes, produces: _produces, schemes, ...rest } = operation;
+
+    const converted = { ...rest };
+    const convertedParameters = [];
+    const bodyParameters = [...sharedBodyParameters];
+
+    for (const param of parameters) {
+      const resolved = this.resolveParameter(param, swagger);
+      if (resolved.in === 'body' || resolved.in === 'formData') {
+        bodyParameters.push(resolved);
+      } else {
+        convertedParameters.push(param.$ref ? this.rewriteRefs(param) : this.convertParameter(param));
+      }
+    }
+
+    if (convertedParameters.length > 0) {
+      converted.parameters = convertedParameters;
+    }
+
+    const bodyParameter = bodyParameters.find(param => param.in === 'body');
+    const formParameters = bodyParameters.filter(param => param.in === 'formData');
+
+    if (bodyParameter) {
+      converted.requestBody = this.convertBodyParameter(bodyParameter, consumes);
+    } else if (formParameters.length > 0) {
+      converted.requestBody = this.convertFormParameters(formParameters, consumes);
+    }
+
+    converted.responses = {};
+    for (const [status, response] of Object.entries(responses)) {
+      converted.responses[status] = response.$ref
+        ? this.rewriteRefs(response)
+        : this.convertResponse(response, produces);
+    }
+
+    return converted;
+  }
+
+  static resolveParameter(param, swagger) {
+    if (param.$ref && param.$ref.startsWith('#/parameters/')) {
+      const name = param.$ref.slice('#/parameters/'.length);
+      return (swagger.parameters && swagger.parameters[name]) || param;
+    }
+    return param;
+  }
+
+  static convertParameter(param) {
+    const { type, format, items, enum: enumValues, default: defaultValue, minimum, maximum,
+      minLength, maxLength, pattern, collectionFormat, allowEmptyValue, ...rest } = param;
+
+    const converted = { ...rest };
+    const schema = this.buildSchemaFromSimpleType(param);
+    if (Object.keys(schema).length > 0) {
+      converted.schema = schema;
+    }
+
+    if (allowEmptyValue !== undefined) {
+      converted.allowEmptyValue = allowEmptyValue;
+    }
+
+    // Map collectionFormat onto style/explode
+    if (type === 'array') {
+      switch (collectionFormat) {
+        case 'ssv':
+          converted.style = 'spaceDelimited';
+          converted.explode = false;
+          break;
+        case 'pipes':
+          converted.style = 'pipeDelimited';
+          converted.explode = false;
+          break;
+        case 'multi':
+          converted.style = 'form';
+          converted.explode = true;
+          break;
+        default:
+          converted.style = param.in === 'query' || param.in === 'cookie' ? 'form' : 'simple';
+          converted.explode = false;
+      }
+    }
+
+    if (param.in === 'path') {
+      converted.required = true;
+    }
+
+    return converted;
+  }
+
+  static buildSchemaFromSimpleType(param) {
+    const schema = {};
+    const keys = ['type', 'format', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum',
+      'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'multipleOf'];
+
+    for (const key of keys) {
+      if (param[key] !== undefined) {
+        schema[key] = param[key];
+      }
+    }
+
+    if (schema.type === 'file') {
+      schema.type = 'string';
+      schema.format = 'binary';
+    }
+
+    if (param.items) {
+      schema.items = this.buildSchemaFromSimpleType(param.items);
+    }
+
+    return schema;
+  }
+
+  static convertBodyParameter(param, consumes) {
+    const content = {};
+    const schema = this.rewriteRefs(param.schema || {});
+
+    for (const mediaType of consumes) {
+      content[mediaType] = { schema };
+      if (param['x-example'] !== undefined) {
+        content[mediaType].example = param['x-example'];
+      }
+    }
+
+    const requestBody = { content };
+    if (param.description) requestBody.description = param.description;
+    if (param.required) requestBody.required = true;
+
+    return requestBody;
+  }
+
+  static convertFormParameters(formParameters, consumes) {
+    const hasFile = formParameters.some(param => param.type === 'file');
+    const formTypes = consumes.filter(type =>
+      type === 'application/x-www-form-urlencoded' || type === 'multipart/form-data'
+    );
+    const mediaTypes = formTypes.length > 0
+      ? formTypes
+      : [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const param of formParameters) {
+      schema.properties[param.name] = this.buildSchemaFromSimpleType(param);
+      if (param.description) {
+        schema.properties[param.name].description = param.description;
+      }
+      if (param.required) {
+        required.push(param.name);
+      }
+    }
+
+    if (required.length > 0) {
+      schema.required = required;
+    }
+
+    const content = {};
+    for (const mediaType of mediaTypes) {
+      content[mediaType] = { schema };
+    }
+
+    return {
+      content,
+      required: required.length > 0
+    };
+  }
+
+  static convertResponse(response, produces) {
+    if (response.$ref) {
+      return this.rewriteRefs(response);
+    }
+
+    const converted = { description: response.description || '' };
+
+    if (response.schema) {
+      converted.content = {};
+      const schema = this.rewriteRefs(response.schema);
+      for (const mediaType of produces) {
+        converted.content[mediaType] = { schema };
+        if (response.examples && response.examples[mediaType] !== undefined) {
+          converted.content[mediaType].example = response.examples[mediaType];
+        }
+      }
+    }
+
+    if (response.headers) {
+      converted.headers = {};
+      for (const [name, header] of Object.entries(response.headers)) {
+        converted.headers[name] = {
+          description: header.description,
+          schema: this.buildSchemaFromSimpleType(header)
+        };
+      }
+    }
+
+    return converted;
+  }
+
+  static convertSecurityDefinition(definition) {
+    switch (definition.type) {
+      case 'basic':
+        return { type: 'http', scheme: 'basic', description: definition.description };
+
+      case 'apiKey':
+        return { type: 'apiKey', name: definition.name, in: definition.in, description: definition.description };
+
+      case 'oauth2': {
+        const flow = { scopes: definition.scopes || {} };
+        if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+        if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+
+        const flowNames = {
+          implicit: 'implicit',
+          password: 'password',
+          application: 'clientCredentials',
+          accessCode: 'authorizationCode'
+        };
+
+        return {
+          type: 'oauth2',
+          description: definition.description,
+          flows: { [flowNames[definition.flow] || definition.flow]: flow }
+        };
+      }
+
+      default:
+        return definition;
+    }
+  }
+
+  /**
+   * Rewrite Swagger 2.0 reference locations to their OpenAPI 3 equivalents
+   */
+  static rewriteRefs(node) {
+    if (Array.isArray(node)) {
+      return node.map(item => this.rewriteRefs(item));
+    }
+
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string') {
+        result[key] = value
+          .replace(/^#\/definitions\//, '#/components/schemas/')
+          .replace(/^#\/parameters\//, '#/components/parameters/')
+          .replace(/^#\/responses\//, '#/components/responses/');
+      } else if (key === 'x-nullable') {
+        result.nullable = value;
+      } else {
+        result[key] = this.rewriteRefs(value);
+      }
+    }
+
+    return result;
+  }
+}
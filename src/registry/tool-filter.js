@@ -0,0 +1,100 @@
+/**
+ * Tool exposure filter built from a named profile in server-config toolProfiles
+ * Decides which registry operations and built-in tools a client may list and call
+ */
+export class ToolFilter {
+  constructor(profileName = 'all', profile = {}) {
+    this.profileName = profileName;
+    this.description = profile.description || '';
+    this.include = ToolFilter.compileCriteria(profile.include);
+    this.exclude = ToolFilter.compileCriteria(profile.exclude);
+  }
+
+  static fromConfig(config) {
+    const profileName = config.activeToolProfile || 'all';
+    const profile = config.toolProfiles?.[profileName];
+
+    if (!profile) {
+      throw new Error(`Unknown tool profile '${profileName}'`);
+    }
+
+    return new ToolFilter(profileName, profile);
+  }
+
+  static compileCriteria(criteria) {
+    if (!criteria) {
+      return null;
+    }
+
+    const compiled = {};
+    if (criteria.specs) compiled.specs = criteria.specs.map(ToolFilter.globToRegExp);
+    if (criteria.tags) compiled.tags = criteria.tags.map(ToolFilter.globToRegExp);
+    if (criteria.methods) compiled.methods = criteria.methods.map(method => method.toUpperCase());
+    if (criteria.operations) compiled.operations = criteria.operations.map(ToolFilter.globToRegExp);
+    if (criteria.tools) compiled.tools = criteria.tools.map(ToolFilter.globToRegExp);
+
+    return compiled;
+  }
+
+  // '*' matches any run of characters, '?' a single character; matching is case-insensitive
+  static globToRegExp(glob) {
+    const pattern = String(glob)
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${pattern}$`, 'i');
+  }
+
+  static matchesAny(patterns, values) {
+    return values.some(value => value !== undefined && patterns.some(pattern => pattern.test(value)));
+  }
+
+  // Does an operation match a criteria block? mode 'all' for include, 'any' for exclude
+  static matchesOperation(criteria, operationDetails, mode) {
+    const checks = [];
+
+    if (criteria.specs) {
+      checks.push(ToolFilter.matchesAny(criteria.specs, [operationDetails.specName]));
+    }
+    if (criteria.tags) {
+      checks.push(ToolFilter.matchesAny(criteria.tags, operationDetails.tags || []));
+    }
+    if (criteria.methods) {
+      checks.push(criteria.methods.includes(String(operationDetails.method).toUpperCase()));
+    }
+    if (criteria.operations) {
+      checks.push(ToolFilter.matchesAny(criteria.operations, [operationDetails.toolName, operationDetails.operationId]));
+    }
+
+    if (checks.length === 0) {
+      return mode === 'all';
+    }
+
+    return mode === 'all' ? checks.every(Boolean) : checks.some(Boolean);
+  }
+
+  allowsOperation(operationDetails) {
+    if (this.include && !ToolFilter.matchesOperation(this.include, operationDetails, 'all')) {
+      return false;
+    }
+
+    if (this.exclude && ToolFilter.matchesOperation(this.exclude, operationDetails, 'any')) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // Built-in tools (workflow tools, search_operations, maybank_interactive)
+  allowsTool(toolName) {
+    if (this.include?.tools && !ToolFilter.matchesAny(this.include.tools, [toolName])) {
+      return false;
+    }
+
+    if (this.exclude?.tools && ToolFilter.matchesAny(this.exclude.tools, [toolName])) {
+      return false;
+    }
+
+    return true;
+  }
+}
@@ -19,6 +19,15 @@ import { initializeConfig, config } from './config/server-config.js';
 import { logger } from './utils/logger.js';
 import { Validators } from './utils/validators.js';
 import { MaybankInteractiveTool } from './interaction/maybank-interactive-tool.js';
+import { ToolFilter } from './registry/tool-filter.js';
+import { MaybankAdapter } from './adapters/maybank-adapter.js';
+import { SecuritySchemes } from './authentication/security-schemes.js';
+import { ResponseValidator } from './execution/response-validator.js';
+import { Paginator } from './execution/paginator.js';
+import { SELECT_ARGUMENT, SELECT_SYNTAX } from './execution/result-selector.js';
+
+// Schema keywords that define a field's type without a 'type' of their own
+const COMPOSITION_KEYWORDS = ['oneOf', 'anyOf', 'allOf', '$ref'];
 
 class MCPGatewayServer {
   constructor() {
@@ -29,7 +38,7 @@ class MCPGatewayServer {
       },
       { 
         capabilities: { 
-          tools: {} 
+          tools: { listChanged: true } 
         } 
       }
     );
@@ -40,8 +49,10 @@ class MCPGatewayServer {
     this.workflowEngine = null;
     this.maybankInteractiveTool = null;
     this.config = null;
+    this.toolFilter = null;
     this.initialized = false;
     this.mcpTools = [];
+    this.connected = false;
     
     // Set up MCP handlers in constructor
     this.setupMCPHandlers();
@@ -103,15 +114,31 @@ class MCPGatewayServer {
       
       // 1. Load and validate configuration
       this.config = initializeConfig();
-      logger.info('Configuration loaded successfully');
+      this.toolFilter = ToolFilter.fromConfig(this.config);
+      logger.info('Configuration loaded successfully', { toolProfile: this.toolFilter.profileName });
       
       // 2. Initialize API registry
-      this.registry = new ApiRegistry();
+      this.registry = new ApiRegistry({
+        collisionPolicy: this.config.registry.operationCollisionPolicy
+      });
       await this.registry.initialize();
       logger.registryInit(this.registry.specs.size, this.registry.operations.size);
+      this.registry.on('reloaded', (summary) => this.handleRegistryReload(summary));
       
       // 3. Initialize executor and intent parser
-      this.executor = new ApiExecutor(this.registry, this.config.apis);
+      this.executor = new ApiExecutor(this.registry, this.config.apis, {
+        serverSelection: this.config.servers,
+        responseValidation: this.config.responseValidation,
+        retry: this.config.retry,
+        rateLimits: this.config.rateLimits,
+        pagination: this.config.pagination,
+        formatting: this.config.formatting,
+        cassette: this.config.cassette,
+        mock: this.config.mock,
+        maybank: this.config.maybank,
+        uploadRoot: this.config.uploads.rootDir,
+        operationFilter: (operationDetails) => this.isOperationExposed(operationDetails)
+      });
       this.intentParser = new IntentParser(this.registry);
       
       // 4. Initialize workflow engine (Phase 4.1)
@@ -144,16 +171,17 @@ class MCPGatewayServer {
     try {
       logger.info('Setting up MCP tools...');
       
-      // Get all operations from registry
-      const operations = this.registry.getAllOperations();
-      logger.debug('Retrieved operations', { count: operations.length });
+      // Get all operations from registry that the active tool profile exposes
+      const operations = this.registry.getAllOperations()
+        .filter(operation => this.isOperationExposed(this.registry.getOperationDetails(operation.toolName)));
+      logger.debug('Retrieved operations', { count: operations.length, profile: this.toolFilter?.profileName });
       
       // Store tools for list handler
       const tools = [];
       
       for (const operation of operations) {
         logger.debug('Processing operation', { operation });
-        const operationDetails = this.registry.getOperationDetails(operation.operationId);
+        const operationDetails = this.registry.getOperationDetails(operation.toolName);
         logger.debug('Got operation details', { operationId: operation.operationId });
         const tool = this.createToolFromOperation(operationDetails);
         logger.debug('Created tool', { toolName: tool.name });
@@ -161,19 +189,25 @@ class MCPGatewayServer {
         
         logger.debug('Created MCP tool', { 
           toolName: tool.name, 
-          operationId: operation.operationId 
+          operationId: operation.operationId,
+          specName: operation.specName
         });
       }
       
+      // Operation search across every registered spec
+      if (this.isBuiltinToolExposed('search_operations')) {
+        tools.push(this.createSearchTool());
+      }
+      
       // PHASE 3: Add workflow tools
       if (this.workflowEngine) {
-        const workflowTools = this.createWorkflowTools();
+        const workflowTools = this.createWorkflowTools().filter(tool => this.isBuiltinToolExposed(tool.name));
         tools.push(...workflowTools);
         logger.info('Added workflow tools', { count: workflowTools.length });
       }
       
       // PHASE 4.2: Add Maybank interactive tool
-      if (this.maybankInteractiveTool) {
+      if (this.maybankInteractiveTool && this.isBuiltinToolExposed('maybank_interactive')) {
         const maybankTool = this.maybankInteractiveTool.toolDefinition;
         tools.push(maybankTool);
         logger.info('Added Maybank interactive tool');
@@ -193,8 +227,59 @@ class MCPGatewayServer {
     }
   }
 
+  isOperationExposed(operationDetails) {
+    return !this.toolFilter || this.toolFilter.allowsOperation(operationDetails);
+  }
+
+  isBuiltinToolExposed(toolName) {
+    return !this.toolFilter || this.toolFilter.allowsTool(toolName);
+  }
+
+  // Calls are checked against the active profile too, not just the advertised list
+  assertToolExposed(toolName) {
+    const builtinTools = ['maybank_interactive', 'search_operations', ...this.getWorkflowToolNames()];
+    const exposed = builtinTools.includes(toolName)
+      ? this.isBuiltinToolExposed(toolName)
+      : this.isOperationExposed(this.registry.getOperationDetails(toolName));
+    
+    if (!exposed) {
+      throw new Error(`Tool '${toolName}' is not available in tool profile '${this.toolFilter.profileName}'`);
+    }
+  }
+
+  // Predefined workflows call their operations directly, so each step is checked up front
+  assertWorkflowExposed(workflowName) {
+    const workflow = this.workflowEngine.bankingWorkflows.getWorkflow(workflowName);
+    for (const step of workflow?.steps || []) {
+      const operationDetails = step.operation && this.registry.getOperationDetails(step.operation);
+      if (operationDetails && !this.isOperationExposed(operationDetails)) {
+        throw new Error(`Workflow '${workflowName}' calls '${step.operation}', which is not available in tool profile '${this.toolFilter.profileName}'`);
+      }
+    }
+  }
+
+  // Rebuild the tool list after the registry swapped in new specs
+  async handleRegistryReload(summary) {
+    try {
+      await this.setupMCPTools();
+      logger.info('Tool list rebuilt after spec reload', {
+        added: summary.added,
+        removed: summary.removed,
+        retained: summary.retained,
+        skipped: summary.skipped.length
+      });
+      
+      if (this.connected) {
+        await this.server.sendToolListChanged();
+      }
+    } catch (error) {
+      // setupMCPTools only replaces this.mcpTools on success, so the previous list stays live
+      logger.error('Failed to rebuild tools after spec reload', { error: error.message });
+    }
+  }
+
   createToolFromOperation(operationDetails) {
-    const toolName = operationDetails.operationId;
+    const toolName = operationDetails.toolName || operationDetails.operationId;
     const description = operationDetails.summary || operationDetails.description || 'API operation';
     
     // Build input schema from OpenAPI parameters
@@ -204,7 +289,20 @@ class MCPGatewayServer {
       required: []
     };
     
+    const isMaybankOperation = !!this.executor?.isMaybankOperation(operationDetails);
+    const suppliedParameters = SecuritySchemes.suppliedParameters(operationDetails, this.config.apis);
+    
     for (const param of operationDetails.parameters) {
+      // The Maybank adapter sets Accept, Content-Type and the X-APP-* headers itself
+      if (isMaybankOperation && param.in === 'header' && MaybankAdapter.isManagedHeader(param.name)) {
+        continue;
+      }
+      
+      // Parameters an apiKey scheme fills from the configured credentials (e.g. weather's appid)
+      if (suppliedParameters.some(supplied => supplied.name === param.name && supplied.in === param.in)) {
+        continue;
+      }
+      
       // Map OpenAPI parameter to JSON schema
       const propSchema = {
         type: param.schema?.type || "string",
@@ -221,6 +319,12 @@ class MCPGatewayServer {
         propSchema.default = param.schema.default;
       }
       
+      // Add example value if specified
+      const paramExample = param.example !== undefined ? param.example : param.schema?.example;
+      if (paramExample !== undefined) {
+        propSchema.example = paramExample;
+      }
+      
       inputSchema.properties[param.name] = propSchema;
       
       // Add to required if parameter is required
@@ -229,13 +333,181 @@ class MCPGatewayServer {
       }
     }
     
+    // Add request body fields from the resolved requestBody schema
+    this.addRequestBodyToInputSchema(inputSchema, operationDetails);
+    
+    // Paginated list operations take paging controls
+    if (Paginator.resolve(operationDetails, this.config.pagination)) {
+      this.addPaginationToInputSchema(inputSchema);
+    }
+    
+    // Maybank operations take the caller's own token; it may be omitted when the server has one configured
+    if (isMaybankOperation && !inputSchema.properties.jwtToken) {
+      inputSchema.properties.jwtToken = {
+        type: "string",
+        description: "Your Maybank JWT. Optional when MAYBANK_JWT_TOKEN or an encrypted token file is configured"
+      };
+    }
+    
+    // Every operation can trim its result, unless the API itself has a 'select' parameter
+    const selectable = !inputSchema.properties[SELECT_ARGUMENT];
+    if (selectable) {
+      inputSchema.properties[SELECT_ARGUMENT] = {
+        type: "string",
+        description: SELECT_SYNTAX
+      };
+    }
+    
     return {
       name: toolName,
-      description: description,
+      description: selectable
+        ? `${description}\n\nOptional 'select' takes a JMESPath expression to return only matching fields, e.g. items[?active].{id: id, name: name}.`
+        : description,
       inputSchema: inputSchema
     };
   }
 
+  addRequestBodyToInputSchema(inputSchema, operationDetails) {
+    const body = this.registry.getRequestBodySchema(operationDetails);
+    if (!body) {
+      return;
+    }
+    
+    const bodySchema = body.schema;
+    const bodyProperties = bodySchema.properties || {};
+    const collides = Object.keys(bodyProperties).some(name => inputSchema.properties[name]);
+    
+    // Non-object bodies, or bodies whose fields clash with parameters, are exposed as a single 'body' argument
+    if ((bodySchema.type && bodySchema.type !== 'object') || Object.keys(bodyProperties).length === 0 || collides) {
+      inputSchema.properties.body = {
+        ...bodySchema,
+        description: bodySchema.description || `Request body (${body.mediaType})`
+      };
+      if (body.example !== undefined && bodySchema.example === undefined) {
+        inputSchema.properties.body.example = body.example;
+      }
+      if (body.required) {
+        inputSchema.required.push('body');
+      }
+      return;
+    }
+    
+    const requiredFields = bodySchema.required || [];
+    
+    for (const [fieldName, fieldSchema] of Object.entries(bodyProperties)) {
+      const propSchema = {
+        ...fieldSchema,
+        description: fieldSchema.description || `${fieldName} field of the request body`
+      };
+      // oneOf / anyOf / allOf fields take their types from the composition
+      if (!propSchema.type && !COMPOSITION_KEYWORDS.some(keyword => propSchema[keyword])) {
+        propSchema.type = "string";
+      }
+      
+      // Fall back to the media type example when the field has none
+      if (propSchema.example === undefined && body.example && body.example[fieldName] !== undefined) {
+        propSchema.example = body.example[fieldName];
+      }
+      
+      inputSchema.properties[fieldName] = propSchema;
+      
+      // Fields are only required when the body itself is
+      if (body.required && requiredFields.includes(fieldName)) {
+        inputSchema.required.push(fieldName);
+      }
+    }
+  }
+
+  addPaginationToInputSchema(inputSchema) {
+    const maxPagesLimit = this.config.pagination.maxPagesLimit;
+    
+    inputSchema.properties.maxPages = {
+      type: "integer",
+      minimum: 1,
+      maximum: maxPagesLimit,
+      description: `Fetch up to this many pages and merge the results (default 1, at most ${maxPagesLimit})`
+    };
+    inputSchema.properties.maxItems = {
+      type: "integer",
+      minimum: 1,
+      description: "Stop once this many items have been collected"
+    };
+    inputSchema.properties.continuationToken = {
+      type: "string",
+      description: "Token from a previous result to continue with the next page"
+    };
+  }
+
+  createSearchTool() {
+    return {
+      name: "search_operations",
+      description: "Search all registered API operations by keywords and return ranked tool candidates",
+      inputSchema: {
+        type: "object",
+        properties: {
+          query: {
+            type: "string",
+            description: "What you want to do, e.g. 'MAE wallet balance' or 'latest technology headlines'"
+          },
+          limit: {
+            type: "integer",
+            description: "Maximum number of candidates to return",
+            minimum: 1,
+            maximum: 25,
+            default: 5
+          }
+        },
+        required: ["query"]
+      }
+    };
+  }
+
+  handleSearchToolCall(arguments_) {
+    const startTime = Date.now();
+    
+    if (!arguments_.query || typeof arguments_.query !== 'string') {
+      logger.mcpToolResponse('search_operations', false, Date.now() - startTime);
+      return {
+        content: [{ type: "text", text: "Error: 'query' must be a non-empty string" }],
+        isError: true
+      };
+    }
+    
+    const limit = Math.min(Math.max(parseInt(arguments_.limit, 10) || 5, 1), 25);
+    const candidates = this.registry.searchOperations(arguments_.query, {
+      limit,
+      filter: (operationDetails) => this.isOperationExposed(operationDetails)
+    });
+    
+    logger.mcpToolResponse('search_operations', true, Date.now() - startTime);
+    
+    if (candidates.length === 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `🔍 No operations match "${arguments_.query}"`
+          }
+        ]
+      };
+    }
+    
+    const lines = candidates.map((candidate, i) =>
+      `${i + 1}. ${candidate.toolName} (score: ${candidate.score})\n` +
+      `   ${candidate.method} ${candidate.path} [${candidate.specName}]\n` +
+      `   ${candidate.summary || 'No summary'}`
+    );
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `🔍 Operations matching "${arguments_.query}"\n\n${lines.join('\n\n')}`
+        }
+      ]
+    };
+  }
+
   // PHASE 3: Create workflow tools for MCP
   createWorkflowTools() {
     const workflowTools = [
@@ -330,16 +602,19 @@ class MCPGatewayServer {
     return workflowTools;
   }
 
-  // PHASE 3: Check if tool is a workflow tool
-  isWorkflowTool(toolName) {
-    const workflowToolNames = [
+  getWorkflowToolNames() {
+    return [
       'execute_workflow',
       'plan_workflow', 
       'list_workflows',
       'suggest_workflows',
       'execute_custom_workflow'
     ];
-    return workflowToolNames.includes(toolName);
+  }
+
+  // PHASE 3: Check if tool is a workflow tool
+  isWorkflowTool(toolName) {
+    return this.getWorkflowToolNames().includes(toolName);
   }
 
   // PHASE 3: Handle workflow tool calls
@@ -351,6 +626,7 @@ class MCPGatewayServer {
       
       switch (toolName) {
         case 'execute_workflow':
+          this.assertWorkflowExposed(arguments_.workflowName);
           result = await this.workflowEngine.executeWorkflow(
             arguments_.workflowName, 
             arguments_.parameters || {}
@@ -398,6 +674,9 @@ class MCPGatewayServer {
           break;
           
         case 'execute_custom_workflow':
+          // Every step must be an operation the active tool profile exposes
+          (arguments_.steps || []).forEach(step => this.assertToolExposed(step));
+          
           // Execute using workflow engine's step execution logic
           result = await this.executeCustomWorkflowSteps(arguments_.steps, arguments_.parameters || {});
           break;
@@ -606,18 +885,24 @@ class MCPGatewayServer {
     try {
       logger.mcpToolCall(toolName, arguments_);
       
+      this.assertToolExposed(toolName);
+      
       // PHASE 4.2: Check if this is the Maybank interactive tool
       if (toolName === 'maybank_interactive') {
         return await this.handleMaybankInteractiveTool(arguments_);
       }
       
+      if (toolName === 'search_operations') {
+        return this.handleSearchToolCall(arguments_);
+      }
+      
       // PHASE 3: Check if this is a workflow tool
       if (this.isWorkflowTool(toolName)) {
         return await this.handleWorkflowToolCall(toolName, arguments_);
       }
       
-      // 1. Map tool name to operation (existing single API logic)
-      const operationId = toolName; // For Phase 1, tool name = operation ID
+      // 1. Map tool name to operation (namespaced tool names resolve to their own spec)
+      const operationId = toolName;
       const operationDetails = this.registry.getOperationDetails(operationId);
       
       if (!operationDetails) {
@@ -720,85 +1005,71 @@ class MCPGatewayServer {
   }
 
   formatSuccessResponse(result, operationDetails) {
-    if (operationDetails.operationId === 'getCurrentWeather') {
-      return this.formatWeatherResponse(result.data);
+    // The executor renders results from the response schema and x-format; JSON is the fallback
+    const label = result.select ? `Result (select: ${result.select}):` : 'Result:';
+    const body = result.display ?? JSON.stringify(result.select ? result.data.data : result.data, null, 2);
+    const text = `Operation ${operationDetails.operationId} completed successfully.\n\n${label}\n${body}`;
+    
+    return text + this.formatPagination(result.pagination) + this.formatAttempts(result.attempts) +
+      this.formatResponseValidation(result.responseValidation);
+  }
+
+  formatPagination(pagination) {
+    if (!pagination) {
+      return '';
     }
     
-    // Generic formatting for other operations
-    return `Operation ${operationDetails.operationId} completed successfully.\n\nResult:\n${JSON.stringify(result.data, null, 2)}`;
+    const total = pagination.total !== null ? ` of ${pagination.total}` : '';
+    let text = `\n\n📄 ${pagination.itemsReturned}${total} items from ${pagination.pagesFetched} page(s).`;
+    if (pagination.itemsOmitted > 0) {
+      text += ` ${pagination.itemsOmitted} more item(s) on the last page were left out by maxItems.`;
+    }
+    if (pagination.hasMore) {
+      text += ` More results available: call again with continuationToken "${pagination.continuationToken}".`;
+    }
+    return text;
   }
 
-  formatWeatherResponse(weatherData) {
-    try {
-      const parts = [];
-      
-      // Header
-      parts.push(`🌤️ Current Weather for ${weatherData.location}`);
-      
-      if (weatherData.country && weatherData.country !== 'Unknown') {
-        parts[0] += `, ${weatherData.country}`;
-      }
-      
-      parts.push(''); // Empty line
-      
-      // Current conditions
-      if (weatherData.weather) {
-        parts.push(`Condition: ${weatherData.weather.description}`);
-      }
-      
-      // Temperature info
-      if (weatherData.temperature) {
-        const temp = weatherData.temperature;
-        parts.push(`Temperature: ${temp.current}°C (feels like ${temp.feels_like}°C)`);
-        
-        if (temp.min !== undefined && temp.max !== undefined) {
-          parts.push(`Range: ${temp.min}°C to ${temp.max}°C`);
-        }
-      }
-      
-      // Atmospheric conditions
-      if (weatherData.atmospheric) {
-        const atm = weatherData.atmospheric;
-        const atmParts = [];
-        
-        if (atm.humidity) atmParts.push(`Humidity: ${atm.humidity}%`);
-        if (atm.pressure) atmParts.push(`Pressure: ${atm.pressure} hPa`);
-        
-        if (atmParts.length > 0) {
-          parts.push(atmParts.join(', '));
-        }
-      }
-      
-      // Wind information
-      if (weatherData.wind && Object.keys(weatherData.wind).length > 0) {
-        const windParts = [];
-        if (weatherData.wind.speed) windParts.push(`Speed: ${weatherData.wind.speed} m/s`);
-        if (weatherData.wind.deg) windParts.push(`Direction: ${weatherData.wind.deg}°`);
-        
-        if (windParts.length > 0) {
-          parts.push(`Wind: ${windParts.join(', ')}`);
-        }
-      }
-      
-      // Coordinates
-      if (weatherData.coordinates) {
-        parts.push(''); // Empty line
-        parts.push(`📍 Location: ${weatherData.coordinates.latitude}°N, ${weatherData.coordinates.longitude}°E`);
-      }
-      
-      return parts.join('\n');
-      
-    } catch (error) {
-      logger.warn('Weather response formatting failed, using fallback', { error: error.message });
-      return `Weather data for ${weatherData.location || 'Unknown location'}:\n\n${JSON.stringify(weatherData, null, 2)}`;
+  // Only worth mentioning when the call needed more than one attempt
+  formatAttempts(attempts) {
+    if (!attempts || attempts.length <= 1) {
+      return '';
     }
+    
+    const lines = attempts.map(attempt => {
+      const outcome = attempt.error ? `${attempt.status || attempt.code || 'error'} - ${attempt.error}` : `${attempt.status} OK`;
+      const retry = attempt.retryInMs !== undefined ? `, retried after ${attempt.retryInMs}ms` : '';
+      return `- Attempt ${attempt.attempt}: ${outcome} (${attempt.durationMs}ms${retry})`;
+    });
+    return `\n\n🔁 ${attempts.length} attempts:\n${lines.join('\n')}`;
+  }
+
+  // Surface response schema drift (warn mode) alongside the result
+  formatResponseValidation(validation) {
+    if (!validation || validation.valid) {
+      return '';
+    }
+    
+    const lines = ResponseValidator.summarize(validation).map(line => `- ${line}`);
+    return `\n\n⚠️ Response did not match the documented schema (${validation.violationCount} violation(s)):\n${lines.join('\n')}`;
   }
 
   formatErrorResponse(result, operationDetails) {
     const errorMsg = result.error || 'Unknown error occurred';
     const operationName = operationDetails.summary || operationDetails.operationId;
     
-    return `❌ ${operationName} failed: ${errorMsg}`;
+    if (result.errorType === 'schema_validation') {
+      return `❌ ${operationName} failed: upstream response did not match the documented schema` +
+        this.formatResponseValidation(result.responseValidation);
+    }
+    
+    // Maybank failures carry a decoded reason: category, retryability and what to do
+    if (result.reason) {
+      return `❌ ${operationName} failed:\n` + MaybankInteractiveTool.formatReason(result.reason, errorMsg).trimEnd() +
+        this.formatAttempts(result.attempts);
+    }
+    
+    return `❌ ${operationName} failed: ${errorMsg}` + this.formatAttempts(result.attempts);
   }
 
   setupErrorHandlers() {
@@ -858,6 +1129,12 @@ class MCPGatewayServer {
       // Start MCP server with stdio transport
       const transport = new StdioServerTransport();
       await this.server.connect(transport);
+      this.connected = true;
+      
+      // Hot-reload specs so edits don't require restarting (and dropping interactive sessions)
+      if (this.config.registry.watchSpecs) {
+        this.registry.watch();
+      }
       
       logger.info('MCP Gateway Server is running and ready to accept connections');
       
@@ -869,6 +1146,7 @@ class MCPGatewayServer {
 
   shutdown() {
     try {
+      this.registry?.unwatch();
       logger.serverStop();
       process.exit(0);
     } catch (error) {
@@ -885,7 +1163,8 @@ class MCPGatewayServer {
       operations: this.registry?.operations?.size || 0,
       executor: !!this.executor,
       intentParser: !!this.intentParser,
-      config: !!this.config
+      config: !!this.config,
+      toolProfile: this.toolFilter?.profileName || null
     };
   }
 }
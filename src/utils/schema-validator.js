@@ -0,0 +1,309 @@
+import net from 'net';
+
+// JSON Schema validation for resolved OpenAPI schemas and tool inputs
+// (draft 2020-12 subset plus OpenAPI 3.0 nullable and boolean exclusiveMinimum/Maximum)
+// Errors carry a JSON pointer ('/result/accountListings/0/balance') to the offending value
+
+// format assertions; unknown formats (int32, binary, ...) are treated as annotations
+const FORMAT_CHECKS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && SchemaValidator.isValidDate(value),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) &&
+    SchemaValidator.isValidDate(value.slice(0, 10)) && !Number.isNaN(Date.parse(value)),
+  time: value => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  ipv4: value => net.isIPv4(value),
+  ipv6: value => net.isIPv6(value)
+};
+
+export class SchemaValidator {
+  static patternCache = new Map();
+
+  // Validate a value and return { valid, errors: [{ path, keyword, message }] }
+  static validate(value, schema, options = {}) {
+    const errors = [];
+    this.validateNode(value, schema, options.rootPath || '', errors, options);
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  static validateNode(value, schema, path, errors, options) {
+    if (!schema || typeof schema !== 'object') {
+      return;
+    }
+
+    // Cut circular references are not descended into
+    if (schema['x-circular-ref']) {
+      return;
+    }
+
+    if (value === null && (schema.nullable === true || this.typeList(schema).includes('null'))) {
+      return;
+    }
+
+    if (schema.allOf) {
+      for (const subSchema of schema.allOf) {
+        this.validateNode(value, subSchema, path, errors, options);
+      }
+    }
+
+    if (schema.anyOf) {
+      const matches = schema.anyOf.some(subSchema => this.validate(value, subSchema, options).valid);
+      if (!matches) {
+        errors.push(this.error(path, 'anyOf', 'must match at least one of the allowed schemas'));
+      }
+    }
+
+    if (schema.oneOf) {
+      const matchCount = schema.oneOf.filter(subSchema => this.validate(value, subSchema, options).valid).length;
+      if (matchCount !== 1) {
+        errors.push(this.error(path, 'oneOf', `must match exactly one of the allowed schemas (matched ${matchCount})`));
+      }
+    }
+
+    const types = this.typeList(schema);
+    if (types.length > 0 && !types.some(type => this.matchesType(value, type))) {
+      errors.push(this.error(path, 'type', `must be ${types.join(' or ')}, got ${this.describeType(value)}`));
+      return;
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => this.deepEqual(allowed, value))) {
+      errors.push(this.error(path, 'enum', `must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`));
+    }
+
+    if (schema.const !== undefined && !this.deepEqual(schema.const, value)) {
+      errors.push(this.error(path, 'const', `must be ${JSON.stringify(schema.const)}`));
+    }
+
+    if (schema.not && this.validate(value, schema.not, options).valid) {
+      errors.push(this.error(path, 'not', 'must not match the excluded schema'));
+    }
+
+    if (typeof value === 'number') {
+      this.validateNumber(value, schema, path, errors);
+    } else if (typeof value === 'string') {
+      this.validateString(value, schema, path, errors, options);
+    }
+
+    if (Array.isArray(value)) {
+      this.validateArray(value, schema, path, errors, options);
+    } else if (value !== null && typeof value === 'object') {
+      this.validateObject(value, schema, path, errors, options);
+    }
+  }
+
+  static validateNumber(value, schema, path, errors) {
+    // OpenAPI 3.0 uses boolean exclusiveMinimum/Maximum alongside minimum/maximum
+    const exclusiveMinimum = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum;
+    const exclusiveMaximum = schema.exclusiveMaximum === true ? schema.maximum : schema.exclusiveMaximum;
+
+    if (typeof exclusiveMinimum === 'number' && value <= exclusiveMinimum) {
+      errors.push(this.error(path, 'exclusiveMinimum', `must be greater than ${exclusiveMinimum}`));
+    } else if (typeof schema.minimum === 'number' && schema.exclusiveMinimum !== true && value < schema.minimum) {
+      errors.push(this.error(path, 'minimum', `must be at least ${schema.minimum}`));
+    }
+
+    if (typeof exclusiveMaximum === 'number' && value >= exclusiveMaximum) {
+      errors.push(this.error(path, 'exclusiveMaximum', `must be less than ${exclusiveMaximum}`));
+    } else if (typeof schema.maximum === 'number' && schema.exclusiveMaximum !== true && value > schema.maximum) {
+      errors.push(this.error(path, 'maximum', `must be at most ${schema.maximum}`));
+    }
+
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        errors.push(this.error(path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`));
+      }
+    }
+  }
+
+  static validateString(value, schema, path, errors, options) {
+    const length = [...value].length;
+
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+      errors.push(this.error(path, 'minLength', `must have at least ${schema.minLength} characters`));
+    }
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+      errors.push(this.error(path, 'maxLength', `must have at most ${schema.maxLength} characters`));
+    }
+
+    if (schema.pattern && !this.compilePattern(schema.pattern).test(value)) {
+      errors.push(this.error(path, 'pattern', `must match pattern ${schema.pattern}`));
+    }
+
+    const checkFormat = FORMAT_CHECKS[schema.format];
+    if (checkFormat && options.formats !== false && !checkFormat(value)) {
+      errors.push(this.error(path, 'format', `must be a valid ${schema.format}`));
+    }
+  }
+
+  static validateObject(value, schema, path, errors, options) {
+    for (const requiredName of schema.required || []) {
+      if (value[requiredName] === undefined) {
+        errors.push(this.error(this.childPath(path, requiredName), 'required', 'is required'));
+      }
+    }
+
+    const propertyCount = Object.keys(value).length;
+    if (typeof schema.minProperties === 'number' && propertyCount < schema.minProperties) {
+      errors.push(this.error(path, 'minProperties', `must have at least ${schema.minProperties} properties`));
+    }
+    if (typeof schema.maxProperties === 'number' && propertyCount > schema.maxProperties) {
+      errors.push(this.error(path, 'maxProperties', `must have at most ${schema.maxProperties} properties`));
+    }
+
+    const properties = schema.properties || {};
+    const patternProperties = Object.entries(schema.patternProperties || {})
+      .map(([pattern, patternSchema]) => [this.compilePattern(pattern), patternSchema]);
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const childPath = this.childPath(path, name);
+      const matchingPatterns = patternProperties.filter(([pattern]) => pattern.test(name));
+
+      for (const [, patternSchema] of matchingPatterns) {
+        this.validateNode(propertyValue, patternSchema, childPath, errors, options);
+      }
+
+      if (properties[name]) {
+        this.validateNode(propertyValue, properties[name], childPath, errors, options);
+      } else if (matchingPatterns.length > 0) {
+        continue;
+      } else if (schema.additionalProperties === false) {
+        errors.push(this.error(childPath, 'additionalProperties', 'is not an allowed property'));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.validateNode(propertyValue, schema.additionalProperties, childPath, errors, options);
+      }
+    }
+  }
+
+  static validateArray(value, schema, path, errors, options) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(this.error(path, 'minItems', `must have at least ${schema.minItems} items`));
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push(this.error(path, 'maxItems', `must have at most ${schema.maxItems} items`));
+    }
+
+    if (schema.uniqueItems === true) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) {
+          errors.push(this.error(this.childPath(path, index), 'uniqueItems', 'duplicates an earlier item'));
+        }
+        seen.add(key);
+      });
+    }
+
+    // prefixItems validates positions; items then applies to the rest
+    const prefixItems = schema.prefixItems || [];
+    prefixItems.forEach((itemSchema, index) => {
+      if (index < value.length) {
+        this.validateNode(value[index], itemSchema, this.childPath(path, index), errors, options);
+      }
+    });
+
+    if (schema.items === false && value.length > prefixItems.length) {
+      errors.push(this.error(path, 'items', `must have at most ${prefixItems.length} items`));
+    } else if (schema.items && typeof schema.items === 'object') {
+      value.slice(prefixItems.length).forEach((item, offset) => {
+        this.validateNode(item, schema.items, this.childPath(path, prefixItems.length + offset), errors, options);
+      });
+    }
+
+    if (schema.contains && !value.some(item => this.validate(item, schema.contains, options).valid)) {
+      errors.push(this.error(path, 'contains', 'must contain at least one matching item'));
+    }
+  }
+
+  static typeList(schema) {
+    if (!schema.type) {
+      return [];
+    }
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+  }
+
+  static matchesType(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'integer':
+        return typeof value === 'number' && Number.isInteger(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        return true; // Unknown type, assume valid
+    }
+  }
+
+  static describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  static isValidDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  // Patterns are ECMA-262 regexes; a broken pattern in a spec should not break validation
+  static compilePattern(pattern) {
+    if (!this.patternCache.has(pattern)) {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'u');
+      } catch {
+        try {
+          regex = new RegExp(pattern);
+        } catch {
+          regex = /(?:)/;
+        }
+      }
+      this.patternCache.set(pattern, regex);
+    }
+    return this.patternCache.get(pattern);
+  }
+
+  static deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // JSON pointer escaping per RFC 6901
+  static childPath(path, key) {
+    return `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  static error(path, keyword, message) {
+    return {
+      path: path || '/',
+      keyword,
+      message
+    };
+  }
+
+  // One line per error, e.g. "/result/total must be number, got string"
+  static formatErrors(errors) {
+    return errors.map(error => `${error.path} ${error.message}`);
+  }
+}
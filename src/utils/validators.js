@@ -1,99 +1,35 @@
 // Input validation utilities for the MCP API Gateway
+import { SchemaValidator } from './schema-validator.js';
 
 export class Validators {
   
-  // Validate MCP tool arguments
+  // Validate MCP tool arguments against the tool's JSON Schema
+  // Errors read "/amount must be at least 0.01" so the caller can fix the named argument
   static validateToolArguments(args, toolSchema) {
-    const errors = [];
-    
-    if (!args || typeof args !== 'object') {
-      errors.push('Arguments must be an object');
-      return { valid: false, errors };
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      return { valid: false, errors: ['Arguments must be an object'], details: [] };
     }
     
-    if (!toolSchema || !toolSchema.properties) {
-      // If no schema provided, just check basic structure
-      return { valid: true, errors: [] };
-    }
-    
-    // Check required properties
-    if (toolSchema.required) {
-      for (const requiredProp of toolSchema.required) {
-        if (!(requiredProp in args)) {
-          errors.push(`Required property '${requiredProp}' is missing`);
-        }
-      }
-    }
-    
-    // Validate property types
-    for (const [propName, propValue] of Object.entries(args)) {
-      const propSchema = toolSchema.properties[propName];
-      if (propSchema) {
-        const propValidation = this.validateProperty(propValue, propSchema, propName);
-        if (!propValidation.valid) {
-          errors.push(...propValidation.errors);
-        }
-      }
+    if (!toolSchema) {
+      return { valid: true, errors: [], details: [] };
     }
     
+    const result = SchemaValidator.validate(args, toolSchema);
     return {
-      valid: errors.length === 0,
-      errors
+      valid: result.valid,
+      errors: SchemaValidator.formatErrors(result.errors),
+      details: result.errors
     };
   }
   
   // Validate individual property against schema
   static validateProperty(value, schema, propertyName) {
-    const errors = [];
-    
-    // Check type
-    if (schema.type) {
-      if (!this.validateType(value, schema.type)) {
-        errors.push(`Property '${propertyName}' must be of type ${schema.type}`);
-      }
-    }
-    
-    // Check enum values
-    if (schema.enum && !schema.enum.includes(value)) {
-      errors.push(`Property '${propertyName}' must be one of: ${schema.enum.join(', ')}`);
-    }
-    
-    // String validations
-    if (schema.type === 'string' && typeof value === 'string') {
-      if (schema.minLength && value.length < schema.minLength) {
-        errors.push(`Property '${propertyName}' must be at least ${schema.minLength} characters long`);
-      }
-      
-      if (schema.maxLength && value.length > schema.maxLength) {
-        errors.push(`Property '${propertyName}' must be at most ${schema.maxLength} characters long`);
-      }
-      
-      if (schema.pattern) {
-        const regex = new RegExp(schema.pattern);
-        if (!regex.test(value)) {
-          errors.push(`Property '${propertyName}' does not match required pattern`);
-        }
-      }
-    }
-    
-    // Number validations
-    if ((schema.type === 'number' || schema.type === 'integer') && typeof value === 'number') {
-      if (schema.minimum !== undefined && value < schema.minimum) {
-        errors.push(`Property '${propertyName}' must be at least ${schema.minimum}`);
-      }
-      
-      if (schema.maximum !== undefined && value > schema.maximum) {
-        errors.push(`Property '${propertyName}' must be at most ${schema.maximum}`);
-      }
-      
-      if (schema.type === 'integer' && !Number.isInteger(value)) {
-        errors.push(`Property '${propertyName}' must be an integer`);
-      }
-    }
-    
+    const result = SchemaValidator.validate(value, schema, {
+      rootPath: SchemaValidator.childPath('', propertyName)
+    });
     return {
-      valid: errors.length === 0,
-      errors
+      valid: result.valid,
+      errors: SchemaValidator.formatErrors(result.errors)
     };
   }
   
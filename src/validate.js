@@ -156,8 +156,8 @@ async function validateImplementation() {
         }
         
         console.log('✅ API execution successful');
-        console.log(`   Location: ${result.data.location || 'Unknown'}`);
-        console.log(`   Temperature: ${result.data.temperature?.current || 'N/A'}°C`);
+        console.log(`   Location: ${result.data.data?.name || 'Unknown'}`);
+        console.log(`   Temperature: ${result.data.data?.main?.temp ?? 'N/A'}°C`);
         
       } catch (error) {
         console.log('⚠️  API execution failed (may be due to network/API issues)');
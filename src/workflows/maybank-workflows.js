@@ -188,6 +188,36 @@ export class MaybankWorkflows {
       sensitive: true,
       recommendations: true
     });
+
+    // Bill Payment History Workflow
+    this.workflows.set('maybank_bill_history', {
+      name: 'maybank_bill_history',
+      displayName: 'Bill Payment History',
+      description: 'Recent payments, average amount, last paid date and next payment dates for one or more saved billers',
+      apiType: 'maybank',
+      stepCount: 1,
+      estimatedTime: 4000, // 4 seconds per biller
+      complexity: 'simple',
+      workflowType: 'bill_history',
+      // payeeCode / billAcctNo name one biller; a 'billers' list of saved billers replaces them
+      requiredParameters: ['jwtToken', 'payeeCode', 'billAcctNo'],
+      billerParameters: ['payeeCode', 'billAcctNo'],
+      optionalParameters: [],
+      steps: [
+        {
+          id: 'step1_bill_history',
+          operation: 'post_bill_getBillsTxnHistory',
+          description: 'Get payment history and effective dates for each biller',
+          // Fixed values the app sends for favourite billers
+          parameters: { favBillPaymentStep2: '17', gstNotesFavPaymentStep2: 'gstnotesfavpaystep2' },
+          forEachBiller: true,
+          outputMapping: 'billHistory'
+        }
+      ],
+      postProcessing: 'summarizeBillHistory',
+      insights: true,
+      sensitive: true
+    });
   }
 
   /**
@@ -262,6 +292,15 @@ export class MaybankWorkflows {
       });
     }
 
+    if (request.includes('bill') || request.includes('tnb') || request.includes('utility')) {
+      suggestions.push({
+        workflowType: 'bill_history',
+        workflow: 'maybank_bill_history',
+        confidence: 0.9,
+        reasoning: 'User asked about bills or bill payments'
+      });
+    }
+
     if (request.includes('health') || request.includes('financial') || request.includes('advice')) {
       suggestions.push({
         workflowType: 'health_assessment',
@@ -307,6 +346,9 @@ export class MaybankWorkflows {
       case 'assessFinancialHealth':
         return this.assessFinancialHealth(stepResults, parameters);
         
+      case 'summarizeBillHistory':
+        return this.summarizeBillHistory(stepResults, parameters);
+        
       default:
         return this.defaultProcessing(stepResults, parameters);
     }
@@ -331,19 +373,9 @@ export class MaybankWorkflows {
         const errorMsg = `MAE Balance: ${maeBalance?.error || 'API call failed'}`;
         apiErrors.push(errorMsg);
         
-        // Add detailed error information for debugging
-        if (maeBalance?.httpStatus) {
-          detailedErrors.push({
-            api: 'MAE Balance',
-            endpoint: '/banking/v1/summary/getBalance',
-            httpStatus: maeBalance.httpStatus,
-            httpStatusText: maeBalance.httpStatusText,
-            error: maeBalance.error,
-            responseBody: maeBalance.responseBody,
-            responseHeaders: maeBalance.responseHeaders,
-            duration: maeBalance.duration,
-            timestamp: maeBalance.timestamp
-          });
+        // Decoded Maybank reason of the failure
+        if (maeBalance?.reason || maeBalance?.httpStatus) {
+          detailedErrors.push(this.describeStepError('MAE Balance', '/banking/v1/summary/getBalance', maeBalance));
         }
       }
       if (!accountSummary?.success) {
@@ -351,19 +383,9 @@ export class MaybankWorkflows {
         const errorMsg = `Account Summary: ${accountSummary?.error || 'API call failed'}`;
         apiErrors.push(errorMsg);
         
-        // Add detailed error information for debugging
-        if (accountSummary?.httpStatus) {
-          detailedErrors.push({
-            api: 'Account Summary',
-            endpoint: '/banking/v1/summary',
-            httpStatus: accountSummary.httpStatus,
-            httpStatusText: accountSummary.httpStatusText,
-            error: accountSummary.error,
-            responseBody: accountSummary.responseBody,
-            responseHeaders: accountSummary.responseHeaders,
-            duration: accountSummary.duration,
-            timestamp: accountSummary.timestamp
-          });
+        // Decoded Maybank reason of the failure
+        if (accountSummary?.reason || accountSummary?.httpStatus) {
+          detailedErrors.push(this.describeStepError('Account Summary', '/banking/v1/summary', accountSummary));
         }
       }
       if (!allAccounts?.success) {
@@ -371,19 +393,9 @@ export class MaybankWorkflows {
         const errorMsg = `All Accounts: ${allAccounts?.error || 'API call failed'}`;
         apiErrors.push(errorMsg);
         
-        // Add detailed error information for debugging
-        if (allAccounts?.httpStatus) {
-          detailedErrors.push({
-            api: 'All Accounts',
-            endpoint: '/banking/v1/accounts/all',
-            httpStatus: allAccounts.httpStatus,
-            httpStatusText: allAccounts.httpStatusText,
-            error: allAccounts.error,
-            responseBody: allAccounts.responseBody,
-            responseHeaders: allAccounts.responseHeaders,
-            duration: allAccounts.duration,
-            timestamp: allAccounts.timestamp
-          });
+        // Decoded Maybank reason of the failure
+        if (allAccounts?.reason || allAccounts?.httpStatus) {
+          detailedErrors.push(this.describeStepError('All Accounts', '/banking/v1/accounts/all', allAccounts));
         }
       }
 
@@ -419,6 +431,7 @@ export class MaybankWorkflows {
           code: maeBalance?.data?.account?.code || '0Y'
         },
         accounts: allAccounts?.data?.accounts || [],
+        categories: this.accountCategories(allAccounts, accountSummary),
         insights: this.generateFinancialInsights(stepResults),
         recommendations: this.generateRecommendations(stepResults),
         timestamp: new Date().toISOString(),
@@ -479,7 +492,8 @@ export class MaybankWorkflows {
         },
         context: {
           totalAcrossAllAccounts: context?.summary?.totalBalance || 0,
-          maePercentage: this.calculateMaePercentage(balance, context)
+          maePercentage: this.calculateMaePercentage(balance, context),
+          categories: context?.categories || null
         },
         insights: this.generateMaeInsights(balance, context),
         timestamp: new Date().toISOString()
@@ -513,9 +527,12 @@ export class MaybankWorkflows {
       const comparison = {
         accountCount: accounts.length,
         totalBalance: summary.totalBalance || 0,
+        categories: this.accountCategories(stepResults.accountDetails, stepResults.summaryData),
         accountBreakdown: accounts.map(account => ({
           name: account.name,
           type: account.type || account.accountType,
+          category: account.category,
+          categoryLabel: account.categoryLabel,
           balance: parseFloat(account.balance) || 0,
           percentage: this.calculateAccountPercentage(account.balance, summary.totalBalance),
           active: account.active
@@ -529,7 +546,8 @@ export class MaybankWorkflows {
         success: true,
         data: comparison,
         workflowType: 'comparative_analysis',
-        summary: `Account comparison: ${comparison.accountCount} accounts totaling RM ${comparison.totalBalance}`
+        summary: `Account comparison: ${comparison.accountCount} accounts totaling RM ${comparison.totalBalance}` +
+          (comparison.categories ? ` (${this.describeCategories(comparison.categories)})` : '')
       };
 
     } catch (error) {
@@ -557,6 +575,8 @@ export class MaybankWorkflows {
       const formatted = {
         balance: balance?.account?.balance || '0.00',
         accountName: balance?.account?.name || 'MAE Wallet',
+        category: balance?.account?.category || null,
+        categoryLabel: balance?.account?.categoryLabel || null,
         displayText: balance?.formatted?.displayText || `Balance: RM ${balance?.account?.balance || '0.00'}`,
         timestamp: new Date().toISOString(),
         // Include raw response for debugging
@@ -595,6 +615,7 @@ export class MaybankWorkflows {
         healthScore: healthScore,
         rating: this.getHealthRating(healthScore),
         totalBalance: summary?.summary?.totalBalance || 0,
+        categories: this.accountCategories(stepResults.allAccountData, stepResults.summaryAnalysis),
         accountDiversification: this.assessDiversification(allAccounts),
         recommendations: this.generateHealthRecommendations(healthScore, allAccounts),
         insights: this.generateHealthInsights(primaryBalance, allAccounts, summary),
@@ -619,6 +640,177 @@ export class MaybankWorkflows {
     }
   }
 
+  /**
+   * Accounts grouped by category, from the first step result that has them
+   * (accounts/all lists every account, the summary only those of the requested type)
+   */
+  accountCategories(...results) {
+    return results.find(result => result?.success && result.data?.categories)?.data.categories || null;
+  }
+
+  describeCategories(categories) {
+    return categories.groups
+      .map(group => `${group.label} RM ${group.total.toFixed(2)}`)
+      .join(', ');
+  }
+
+  /**
+   * What went wrong with one API call, as the decoded Maybank reason rather than the raw response
+   */
+  describeStepError(api, endpoint, result) {
+    return {
+      api,
+      endpoint,
+      httpStatus: result.httpStatus,
+      error: result.error,
+      reason: result.reason,
+      duration: result.duration,
+      timestamp: result.timestamp
+    };
+  }
+
+  /**
+   * Summarise bill payment history per biller
+   * stepResults.billHistory holds one { biller, result } entry per biller
+   */
+  summarizeBillHistory(stepResults, parameters) {
+    try {
+      const entries = stepResults.billHistory || [];
+      const billers = [];
+      const failedBillers = [];
+
+      for (const { biller, result } of entries) {
+        if (!result?.success) {
+          failedBillers.push({ biller: this.billerLabel(biller), error: result?.error || 'API call failed', reason: result?.reason });
+          continue;
+        }
+        billers.push(this.summarizeBiller(biller, result.data?.rawData || result.data?.data || {}));
+      }
+
+      if (billers.length === 0) {
+        return {
+          success: false,
+          error: `Bill history failed for every biller: ${failedBillers.map(f => `${f.biller}: ${f.error}`).join('; ')}`,
+          workflowType: 'bill_history',
+          failedBillers,
+          detailedErrors: entries.map(({ biller, result }) =>
+            this.describeStepError(this.billerLabel(biller), '/bill/v2/bills/getBillsTxnHistory', result || {}))
+        };
+      }
+
+      const nextEffectiveDate = billers
+        .map(biller => biller.nextEffectiveDates[0]?.date)
+        .filter(Boolean)
+        .sort()[0] || null;
+
+      const history = {
+        billers,
+        billerCount: billers.length,
+        totalRecentPayments: this.roundAmount(billers.reduce((sum, biller) => sum + biller.totalPaid, 0)),
+        nextEffectiveDate,
+        failedBillers,
+        timestamp: new Date().toISOString()
+      };
+
+      const lines = billers.map(biller => biller.lastPaidDate
+        ? `${biller.name}: last paid RM ${biller.lastPaidAmount.toFixed(2)} on ${biller.lastPaidDate}, average RM ${biller.averageAmount.toFixed(2)}`
+        : `${biller.name}: no recent payments`);
+
+      return {
+        success: true,
+        data: history,
+        workflowType: 'bill_history',
+        summary: `Bill history for ${billers.length} biller${billers.length > 1 ? 's' : ''}: ${lines.join('; ')}`,
+        warnings: failedBillers.length > 0
+          ? failedBillers.map(f => `${f.biller}: ${f.error}`)
+          : undefined
+      };
+
+    } catch (error) {
+      logger.error('Failed to summarize bill history', { error: error.message });
+      return {
+        success: false,
+        error: `Bill history summary failed: ${error.message}`,
+        workflowType: 'bill_history'
+      };
+    }
+  }
+
+  summarizeBiller(biller, body) {
+    const payments = (body.lastThreePayment || [])
+      .map(payment => ({
+        date: this.toIsoDate(payment.paymentDate ?? payment.txnDate ?? payment.date),
+        amount: parseFloat(payment.amount ?? payment.paymentAmount ?? payment.txnAmount) || 0,
+        referenceNo: payment.referenceNo ?? payment.refNo ?? null
+      }))
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+    const totalPaid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    const lastPayment = payments[0];
+
+    return {
+      payeeCode: biller.payeeCode,
+      billAcctNo: biller.billAcctNo,
+      name: body.ebppData?.companyHeader || this.billerLabel(biller),
+      payments,
+      paymentCount: payments.length,
+      totalPaid: this.roundAmount(totalPaid),
+      averageAmount: payments.length > 0 ? this.roundAmount(totalPaid / payments.length) : 0,
+      lastPaidDate: lastPayment?.date || null,
+      lastPaidAmount: lastPayment?.amount ?? null,
+      nextEffectiveDates: (body.populateEffectiveDateList || [])
+        .slice(0, 3)
+        .map(entry => ({ date: this.toIsoDate(entry.value), text: entry.text }))
+    };
+  }
+
+  /**
+   * Request bodies for each biller the workflow runs over: a 'billers' list of saved
+   * billers, or the single payeeCode / billAcctNo in the parameters
+   */
+  resolveBillers(parameters = {}) {
+    const billers = Array.isArray(parameters.billers) && parameters.billers.length > 0
+      ? parameters.billers
+      : [parameters];
+
+    return billers.map(biller => {
+      if (!biller.payeeCode || !biller.billAcctNo) {
+        throw new Error('Each biller needs a payeeCode and billAcctNo');
+      }
+      const name = biller.fullName || biller.shortName || biller.companyHeader || `Biller ${biller.payeeCode}`;
+      return {
+        payeeCode: String(biller.payeeCode),
+        billAcctNo: String(biller.billAcctNo),
+        fullName: name,
+        shortName: biller.shortName || name,
+        ...(biller.favBillPaymentStep2 && { favBillPaymentStep2: biller.favBillPaymentStep2 }),
+        ...(biller.gstNotesFavPaymentStep2 && { gstNotesFavPaymentStep2: biller.gstNotesFavPaymentStep2 })
+      };
+    });
+  }
+
+  billerLabel(biller = {}) {
+    return `${biller.shortName || biller.fullName || biller.payeeCode} (${biller.billAcctNo})`;
+  }
+
+  // Maybank dates arrive as '20250726' or '26 Jul 2025'
+  toIsoDate(value) {
+    if (!value) {
+      return null;
+    }
+    const text = String(value).trim();
+    const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (compact) {
+      return `${compact[1]}-${compact[2]}-${compact[3]}`;
+    }
+    const parsed = new Date(`${text} UTC`);
+    return Number.isNaN(parsed.getTime()) ? text : parsed.toISOString().slice(0, 10);
+  }
+
+  roundAmount(value) {
+    return Math.round(value * 100) / 100;
+  }
+
   /**
    * Helper functions for analysis
    */
@@ -667,10 +859,12 @@ export class MaybankWorkflows {
 
   assessDiversification(allAccounts) {
     const accounts = allAccounts?.accounts || [];
-    const types = [...new Set(accounts.map(acc => acc.type || acc.accountType))];
+    // Categories rather than raw type codes, which do not tell one kind of account from another
+    const types = [...new Set(accounts.map(acc => acc.category || acc.type || acc.accountType))];
     
     return {
       accountTypes: types.length,
+      categories: types,
       diversificationScore: Math.min(types.length * 25, 100),
       recommendation: types.length < 2 ? 'Consider diversifying account types' : 'Good account diversification'
     };
@@ -691,6 +885,11 @@ export class MaybankWorkflows {
       insights.push('Consider opening additional account types for better financial management');
     }
     
+    const categories = this.accountCategories(stepResults.allAccounts, stepResults.accountSummary);
+    if (categories?.groups.length > 0) {
+      insights.push(`By category: ${this.describeCategories(categories)}`);
+    }
+    
     return insights;
   }
 
@@ -825,8 +1024,14 @@ export class MaybankWorkflows {
     const workflow = this.getWorkflow(workflowName);
     const missing = [];
     
+    // A list of saved billers stands in for the single-biller parameters
+    const hasBillers = Array.isArray(parameters.billers) && parameters.billers.length > 0;
+    
     // Check required parameters
     for (const param of workflow.requiredParameters) {
+      if (hasBillers && workflow.billerParameters?.includes(param)) {
+        continue;
+      }
       if (!parameters[param]) {
         missing.push(param);
       }
@@ -164,210 +164,6 @@ export class WorkflowEngine {
     }
   }
 
-  /**
-   * Execute Maybank workflow (Phase 4.2)
-   * @param {Object} execution - Execution state
-   * @param {Object} options - Execution options
-   * @returns {Promise<*>} Final result
-   */
-  async executeMaybankWorkflow(execution, options = {}) {
-    try {
-      // Validate JWT token is present
-      if (!execution.context.jwtToken) {
-        throw new Error('JWT token is required for Maybank workflow execution');
-      }
-
-      // Prepare step results collection
-      const stepResults = {};
-      const workflow = execution.workflow;
-
-      logger.info('Executing Maybank workflow steps', {
-        executionId: execution.id,
-        workflowName: execution.workflowId,
-        stepCount: workflow.stepCount
-      });
-
-      // Execute each step in the workflow
-      for (let i = 0; i < workflow.steps.length; i++) {
-        const step = workflow.steps[i];
-        execution.currentStep = i;
-
-        logger.info('Executing Maybank workflow step', {
-          executionId: execution.id,
-          stepId: step.id,
-          operation: step.operation,
-          stepIndex: i + 1,
-          totalSteps: workflow.steps.length
-        });
-
-        try {
-          // Execute the Maybank API operation
-          const stepResult = await this.executeMaybankStep(step, execution, options);
-          
-          // Store step result with mapping
-          stepResults[step.outputMapping] = stepResult;
-          execution.stepResults[step.id] = stepResult;
-          execution.completedSteps.push(step.id);
-
-          logger.info('Maybank workflow step completed', {
-            executionId: execution.id,
-            stepId: step.id,
-            outputMapping: step.outputMapping
-          });
-
-        } catch (stepError) {
-          logger.error('Maybank workflow step failed', {
-            executionId: execution.id,
-            stepId: step.id,
-            operation: step.operation,
-            error: stepError.message
-          });
-          throw new Error(`Maybank workflow step '${step.id}' failed: ${stepError.message}`);
-        }
-      }
-
-      // Process workflow results using Maybank workflows post-processing
-      const processedResult = await this.maybankWorkflows.processWorkflowResults(
-        execution.workflowId,
-        stepResults,
-        execution.context
-      );
-
-      logger.info('Maybank workflow completed successfully', {
-        executionId: execution.id,
-        workflowName: execution.workflowId,
-        stepsCompleted: execution.completedSteps.length
-      });
-
-      return processedResult;
-
-    } catch (error) {
-      logger.error('Maybank workflow execution failed', {
-        executionId: execution.id,
-        workflowName: execution.workflowId,
-        error: error.message
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Execute a single Maybank workflow step
-   * @param {Object} step - Maybank workflow step
-   * @param {Object} execution - Execution state
-   * @param {Object} options - Execution options
-   * @returns {Promise<Object>} Step result
-   */
-  async executeMaybankStep(step, execution, options = {}) {
-    const stepStartTime = Date.now();
-    
-    try {
-      // Prepare request using Maybank adapter
-      const requestData = {
-        operation: step.operation,
-        jwtToken: execution.context.jwtToken,
-        parameters: step.parameters
-      };
-
-      const preparedRequest = await this.maybankAdapter.prepareRequest(requestData);
-      
-      // Execute HTTP request
-      const response = await this.executeHttpRequest(preparedRequest);
-      
-      // Validate and format response
-      const validation = await this.maybankAdapter.validateResponse(response.data, step.operation);
-      
-      if (!validation.isValid) {
-        throw new Error(`Invalid Maybank response: ${validation.error}`);
-      }
-
-      const stepTime = Date.now() - stepStartTime;
-      
-      logger.info('Maybank step executed successfully', {
-        executionId: execution.id,
-        stepId: step.id,
-        operation: step.operation,
-        executionTime: stepTime
-      });
-      
-      return {
-        success: true,
-        data: validation.extractedData,
-        rawData: response.data,
-        operation: step.operation,
-        executionTime: stepTime,
-        timestamp: new Date().toISOString()
-      };
-      
-    } catch (error) {
-      logger.error('Maybank step execution failed', {
-        executionId: execution.id,
-        stepId: step.id,
-        operation: step.operation,
-        error: error.message
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Execute HTTP request for Maybank operations
-   * @param {Object} requestConfig - Request configuration
-   * @returns {Promise<Object>} HTTP response
-   */
-  async executeHttpRequest(requestConfig) {
-    const axios = (await import('axios')).default;
-    
-    try {
-      logger.debug('Making Maybank HTTP request', {
-        method: requestConfig.method,
-        url: requestConfig.url,
-        hasAuth: !!requestConfig.headers?.Authorization
-      });
-      
-      const response = await axios(requestConfig);
-      
-      return {
-        status: response.status,
-        statusText: response.statusText,
-        data: response.data,
-        headers: response.headers
-      };
-      
-    } catch (error) {
-      if (error.response) {
-        // API returned an error response
-        const status = error.response.status;
-        const data = error.response.data;
-        
-        switch (status) {
-          case 401:
-            throw new Error('Maybank authentication failed - JWT token may be invalid or expired');
-          case 403:
-            throw new Error('Maybank access forbidden - insufficient permissions');
-          case 404:
-            throw new Error('Maybank resource not found');
-          case 429:
-            throw new Error('Maybank API rate limit exceeded');
-          case 500:
-          case 502:
-          case 503:
-          case 504:
-            throw new Error('Maybank service error - please try again later');
-          default:
-            const errorMessage = data?.message || data?.error || `HTTP ${status} error`;
-            throw new Error(`Maybank API request failed: ${errorMessage}`);
-        }
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Maybank API request timeout');
-      } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-        throw new Error('Unable to reach Maybank API service');
-      } else {
-        throw new Error(`Maybank network request failed: ${error.message}`);
-      }
-    }
-  }
-
   /**
    * Get workflow by ID (enhanced to support Maybank workflows)
    * @param {string} workflowId - Workflow identifier
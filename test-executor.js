@@ -1,5 +1,21 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { ApiRegistry } from './src/registry/api-registry.js';
 import { ApiExecutor } from './src/execution/executor.js';
+import { RetryPolicy } from './src/execution/retry-policy.js';
+import { RateLimiter } from './src/execution/rate-limiter.js';
+import { Paginator } from './src/execution/paginator.js';
+import { ResponseValidator } from './src/execution/response-validator.js';
+import { ResponseFormatter } from './src/execution/response-formatter.js';
+import { MockUpstream } from './src/execution/mock-upstream.js';
+import { Cassette } from './src/execution/cassette.js';
+
+// Unsigned Maybank-style JWT that expires in an hour; Maybank calls need the caller's own token
+function makeMaybankToken() {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ user_name: 'tester', exp: Math.floor(Date.now() / 1000) + 3600 })}.signature`;
+}
 
 async function testApiExecutor() {
   console.log('🧪 Testing ApiExecutor...\n');
@@ -48,13 +64,14 @@ async function testApiExecutor() {
     };
     
     const operationDetails = registry.getOperationDetails('getCurrentWeather');
-    const formatted = executor.formatResponse({ data: mockWeatherData, status: 200 }, operationDetails);
+    const weatherSchema = ResponseValidator.selectResponseSchema(operationDetails.responses, 200);
+    const formatted = executor.renderResult(mockWeatherData, operationDetails, weatherSchema);
     
-    if (!formatted.location || formatted.location !== 'London') {
+    if (!formatted || !formatted.includes('London, GB') || !formatted.includes('**Temperature:** 20.5°')) {
       throw new Error('Weather response formatting failed');
     }
-    console.log('✅ Weather response formatting works');
-    console.log(`   Location: ${formatted.location}, Temp: ${formatted.temperature.current}°C`);
+    console.log('✅ Weather response formatting works (x-format template)');
+    console.log(`   ${formatted.split('\n')[0]}`);
     
     // Test 3: Error handling - authentication error
     console.log('\nTest 3: Error handling (authentication)');
@@ -113,11 +130,11 @@ async function testApiExecutor() {
     
     const result = await executor.executeOperation('getCurrentWeather', { q: 'TestCity' });
     
-    if (!result.success || !result.data.location) {
+    if (!result.success || result.data.data.name !== 'TestCity' || !result.display.includes('TestCity, TC')) {
       throw new Error('Mocked execution failed');
     }
     console.log('✅ Execution flow works');
-    console.log(`   Result: ${result.data.location}, Success: ${result.success}`);
+    console.log(`   Result: ${result.data.data.name}, Success: ${result.success}`);
     
     // Restore original method
     executor.makeHttpRequest = originalMakeRequest;
@@ -140,6 +157,398 @@ async function testApiExecutor() {
     // Restore original method
     executor.makeHttpRequest = originalMakeRequest;
     
+    // Test 8: Response schema validation (warn and strict)
+    console.log('\nTest 8: Response schema validation');
+    const driftedSummary = {
+      message: 'success',
+      code: 0,
+      result: { total: '93.34', name: 'Accounts', maeAvailable: true, jointAccAvailable: false, exception: null }
+    };
+    const mockDriftedResponse = async () => ({ status: 200, statusText: 'OK', headers: {}, data: driftedSummary });
+    
+    const warnExecutor = new ApiExecutor(registry, mockAuthConfig, { responseValidation: { mode: 'warn' } });
+    warnExecutor.makeHttpRequest = mockDriftedResponse;
+    const maybankOptions = { jwtToken: makeMaybankToken() };
+    const warnResult = await warnExecutor.executeOperation('get_banking_summary', { type: 'A' }, maybankOptions);
+    const paths = warnResult.responseValidation?.violations.map(v => v.path) || [];
+    if (!warnResult.success || !paths.includes('/result/accountListings') || !paths.includes('/result/total')) {
+      throw new Error(`Warn mode did not report violations: ${JSON.stringify(paths)}`);
+    }
+    if (warnExecutor.getStatus().responseValidation[0].failed !== 1) {
+      throw new Error('Violations not recorded in metrics');
+    }
+    
+    const strictExecutor = new ApiExecutor(registry, mockAuthConfig, { responseValidation: { mode: 'strict' } });
+    strictExecutor.makeHttpRequest = mockDriftedResponse;
+    const strictResult = await strictExecutor.executeOperation('get_banking_summary', { type: 'A' }, maybankOptions);
+    if (strictResult.success || strictResult.errorType !== 'schema_validation') {
+      throw new Error('Strict mode did not fail on schema violations');
+    }
+    console.log(`✅ Schema drift reported in warn mode and rejected in strict mode (${paths.join(', ')})`);
+    
+    // Test 9: Retry with backoff and Retry-After
+    console.log('\nTest 9: Retry policy');
+    const retryExecutor = new ApiExecutor(registry, { weather: { apiKey: 'k', retries: 2 } }, {
+      retry: { baseDelayMs: 1, maxDelayMs: 5, operations: { createTransfer: { maxRetries: 5 } } }
+    });
+    const delays = [];
+    retryExecutor.retryPolicy.sleep = async (ms) => { delays.push(ms); };
+    
+    const failWith = (status, headers = {}) => {
+      const error = new Error(`HTTP ${status}`);
+      error.status = status;
+      error.headers = headers;
+      return error;
+    };
+    let weatherCalls = 0;
+    retryExecutor.makeHttpRequest = async () => {
+      weatherCalls++;
+      if (weatherCalls === 1) throw failWith(503);
+      if (weatherCalls === 2) throw failWith(429, { 'retry-after': '2' });
+      return { status: 200, statusText: 'OK', headers: {}, data: { name: 'London', main: { temp: 10 }, weather: [] } };
+    };
+    const retried = await retryExecutor.executeOperation('getCurrentWeather', { q: 'London' });
+    if (!retried.success || retried.attempts.length !== 3 || delays[1] !== 2000 || delays[0] > 1) {
+      throw new Error(`Retries not applied as expected: ${JSON.stringify(retried.attempts)} delays ${delays}`);
+    }
+    
+    weatherCalls = 0;
+    retryExecutor.makeHttpRequest = async () => { weatherCalls++; throw failWith(502); };
+    const exhausted = await retryExecutor.executeOperation('getCurrentWeather', { q: 'London' });
+    if (exhausted.success || weatherCalls !== 3 || exhausted.attempts.length !== 3) {
+      throw new Error(`apis.weather.retries not honoured (${weatherCalls} calls)`);
+    }
+    
+    let transferCalls = 0;
+    retryExecutor.makeHttpRequest = async () => { transferCalls++; throw failWith(503); };
+    await retryExecutor.executeOperation('createTransfer', { fromAccountId: 'A', toAccountId: 'B', amount: 5 });
+    if (transferCalls !== 1) {
+      throw new Error(`POST without idempotency key was retried (${transferCalls} calls)`);
+    }
+    
+    if (RetryPolicy.parseRetryAfter(new Date(Date.now() + 60000).toUTCString()) < 50000) {
+      throw new Error('HTTP-date Retry-After not parsed');
+    }
+    console.log(`✅ Transient failures retried with backoff/Retry-After; POST without idempotency key not retried`);
+    
+    // Test 10: Client-side rate limits and persisted quotas
+    console.log('\nTest 10: Rate limits and quotas');
+    const quotaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-'));
+    const statePath = path.join(quotaDir, 'quota-state.json');
+    try {
+      const limits = {
+        statePath,
+        apis: {
+          news: { quota: { daily: 2 } },
+          weather: { rate: { requests: 1, intervalMs: 60000, burst: 1, maxWaitMs: 0 } }
+        }
+      };
+      const limitedExecutor = new ApiExecutor(registry, { news: { apiKey: 'k' }, weather: { apiKey: 'k' } }, { rateLimits: limits });
+      let upstreamCalls = 0;
+      limitedExecutor.makeHttpRequest = async () => {
+        upstreamCalls++;
+        return { status: 200, statusText: 'OK', headers: {}, data: { status: 'ok', articles: [] } };
+      };
+      
+      await limitedExecutor.executeOperation('getTopHeadlines', { country: 'us' });
+      await limitedExecutor.executeOperation('getTopHeadlines', { country: 'us' });
+      
+      // A restarted executor sees the persisted counters
+      const restartedExecutor = new ApiExecutor(registry, { news: { apiKey: 'k' } }, { rateLimits: limits });
+      restartedExecutor.makeHttpRequest = limitedExecutor.makeHttpRequest;
+      const exhausted = await restartedExecutor.executeOperation('getTopHeadlines', { country: 'us' });
+      if (exhausted.success || exhausted.errorType !== 'quota_exhausted' || upstreamCalls !== 2 || !exhausted.error.includes('capacity returns at')) {
+        throw new Error(`Quota not enforced across restarts: ${exhausted.error}`);
+      }
+      
+      await limitedExecutor.executeOperation('getCurrentWeather', { q: 'London' });
+      const throttled = await limitedExecutor.executeOperation('getCurrentWeather', { q: 'London' });
+      if (throttled.success || throttled.errorType !== 'rate_limited' || !(throttled.retryAfterMs > 0)) {
+        throw new Error('Token bucket did not refuse a call beyond maxWaitMs');
+      }
+      
+      // Queued callers wait for their token instead of failing
+      const queued = new RateLimiter({ apis: { facts: { rate: { requests: 1, intervalMs: 20, burst: 1, maxWaitMs: 1000 } } } });
+      const startedAt = Date.now();
+      await Promise.all([queued.acquire('facts'), queued.acquire('facts'), queued.acquire('facts')]);
+      if (Date.now() - startedAt < 35) {
+        throw new Error('Rate-limited callers were not queued');
+      }
+
+      // Queued callers cannot both take the last unit of quota; a rate-limit refusal gives its unit back
+      const contended = new RateLimiter({ apis: { facts: { quota: { daily: 1 }, rate: { requests: 1, intervalMs: 20, burst: 1, maxWaitMs: 1000 } } } });
+      contended.buckets.get('facts').reserve();
+      const outcomes = await Promise.allSettled([contended.acquire('facts'), contended.acquire('facts')]);
+      const refused = new RateLimiter({ apis: { facts: { quota: { daily: 5 }, rate: { requests: 1, intervalMs: 60000, burst: 1, maxWaitMs: 0 } } } });
+      await refused.acquire('facts');
+      await refused.acquire('facts').catch(() => {});
+      if (outcomes.filter(outcome => outcome.status === 'fulfilled').length !== 1 ||
+          outcomes.find(outcome => outcome.status === 'rejected')?.reason.limit.type !== 'quota_exhausted' ||
+          refused.getStatus().quotas[0].daily !== '1/5') {
+        throw new Error('Quota not reserved atomically, or not released after a rate-limit refusal');
+      }
+      console.log('✅ Daily quota enforced across restarts and reserved atomically; token bucket throttles and queues callers');
+      console.log(`   ${exhausted.error}`);
+    } finally {
+      fs.rmSync(quotaDir, { recursive: true, force: true });
+    }
+    
+    // Test 11: Pagination
+    console.log('\nTest 11: Pagination');
+    const pagedExecutor = new ApiExecutor(registry, { news: { apiKey: 'k' } });
+    const requestedPages = [];
+    pagedExecutor.makeHttpRequest = async (requestConfig) => {
+      const page = requestConfig.params.page;
+      requestedPages.push(page);
+      const articles = page < 3
+        ? [{ title: `a${page}` }, { title: `b${page}` }]
+        : [{ title: `a${page}` }];
+      return { status: 200, statusText: 'OK', headers: {}, data: { status: 'ok', totalResults: 5, articles } };
+    };
+    
+    const firstTwo = await pagedExecutor.executeOperation('searchNews', { q: 'ai', pageSize: 2, maxPages: 2 });
+    const mergedTitles = firstTwo.data.data.articles.map(article => article.title);
+    if (!firstTwo.success || mergedTitles.join() !== 'a1,b1,a2,b2' || !firstTwo.pagination.hasMore) {
+      throw new Error(`Pages not merged: ${mergedTitles.join()}`);
+    }
+    
+    const rest = await pagedExecutor.executeOperation('searchNews', {
+      q: 'ai', pageSize: 2, maxPages: 5, continuationToken: firstTwo.pagination.continuationToken
+    });
+    if (rest.pagination.hasMore || rest.data.data.articles.length !== 1 || requestedPages.join() !== '1,2,3') {
+      throw new Error(`Continuation did not resume at page 3: ${requestedPages.join()}`);
+    }
+    
+    const capped = await pagedExecutor.executeOperation('searchNews', { q: 'ai', pageSize: 2, maxPages: 3, maxItems: 3 });
+    if (capped.pagination.itemsReturned !== 3 || capped.pagination.pagesFetched !== 2) {
+      throw new Error('maxItems did not stop pagination');
+    }
+    
+    const linkPaginator = Paginator.parseLinkHeader('<https://api.example.com/items?page=2>; rel="next", <https://api.example.com/items?page=9>; rel="last"');
+    if (linkPaginator.next !== 'https://api.example.com/items?page=2') {
+      throw new Error('Link header not parsed');
+    }
+    console.log(`✅ Pages merged (${firstTwo.pagination.itemsReturned} of ${firstTwo.pagination.total}), continuation token and maxItems honoured`);
+    
+    // Test 12: Result projection with select
+    console.log('\nTest 12: Select expressions');
+    const sentParams = [];
+    pagedExecutor.makeHttpRequest = async (requestConfig) => {
+      sentParams.push(requestConfig.params);
+      return {
+        status: 200, statusText: 'OK', headers: {},
+        data: { status: 'ok', totalResults: 2, articles: [
+          { title: 'AI chips', source: { name: 'Wire' }, url: 'https://a', content: 'long text' },
+          { title: 'Weather', source: { name: 'Post' }, url: 'https://b', content: 'long text' }
+        ] }
+      };
+    };
+    
+    const selected = await pagedExecutor.executeOperation('searchNews', {
+      q: 'ai', select: "articles[?contains(title, 'AI')].{title: title, source: source.name}"
+    });
+    if (!selected.success || JSON.stringify(selected.data.data) !== '[{"title":"AI chips","source":"Wire"}]' ||
+        'select' in sentParams[0]) {
+      throw new Error(`Select not applied: ${JSON.stringify(selected.data?.data)}`);
+    }
+    
+    const callsBefore = sentParams.length;
+    const badSyntax = await pagedExecutor.executeOperation('searchNews', { q: 'ai', select: 'articles[?title ==]' });
+    if (badSyntax.errorType !== 'invalid_select' || sentParams.length !== callsBefore || !badSyntax.error.includes('articles[?title ==]')) {
+      throw new Error('Unparseable select expression was not rejected before sending');
+    }
+    
+    const badFunction = await pagedExecutor.executeOperation('searchNews', { q: 'ai', select: 'nope(articles)' });
+    if (badFunction.errorType !== 'invalid_select' || !badFunction.error.includes('Unknown function')) {
+      throw new Error(`Unknown function not reported: ${badFunction.error}`);
+    }
+    console.log('✅ select projects and filters results; invalid expressions are reported as invalid_select');
+    
+    // Test 13: Schema-driven rendering
+    console.log('\nTest 13: Generic response rendering');
+    const formatter = new ResponseFormatter({ maxTextLength: 20, maxTableRows: 2 });
+    const statement = {
+      holder: { fullName: 'Ali', currency: 'USD', availableBalance: '1234.5' },
+      note: 'a'.repeat(50),
+      transactions: [
+        { ref: 'T1', amount: 10, memo: 'coffee | cake', cardImage: 'x' },
+        { ref: 'T2', amount: 20.25, memo: null, cardImage: 'y' },
+        { ref: 'T3', amount: 5, memo: 'tea', cardImage: 'z' }
+      ]
+    };
+    const statementSchema = {
+      type: 'object',
+      properties: { holder: { type: 'object', title: 'Account holder' } }
+    };
+    const rendered = formatter.render(statement, statementSchema, { currency: 'MYR', hide: ['cardImage'] });
+    const expectations = [
+      '### Account holder',
+      '**Available balance:** $1,234.50',
+      '| Ref | Amount | Memo |',
+      '| T1 | RM 10.00 | coffee \\| cake |',
+      '_Showing 2 of 3 rows._',
+      '(30 more characters)'
+    ];
+    const missing = expectations.filter(expected => !rendered.replace(/\u00a0/g, ' ').includes(expected));
+    if (missing.length > 0 || rendered.includes('cardImage') || rendered.includes('Card image')) {
+      throw new Error(`Rendering missing ${JSON.stringify(missing)}:\n${rendered}`);
+    }
+    
+    const summaryDetails = registry.getOperationDetails('get_banking_summary');
+    const summaryBody = summaryDetails.responses['200'].content['application/json'].example;
+    const summaryText = executor.renderResult(summaryBody, summaryDetails, null);
+    if (!summaryText.includes('**Total balance:** RM') || !summaryText.includes('| MAE Wallet | 0Y |')) {
+      throw new Error(`x-format tables not rendered:\n${summaryText}`);
+    }
+    console.log('✅ Objects, tables, money, truncation and x-format overrides render as Markdown');
+    
+    // Test 14: Record/replay cassettes
+    console.log('\nTest 14: Record/replay cassettes');
+    const cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    const cassetteAuth = { news: { apiKey: 'news-secret-key-123' } };
+    const recorder = new ApiExecutor(registry, cassetteAuth, { cassette: { mode: 'record', dir: cassetteDir, name: 'news' } });
+    recorder.httpClient.request = async (requestConfig) => {
+      if (requestConfig.params.q === 'missing') {
+        const error = new Error('Request failed with status code 404');
+        error.response = { status: 404, statusText: 'Not Found', headers: {}, data: { message: 'no such topic' } };
+        throw error;
+      }
+      return {
+        status: 200, statusText: 'OK', headers: { 'set-cookie': ['sid=abc'] },
+        data: {
+          status: 'ok', totalResults: 1,
+          articles: [{ title: 'Account 5140121213460000000', author: 'Ann', token: 'eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.c2ln' }]
+        }
+      };
+    };
+    await recorder.executeOperation('searchNews', { q: 'ai' });
+    await recorder.executeOperation('searchNews', { q: 'missing' });
+    
+    const cassetteText = fs.readFileSync(path.join(cassetteDir, 'news.json'), 'utf8');
+    const leaks = ['news-secret-key-123', '5140121213460000000', 'eyJhbGci', 'sid=abc'].filter(secret => cassetteText.includes(secret));
+    if (leaks.length > 0 || !/\[ACCOUNT-[0-9a-f]{8}\]/.test(cassetteText) || JSON.parse(cassetteText).interactions.length !== 2) {
+      throw new Error(`Cassette not sanitized: ${leaks.join(', ')}`);
+    }
+    
+    const replayer = new ApiExecutor(registry, cassetteAuth, { cassette: { mode: 'replay', dir: cassetteDir, name: 'news', strict: true } });
+    replayer.httpClient.request = async () => { throw new Error('Live request during replay'); };
+    const replayed = await replayer.executeOperation('searchNews', { q: 'ai' });
+    const replayedMissing = await replayer.executeOperation('searchNews', { q: 'missing' });
+    const unmatched = await replayer.executeOperation('searchNews', { q: 'other' });
+    if (!replayed.success || replayed.data.data.articles[0].author !== 'Ann' ||
+        replayedMissing.errorType !== 'not_found' || !unmatched.error.includes('No cassette recording matches')) {
+      throw new Error('Replay did not serve recordings or strict mode let a request through');
+    }
+    
+    const byPath = new ApiExecutor(registry, cassetteAuth, {
+      cassette: { mode: 'replay', dir: cassetteDir, name: 'news', strict: true, match: ['method', 'path'] }
+    });
+    byPath.httpClient.request = replayer.httpClient.request;
+    if (!(await byPath.executeOperation('searchNews', { q: 'other' })).success) {
+      throw new Error('Configured matchers ignored');
+    }
+    
+    // Accounts sharing their last 4 digits, one sent as a number, keep distinct recordings
+    const transfer = (accountNo) => ({ method: 'post', url: 'https://bank.example/transfer', data: { accountNo } });
+    const accountRecorder = new Cassette({ mode: 'record', dir: cassetteDir, name: 'accounts' });
+    for (const accountNo of ['1111222233334444', 9999888877774444]) {
+      await accountRecorder.request(transfer(accountNo), async () => ({ status: 200, statusText: 'OK', headers: {}, data: { from: String(accountNo) } }));
+    }
+    const accountsText = fs.readFileSync(path.join(cassetteDir, 'accounts.json'), 'utf8');
+    if (accountsText.includes('4444') || accountsText.includes('99998888')) {
+      throw new Error(`Account numbers left in cassette:\n${accountsText}`);
+    }
+    const accountReplayer = new Cassette({ mode: 'replay', dir: cassetteDir, name: 'accounts', strict: true });
+    const noLiveCall = async () => { throw new Error('Live request during replay'); };
+    const first = await accountReplayer.request(transfer('1111222233334444'), noLiveCall);
+    const second = await accountReplayer.request(transfer(9999888877774444), noLiveCall);
+    if (first.data.from === second.data.from) {
+      throw new Error('Accounts sharing their last 4 digits replayed the same recording');
+    }
+    fs.rmSync(cassetteDir, { recursive: true, force: true });
+    console.log('✅ Recorded cassettes are scrubbed; replay matches method, URL and body, strict mode rejects unmatched requests');
+    
+    // Test 15: Spec-driven mock upstream
+    console.log('\nTest 15: Mock upstream');
+    const offline = async () => { throw new Error('Network used in mock mode'); };
+    const mockExecutor = (mock) => {
+      const mocked = new ApiExecutor(registry, {}, { mock: { enabled: true, ...mock }, retry: { baseDelayMs: 1, jitter: false } });
+      mocked.httpClient.request = offline;
+      return mocked;
+    };
+    
+    const summary = await mockExecutor({}).executeOperation('get_banking_summary', { type: 'A' });
+    const weatherA = await mockExecutor({ seed: 'a' }).executeOperation('getCurrentWeather', { q: 'Paris', appid: 'test' });
+    const weatherAgain = await mockExecutor({ seed: 'a' }).executeOperation('getCurrentWeather', { q: 'Paris', appid: 'test' });
+    const weatherB = await mockExecutor({ seed: 'b' }).executeOperation('getCurrentWeather', { q: 'Paris', appid: 'test' });
+    if (!summary.success || summary.data.summary.totalBalance !== 93.34 || !weatherA.success ||
+        JSON.stringify(weatherA.data.data) !== JSON.stringify(weatherAgain.data.data) ||
+        JSON.stringify(weatherA.data.data) === JSON.stringify(weatherB.data.data)) {
+      throw new Error('Mock responses not built from examples/schemas or not deterministic per seed');
+    }
+    
+    const flaky = await mockExecutor({ scenarios: { searchNews: { status: 503, times: 1 } } }).executeOperation('searchNews', { q: 'ai', apiKey: 'test' });
+    const empty = await mockExecutor({ scenarios: { searchNews: { empty: true } } }).executeOperation('searchNews', { q: 'ai', apiKey: 'test' });
+    const failing = await mockExecutor({ scenarios: { getAccount: { status: 404 } } }).executeOperation('getAccount', { accountId: 'ACC00001' });
+    if (!flaky.success || flaky.attempts.length !== 2 || empty.data.data.articles.length !== 0 || failing.errorType !== 'not_found') {
+      throw new Error('Mock scenarios not applied');
+    }
+    
+    const timedOut = await new MockUpstream({ enabled: true, scenarios: { '*': { delayMs: 30 } } }, registry)
+      .request({ method: 'get', url: 'https://newsapi.org/v2/everything', timeout: 10 }, offline)
+      .catch(error => error);
+    if (timedOut.code !== 'ECONNABORTED') {
+      throw new Error('Slow mock response did not time out');
+    }
+    
+    const petSchema = { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } };
+    const petResponses = { 200: { content: { 'application/json': { schema: petSchema } } } };
+    const petRegistry = { operations: new Map([
+      ['createPet', { specName: 'pets', operationId: 'createPet', method: 'POST', path: '/pets', responses: petResponses }],
+      ['getPet', { specName: 'pets', operationId: 'getPet', method: 'GET', path: '/pets/{petId}', responses: petResponses }]
+    ]) };
+    const petStore = new MockUpstream({ enabled: true, stateful: true }, petRegistry);
+    const created = await petStore.request({ method: 'post', url: 'https://pets.test/pets', data: { id: 'p1', name: 'Rex' } }, offline);
+    const fetched = await petStore.request({ method: 'get', url: 'https://pets.test/pets/p1' }, offline);
+    const unknown = await petStore.request({ method: 'get', url: 'https://pets.test/owners' }, offline).catch(error => error);
+    if (created.data.name !== 'Rex' || fetched.data.name !== 'Rex' || unknown.code !== 'ERR_MOCK_UNKNOWN_OPERATION') {
+      throw new Error('Stateful mock did not serve the created resource');
+    }
+
+    // OAuth2 client-credentials token requests use the mock and cassette transport too
+    const reportsDetails = {
+      specName: 'reports', operationId: 'listReports', method: 'GET', path: '/reports',
+      servers: [{ url: 'https://reports.test' }], parameters: [],
+      responses: { 200: { content: { 'application/json': { schema: { type: 'object', properties: { count: { type: 'integer' } } } } } } },
+      security: [{ oauth: [] }],
+      spec: { components: { securitySchemes: { oauth: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: 'https://auth.reports.test/token', scopes: {} } } } } } }
+    };
+    const reportsRegistry = { operations: new Map([['listReports', reportsDetails]]), getOperationDetails: id => reportsRegistry.operations.get(id) };
+    const reportsAuth = { reports: { clientId: 'reports-client', clientSecret: 'reports-secret' } };
+    const mockedReports = new ApiExecutor(reportsRegistry, reportsAuth, { mock: { enabled: true } });
+    mockedReports.httpClient.request = offline;
+    const mockedReport = await mockedReports.executeOperation('listReports', {});
+
+    const tokenCassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    const reportsRecorder = new ApiExecutor(reportsRegistry, reportsAuth, { cassette: { mode: 'record', dir: tokenCassetteDir, name: 'reports' } });
+    reportsRecorder.httpClient.request = async (requestConfig) => ({
+      status: 200, statusText: 'OK', headers: {},
+      data: requestConfig.url.includes('/token') ? { access_token: 'live-access-token', expires_in: 3600 } : { count: 3 }
+    });
+    await reportsRecorder.executeOperation('listReports', {});
+    const reportsReplayer = new ApiExecutor(reportsRegistry, reportsAuth, {
+      cassette: { mode: 'replay', dir: tokenCassetteDir, name: 'reports', strict: true }
+    });
+    reportsReplayer.httpClient.request = offline;
+    const replayedReport = await reportsReplayer.executeOperation('listReports', {});
+    fs.rmSync(tokenCassetteDir, { recursive: true, force: true });
+    if (!mockedReport.success || [...mockedReports.tokenCache.tokens.values()][0]?.accessToken !== 'mock-access-token' ||
+        !replayedReport.success || replayedReport.data.data.count !== 3) {
+      throw new Error(`OAuth2 token request bypassed the mock or cassette: ${mockedReport.error || replayedReport.error}`);
+    }
+    console.log('✅ Mock upstream answers from examples and schemas, deterministically, with scenarios and state');
+    console.log('✅ OAuth2 token requests are mocked and replayed like operation calls');
+    
     console.log('\n🎉 All ApiExecutor tests passed!');
     
   } catch (error) {
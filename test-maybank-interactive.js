@@ -110,7 +110,7 @@ async function testMaybankInteractive() {
     console.log('🧪 Test 4: Session continuation (simulating user providing JWT)');
     
     // Extract session ID from previous response (if available)
-    const sessionIdMatch = result1.content[0].text.match(/Session ID: (maybank_interactive_\d+_\w+)/);
+    const sessionIdMatch = result1.content[0].text.match(/Session ID: (maybank_interactive_[\w-]+)/);
     
     if (sessionIdMatch) {
       const sessionId = sessionIdMatch[1];
@@ -1,4 +1,10 @@
 import { ApiRegistry } from './src/registry/api-registry.js';
+import { RefResolver } from './src/registry/ref-resolver.js';
+import { SpecLoaders } from './src/registry/spec-loaders.js';
+import { OperationIndex } from './src/registry/operation-index.js';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 async function testApiRegistry() {
   console.log('🧪 Testing ApiRegistry...\n');
@@ -37,6 +43,37 @@ async function testApiRegistry() {
     }
     console.log(`✅ Intent matched to operation: ${weatherIntent}`);
     
+    const candidates = registry.searchOperations('TNB bill payment history', { limit: 3 });
+    if (candidates[0]?.operationId !== 'post_bill_getBillsTxnHistory' || !(candidates[0].score > 0)) {
+      throw new Error('Ranked search did not find the bill history operation');
+    }
+    console.log(`✅ Ranked search: ${candidates.map(c => `${c.toolName} (${c.score})`).join(', ')}`);
+    
+    // Singular, plural and -ing forms share a stem and find the same operation
+    const stemPairs = [['savings', 'saving'], ['accounts', 'account'], ['payments', 'payment'], ['paying', 'pay'], ['histories', 'history']];
+    const unfolded = stemPairs.filter(([a, b]) => OperationIndex.stem(a) !== OperationIndex.stem(b));
+    if (unfolded.length > 0 || OperationIndex.stem('news') !== 'news' || OperationIndex.stem('status') !== 'status') {
+      throw new Error(`Word forms not folded together: ${unfolded.map(pair => pair.join('/')).join(', ')}`);
+    }
+    const index = new OperationIndex().build([
+      { operationId: 'listSavingsAccounts', summary: 'List savings accounts', specName: 'bank' },
+      { operationId: 'getPaymentHistory', summary: 'Payment history of a biller', specName: 'bank' },
+      { operationId: 'getNews', summary: 'Latest news headlines', specName: 'news' }
+    ]);
+    const topHit = query => index.search(query, { limit: 1 })[0]?.operationId;
+    const queries = {
+      'saving account': 'listSavingsAccounts',
+      'my savings': 'listSavingsAccounts',
+      'payments made': 'getPaymentHistory',
+      'paying history': 'getPaymentHistory',
+      'news': 'getNews'
+    };
+    const misses = Object.entries(queries).filter(([query, expected]) => topHit(query) !== expected);
+    if (misses.length > 0) {
+      throw new Error(`Index missed word forms: ${misses.map(([query]) => `"${query}" -> ${topHit(query)}`).join(', ')}`);
+    }
+    console.log(`✅ Singular, plural and -ing queries match the same operations (${Object.keys(queries).length} queries)`);
+    
     // Test 5: Operation details retrieval
     console.log('\nTest 5: Operation details');
     const details = registry.getOperationDetails(weatherIntent);
@@ -66,6 +103,161 @@ async function testApiRegistry() {
     }
     console.log('✅ Spec validation works');
     
+    // Test 7: requestBody $ref resolution
+    console.log('\nTest 7: requestBody $ref resolution');
+    const billDetails = registry.getOperationDetails('post_bill_getBillsTxnHistory');
+    const body = registry.getRequestBodySchema(billDetails);
+    if (!body || !body.schema.properties?.payeeCode || !body.schema.required?.includes('billAcctNo')) {
+      throw new Error('requestBody schema not resolved');
+    }
+    if (JSON.stringify(billDetails.responses).includes('$ref')) {
+      throw new Error('Response schemas still contain $ref');
+    }
+    console.log(`✅ requestBody resolved (${body.mediaType}, ${Object.keys(body.schema.properties).length} fields)`);
+    
+    // Test 8: Circular $ref resolution
+    console.log('\nTest 8: Circular $ref resolution');
+    const circularSpec = {
+      components: {
+        schemas: {
+          Node: {
+            type: 'object',
+            properties: {
+              value: { type: 'string' },
+              children: { type: 'array', items: { $ref: '#/components/schemas/Node' } }
+            }
+          }
+        }
+      }
+    };
+    const node = RefResolver.resolve({ $ref: '#/components/schemas/Node' }, circularSpec);
+    const childMarker = node.properties.children.items;
+    if (childMarker['x-circular-ref'] !== '#/components/schemas/Node' || childMarker.type !== 'object') {
+      throw new Error('Circular $ref not cut correctly');
+    }
+    JSON.stringify(node); // Must remain serializable
+    console.log('✅ Circular $ref resolved to a serializable marker');
+    
+    // Test 9: YAML, Markdown and Swagger 2.0 loaders
+    console.log('\nTest 9: YAML, Markdown and Swagger 2.0 loaders');
+    const yamlSpec = SpecLoaders.parse('pets.yaml', [
+      'openapi: 3.0.0',
+      'info: { title: Pets, version: 1.0.0 }',
+      'paths:',
+      '  /pets:',
+      '    get: { operationId: listPets }'
+    ].join('\n'));
+    if (!yamlSpec.paths['/pets'].get) {
+      throw new Error('YAML spec not parsed');
+    }
+    
+    const markdownSpec = SpecLoaders.parse('pets.md', '# Pets API\n\n```json\n' + JSON.stringify(yamlSpec) + '\n```\n');
+    if (markdownSpec.info.title !== 'Pets') {
+      throw new Error('Markdown-embedded spec not parsed');
+    }
+    
+    const swaggerSpec = SpecLoaders.parse('legacy.json', JSON.stringify({
+      swagger: '2.0',
+      info: { title: 'Legacy', version: '1.0.0' },
+      host: 'legacy.example.com',
+      basePath: '/api',
+      definitions: { Pet: { type: 'object', properties: { name: { type: 'string' } } } },
+      paths: {
+        '/pets': {
+          post: {
+            operationId: 'createPet',
+            parameters: [{ name: 'pet', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }],
+            responses: { 200: { description: 'OK', schema: { $ref: '#/definitions/Pet' } } }
+          }
+        }
+      }
+    }));
+    const createPet = swaggerSpec.paths['/pets'].post;
+    if (swaggerSpec.servers[0].url !== 'https://legacy.example.com/api' ||
+        createPet.requestBody.content['application/json'].schema.$ref !== '#/components/schemas/Pet') {
+      throw new Error('Swagger 2.0 spec not converted');
+    }
+    registry.validateSpec(swaggerSpec);
+    console.log('✅ YAML, Markdown and Swagger 2.0 documents load as OpenAPI 3');
+    
+    // Test 10: operationId collisions across specs
+    console.log('\nTest 10: operationId collisions');
+    if (!registry.operations.has('maybank__get_banking_summary') || !registry.operations.has('accounts__get_banking_summary')) {
+      throw new Error('Colliding operations not namespaced');
+    }
+    if (registry.getOperationDetails('get_banking_summary').specName !== 'maybank') {
+      throw new Error('Bare operationId should resolve to the last registered spec');
+    }
+    if (registry.getToolSource('accounts__get_banking_summary').specName !== 'accounts') {
+      throw new Error('Tool source not recorded');
+    }
+    const strictRegistry = new ApiRegistry({ collisionPolicy: 'error' });
+    try {
+      await strictRegistry.initialize();
+      throw new Error('Collision policy "error" did not reject duplicate operationIds');
+    } catch (error) {
+      if (!error.message.includes("is defined in both 'accounts' and 'maybank'")) {
+        throw error;
+      }
+    }
+    // Distinct operationIds that sanitize to the same tool name keep their own ids
+    const dotted = new ApiRegistry();
+    dotted.addOperation({ operationId: 'list.pets', specName: 'one', toolName: ApiRegistry.sanitizeToolName('list.pets') });
+    dotted.addOperation({ operationId: 'list_pets', specName: 'two', toolName: ApiRegistry.sanitizeToolName('list_pets') });
+    if (dotted.getToolSource('one__list_pets')?.operationId !== 'list.pets' ||
+        dotted.getToolSource('two__list_pets')?.operationId !== 'list_pets') {
+      throw new Error('Sanitized tool name collision renamed the earlier operation after the later one');
+    }
+    
+    // Long operationIds sharing their first 64 characters, and dotted/underscored ids within one spec
+    const prefix = 'get_customer_account_transaction_history_with_merchant_details_and_';
+    const longIds = [`${prefix}categories`, `${prefix}locations`];
+    const longSpec = {
+      openapi: '3.0.0',
+      info: { title: 'Long names', version: '1.0.0' },
+      paths: {
+        '/categories': { get: { operationId: longIds[0], responses: { 200: { description: 'OK' } } } },
+        '/locations': { get: { operationId: longIds[1], responses: { 200: { description: 'OK' } } } },
+        '/dotted': { get: { operationId: 'list.pets', responses: { 200: { description: 'OK' } } } },
+        '/underscored': { get: { operationId: 'list_pets', responses: { 200: { description: 'OK' } } } }
+      }
+    };
+    const longRegistry = new ApiRegistry({ collisionPolicy: 'error' });
+    longRegistry.registerSpec('long', longSpec);
+    const longTools = [...longRegistry.operations.values()];
+    const longNames = longTools.map(operation => operation.toolName);
+    if (longRegistry.operations.size !== 4 || longRegistry.getCollisions().length !== 0 ||
+        longNames.some(name => name.length > 64 || !/^[A-Za-z0-9_-]+$/.test(name))) {
+      throw new Error(`Truncated or sanitized tool names collided: ${longNames.join(', ')}`);
+    }
+    if (longTools.some(operation => longRegistry.getToolSource(operation.toolName).operationId !== operation.operationId)) {
+      throw new Error('Disambiguated tool names do not map back to their operationIds');
+    }
+    console.log(`✅ ${registry.getCollisions().length} collision(s) namespaced, "error" policy rejects them; long and sanitized names stay distinct`);
+    
+    // Test 11: Atomic reload keeps last good spec versions
+    console.log('\nTest 11: Spec reload');
+    const specsDir = await fs.mkdtemp(join(tmpdir(), 'registry-specs-'));
+    try {
+      await fs.copyFile('./src/registry/specs/weather.json', join(specsDir, 'weather.json'));
+      const reloadRegistry = new ApiRegistry({ specsPath: specsDir });
+      await reloadRegistry.initialize();
+      
+      await fs.writeFile(join(specsDir, 'weather.json'), '{ "openapi": ');
+      await fs.copyFile('./src/registry/specs/facts.json', join(specsDir, 'facts.json'));
+      const summary = await reloadRegistry.reload();
+      
+      if (!summary || !reloadRegistry.operations.has('getCurrentWeather') || !summary.retained.includes('weather')) {
+        throw new Error('Invalid spec edit removed running operations');
+      }
+      if (!summary.added.includes('getRandomFact')) {
+        throw new Error('New spec not picked up on reload');
+      }
+      console.log(`✅ Reload added ${summary.added.join(', ')} and retained ${summary.retained.join(', ')}`);
+    } finally {
+      await fs.rm(specsDir, { recursive: true, force: true });
+    }
+    
     console.log('\n🎉 All ApiRegistry tests passed!');
     
   } catch (error) {
@@ -1,5 +1,11 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
 import { ApiRegistry } from './src/registry/api-registry.js';
 import { RequestBuilder } from './src/execution/request-builder.js';
+import { OAuth2TokenCache } from './src/authentication/security-schemes.js';
+import { ParameterSerializer } from './src/execution/parameter-serializer.js';
 
 async function testRequestBuilder() {
   console.log('🧪 Testing RequestBuilder...\n');
@@ -91,6 +97,215 @@ async function testRequestBuilder() {
     }
     console.log('✅ Invalid enum values correctly rejected');
     
+    // Test 9: Environment-aware server selection
+    console.log('\nTest 9: Server selection');
+    const bankingOperation = registry.getOperationDetails('getAccounts');
+    const sandboxUrl = RequestBuilder.extractServerUrl(bankingOperation, { environment: 'sandbox' });
+    if (sandboxUrl !== 'https://sandbox-api.bank.example.com/v1') {
+      throw new Error(`Sandbox server not selected: ${sandboxUrl}`);
+    }
+    const stagingUrl = RequestBuilder.extractServerUrl(
+      registry.getOperationDetails('get_banking_summary'),
+      { specs: { maybank: { environment: 'staging' } } }
+    );
+    if (stagingUrl !== 'https://staging.maya.maybank2u.com.my') {
+      throw new Error(`Staging server not selected: ${stagingUrl}`);
+    }
+    const variableUrl = RequestBuilder.extractServerUrl({
+      specName: 'local',
+      operationId: 'op',
+      servers: [{ url: 'http://{host}:{port}/api', variables: { host: { default: 'localhost' }, port: { default: '8080' } } }]
+    }, { variables: { port: 4010 } });
+    if (variableUrl !== 'http://localhost:4010/api') {
+      throw new Error(`Server variables not substituted: ${variableUrl}`);
+    }
+    const overrideRequest = RequestBuilder.buildRequest(operationDetails, { q: 'Paris' }, mockAuthConfig, {
+      serverSelection: { operations: { getCurrentWeather: { url: 'http://127.0.0.1:9999/' } } }
+    });
+    if (overrideRequest.url !== 'http://127.0.0.1:9999/weather') {
+      throw new Error(`Operation server override not applied: ${overrideRequest.url}`);
+    }
+    console.log('✅ Server selection by environment, variables and operation override works');
+    
+    // Test 10: Generic security schemes
+    console.log('\nTest 10: Security schemes');
+    const newsRequest = RequestBuilder.buildRequest(
+      registry.getOperationDetails('getTopHeadlines'), { country: 'us' }, { news: { apiKey: 'news-key' } }
+    );
+    if (newsRequest.params.apiKey !== 'news-key') {
+      throw new Error('News API key not applied through its security scheme');
+    }
+    
+    const securedOperation = {
+      specName: 'petstore',
+      operationId: 'listPets',
+      method: 'GET',
+      path: '/pets',
+      parameters: [],
+      servers: [{ url: 'https://pets.example.com' }],
+      security: [{ oauth: ['read'] }, { sessionCookie: [], basicAuth: [] }],
+      spec: {
+        components: {
+          securitySchemes: {
+            oauth: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: { read: '' } } } },
+            sessionCookie: { type: 'apiKey', in: 'cookie', name: 'session' },
+            basicAuth: { type: 'http', scheme: 'basic' }
+          }
+        }
+      }
+    };
+    const basicRequest = RequestBuilder.buildRequest(securedOperation, {}, {
+      petstore: { schemes: { sessionCookie: { apiKey: 'abc' }, basicAuth: { username: 'user', password: 'pass' } } }
+    });
+    if (basicRequest.headers.Cookie !== 'session=abc' || basicRequest.headers.Authorization !== 'Basic dXNlcjpwYXNz') {
+      throw new Error(`Cookie/basic credentials not applied: ${JSON.stringify(basicRequest.headers)}`);
+    }
+    
+    let tokenRequests = 0;
+    const tokenCache = new OAuth2TokenCache(async ({ method, url, data }) => {
+      tokenRequests++;
+      if (method !== 'post' || url !== 'https://auth.example.com/token' || !data.includes('scope=read')) {
+        throw new Error(`Unexpected token request: ${method} ${url} ${data}`);
+      }
+      return { data: { access_token: 'oauth-token', expires_in: 3600 } };
+    });
+    const oauthConfig = { petstore: { clientId: 'id', clientSecret: 'secret' } };
+    await tokenCache.resolveTokens(securedOperation, oauthConfig);
+    const oauthTokens = await tokenCache.resolveTokens(securedOperation, oauthConfig);
+    const oauthRequest = RequestBuilder.buildRequest(securedOperation, {}, oauthConfig, { oauthTokens });
+    if (oauthRequest.headers.Authorization !== 'Bearer oauth-token' || tokenRequests !== 1) {
+      throw new Error(`OAuth2 token not applied or not cached (${tokenRequests} token requests)`);
+    }
+    console.log('✅ apiKey (query/cookie), basic, and cached OAuth2 client-credentials auth applied');
+    
+    // Test 11: Request body serialization and cookie parameters
+    console.log('\nTest 11: Request bodies');
+    const transferRequest = RequestBuilder.buildRequest(
+      registry.getOperationDetails('createTransfer'),
+      { fromAccountId: 'ACC1', toAccountId: 'ACC2', amount: 50 },
+      {}
+    );
+    if (transferRequest.method !== 'post' || transferRequest.data.amount !== 50 || transferRequest.headers['Content-Type'] !== 'application/json') {
+      throw new Error(`JSON body not built: ${JSON.stringify(transferRequest.data)}`);
+    }
+    
+    const uploadOperation = {
+      specName: 'docs',
+      operationId: 'uploadDocument',
+      method: 'POST',
+      path: '/documents',
+      servers: [{ url: 'https://docs.example.com' }],
+      parameters: [{ name: 'session', in: 'cookie', schema: { type: 'string' } }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/x-www-form-urlencoded': {
+            schema: { type: 'object', required: ['title'], properties: { title: { type: 'string' }, tags: { type: 'array' } } }
+          },
+          'multipart/form-data': {
+            schema: { type: 'object', required: ['title'], properties: { title: { type: 'string' }, file: { type: 'string', format: 'binary' } } }
+          }
+        }
+      }
+    };
+    const formRequest = RequestBuilder.buildRequest(
+      { ...uploadOperation, requestBody: { ...uploadOperation.requestBody, content: { 'application/x-www-form-urlencoded': uploadOperation.requestBody.content['application/x-www-form-urlencoded'] } } },
+      { title: 'Q1 report', tags: ['a', 'b'], session: 'xyz' },
+      {}
+    );
+    if (formRequest.data !== 'title=Q1+report&tags=a&tags=b' || formRequest.headers.Cookie !== 'session=xyz') {
+      throw new Error(`Form body or cookie not built: ${formRequest.data} / ${formRequest.headers.Cookie}`);
+    }
+    
+    const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rb-upload-'));
+    fs.writeFileSync(path.join(uploadDir, 'report.txt'), 'hello');
+    try {
+      const multipartRequest = RequestBuilder.buildRequest(uploadOperation, { title: 'Q1', file: 'report.txt' }, {}, { uploadRoot: uploadDir });
+      const filePart = multipartRequest.data.get('file');
+      if (!(multipartRequest.data instanceof FormData) || filePart.name !== 'report.txt' || await filePart.text() !== 'hello') {
+        throw new Error('Multipart file part not read from the upload directory');
+      }
+      let rejected = false;
+      try {
+        RequestBuilder.buildRequest(uploadOperation, { title: 'Q1', file: '../secret.txt' }, {}, { uploadRoot: uploadDir });
+      } catch (error) {
+        rejected = error.message.includes('outside the upload directory');
+      }
+      if (!rejected) {
+        throw new Error('Upload path outside the upload directory was accepted');
+      }
+      // Without an upload directory no path is read, absolute or relative
+      for (const file of ['/etc/passwd', '../secret.txt', path.join(uploadDir, 'report.txt')]) {
+        let refused = null;
+        try {
+          RequestBuilder.buildRequest(uploadOperation, { title: 'Q1', file }, {});
+        } catch (error) {
+          refused = error.message;
+        }
+        if (!refused || !refused.includes('no upload directory is configured')) {
+          throw new Error(`Upload of '${file}' read without an upload directory: ${refused}`);
+        }
+      }
+    } finally {
+      fs.rmSync(uploadDir, { recursive: true, force: true });
+    }
+    
+    let missingBody = null;
+    try {
+      RequestBuilder.buildRequest(uploadOperation, {}, {});
+    } catch (error) {
+      missingBody = error.message;
+    }
+    if (!missingBody || !missingBody.includes('Request body is required')) {
+      throw new Error(`Missing required body not rejected: ${missingBody}`);
+    }
+    
+    let invalidBody = null;
+    try {
+      RequestBuilder.buildRequest(registry.getOperationDetails('createTransfer'), { fromAccountId: 'ACC1', toAccountId: 'ACC2', amount: 0 }, {});
+    } catch (error) {
+      invalidBody = error.message;
+    }
+    if (!invalidBody || !invalidBody.includes('/amount must be at least 0.01')) {
+      throw new Error(`Body schema constraint not enforced: ${invalidBody}`);
+    }
+    console.log('✅ JSON, form-urlencoded and multipart bodies, cookie parameters and required-body checks work');
+    
+    // Test 12: Parameter serialization styles
+    console.log('\nTest 12: Parameter styles');
+    const everythingRequest = RequestBuilder.buildRequest(
+      registry.getOperationDetails('searchNews'),
+      { q: 'ai', sources: ['bbc-news', 'the-verge'], domains: 'bbc.co.uk, techcrunch.com' },
+      { news: { apiKey: 'k' } }
+    );
+    const everythingUri = axios.getUri(everythingRequest);
+    if (!everythingUri.includes('sources=bbc-news,the-verge') || !everythingUri.includes('domains=bbc.co.uk,techcrunch.com')) {
+      throw new Error(`Form (explode=false) arrays not serialized: ${everythingUri}`);
+    }
+    
+    const explodedUri = axios.getUri({
+      url: 'https://x.example.com/items',
+      params: ParameterSerializer.serializeQuery({ name: 'id', in: 'query', schema: { type: 'array' } }, [3, 4]),
+      paramsSerializer: { indexes: null }
+    });
+    const styleChecks = [
+      [explodedUri, 'https://x.example.com/items?id=3&id=4'],
+      [ParameterSerializer.serializeQuery({ name: 'id', in: 'query', style: 'pipeDelimited' }, [3, 4]).id, '3|4'],
+      [JSON.stringify(ParameterSerializer.serializeQuery({ name: 'filter', in: 'query', style: 'deepObject', explode: true }, { color: 'red', size: { min: 1 } })),
+        '{"filter[color]":"red","filter[size][min]":"1"}'],
+      [ParameterSerializer.serializePath({ name: 'id', in: 'path', style: 'label' }, [3, 4]), '.3,4'],
+      [ParameterSerializer.serializePath({ name: 'id', in: 'path', style: 'matrix', explode: true }, [3, 4]), ';id=3;id=4'],
+      [ParameterSerializer.serializePath({ name: 'id', in: 'path' }, { role: 'admin', name: 'a b' }), 'role,admin,name,a%20b'],
+      [ParameterSerializer.serializeHeader({ name: 'X-Ids', in: 'header', explode: true }, { a: 1, b: 2 }), 'a=1,b=2'],
+      [JSON.stringify(ParameterSerializer.serializeCookie({ name: 'ids', in: 'cookie', explode: false }, [3, 4])), '[["ids","3,4"]]']
+    ];
+    for (const [actual, expected] of styleChecks) {
+      if (actual !== expected) {
+        throw new Error(`Serialization mismatch: expected ${expected}, got ${actual}`);
+      }
+    }
+    console.log('✅ form, pipeDelimited, deepObject, label, matrix, header and cookie styles serialize correctly');
+    
     console.log('\n🎉 All RequestBuilder tests passed!');
     
   } catch (error) {
@@ -1,4 +1,8 @@
 import { MCPGatewayServer } from './src/server.js';
+import { ToolFilter } from './src/registry/tool-filter.js';
+import { config } from './src/config/server-config.js';
+import { RequestBuilder } from './src/execution/request-builder.js';
+import { Validators } from './src/utils/validators.js';
 
 async function testMCPServer() {
   console.log('🧪 Testing MCP Server...\n');
@@ -78,20 +82,110 @@ async function testMCPServer() {
       console.log('✅ Tool creation works');
       console.log(`   Tool: ${tool.name}, Properties: ${Object.keys(tool.inputSchema.properties).length}`);
       
+      const billTool = server.createToolFromOperation(
+        server.registry.getOperationDetails('post_bill_getBillsTxnHistory')
+      );
+      const payeeCode = billTool.inputSchema.properties.payeeCode;
+      if (!payeeCode || payeeCode.example !== '1111' || !billTool.inputSchema.required.includes('billAcctNo')) {
+        throw new Error('Request body fields not exposed on POST tool');
+      }
+      console.log('✅ Request body fields exposed on POST tools');
+
+      const optionalBodySchema = { properties: {}, required: [] };
+      server.addRequestBodyToInputSchema(optionalBodySchema, {
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['amount'],
+                properties: {
+                  amount: { oneOf: [{ type: 'number' }, { type: 'string' }] },
+                  note: {}
+                }
+              }
+            }
+          }
+        }
+      });
+      if (optionalBodySchema.required.length !== 0 || optionalBodySchema.properties.amount.type ||
+          optionalBodySchema.properties.note.type !== 'string') {
+        throw new Error('Optional body fields required, or composed field types overridden');
+      }
+      console.log('✅ Optional bodies add no required fields; oneOf fields keep their own types');
+
+      if (billTool.inputSchema.properties['X-APP-SESSION-TRACE-ID'] || billTool.inputSchema.required.includes('Content-Type')) {
+        throw new Error('Adapter-managed Maybank headers exposed as tool arguments');
+      }
+      console.log('✅ Maybank tools leave Accept, Content-Type and X-APP-* headers to the adapter');
+      
+      // The configured apiKey scheme supplies weather's appid, so callers leave it out
+      const weatherTool = server.createToolFromOperation(server.registry.getOperationDetails('getCurrentWeather'));
+      const weatherRequest = RequestBuilder.buildRequest(server.registry.getOperationDetails('getCurrentWeather'), { q: 'London' }, server.config.apis);
+      if (weatherTool.inputSchema.properties.appid || weatherTool.inputSchema.required.includes('appid') ||
+          !Validators.validateToolArguments({ q: 'London' }, weatherTool.inputSchema).valid ||
+          weatherRequest.params.appid !== server.config.apis.weather.apiKey) {
+        throw new Error('Credential parameters still exposed as tool arguments');
+      }
+      console.log('✅ Weather tool takes no appid; the configured key fills it');
+      
+      const newsTool = server.createToolFromOperation(server.registry.getOperationDetails('searchNews'));
+      if (!newsTool.inputSchema.properties.maxPages || !newsTool.inputSchema.properties.continuationToken ||
+          tool.inputSchema.properties.maxPages && !operationDetails.pagination) {
+        throw new Error('Pagination controls not exposed only on paginated tools');
+      }
+      console.log('✅ Paginated tools take maxPages, maxItems and continuationToken');
+      
+      if (!billTool.inputSchema.properties.select?.description.includes('JMESPath') ||
+          !newsTool.description.includes("'select'")) {
+        throw new Error('select argument not documented on operation tools');
+      }
+      console.log('✅ Operation tools take a documented select expression');
+      
+      // Tool exposure profiles
+      const defaultFilter = server.toolFilter;
+      server.toolFilter = new ToolFilter('read-only-banking', config.toolProfiles['read-only-banking']);
+      await server.setupMCPTools();
+      const profileToolNames = server.mcpTools.map(t => t.name);
+      if (!profileToolNames.includes('maybank__get_banking_summary') ||
+          profileToolNames.includes('post_bill_getBillsTxnHistory') ||
+          profileToolNames.includes('getCurrentWeather') ||
+          profileToolNames.includes('execute_custom_workflow')) {
+        throw new Error(`Read-only banking profile exposed the wrong tools: ${profileToolNames.join(', ')}`);
+      }
+      const blockedCall = await server.handleToolCall('getCurrentWeather', { q: 'London' });
+      if (!blockedCall.isError || !blockedCall.content[0].text.includes("not available in tool profile")) {
+        throw new Error('Profile did not block a hidden tool call');
+      }
+      // Workflows and the interactive tool reach operations through the executor
+      const blockedOperation = await server.executor.executeOperation('post_bill_getBillsTxnHistory', {
+        payeeCode: '1111', billAcctNo: '123'
+      }, { jwtToken: 'test' });
+      if (blockedOperation.success || blockedOperation.errorType !== 'profile_blocked') {
+        throw new Error('Profile did not block a hidden operation run through the executor');
+      }
+      server.toolFilter = defaultFilter;
+      await server.setupMCPTools();
+      console.log(`✅ Tool profiles filter tools (read-only-banking: ${profileToolNames.length} tools)`);
+      
       // Test 8: Weather response formatting
       console.log('\nTest 8: Weather response formatting');
+      const weatherDetails = server.registry.getOperationDetails('getCurrentWeather');
       const mockWeatherData = {
-        location: 'Test City',
-        country: 'TC',
-        weather: { description: 'clear sky' },
-        temperature: { current: 20, feels_like: 18, min: 15, max: 25 },
-        atmospheric: { humidity: 60, pressure: 1013 },
+        name: 'Test City',
+        sys: { country: 'TC' },
+        weather: [{ main: 'Clear', description: 'clear sky' }],
+        main: { temp: 20, feels_like: 18, temp_min: 15, temp_max: 25, humidity: 60, pressure: 1013 },
         wind: { speed: 3.5, deg: 180 },
-        coordinates: { latitude: 51.5, longitude: -0.1 }
+        coord: { lat: 51.5, lon: -0.1 }
       };
       
-      const formatted = server.formatWeatherResponse(mockWeatherData);
-      if (!formatted.includes('Test City') || !formatted.includes('20°C')) {
+      const formatted = server.formatSuccessResponse({
+        success: true,
+        data: { status: 200, data: mockWeatherData },
+        display: server.executor.renderResult(mockWeatherData, weatherDetails, null)
+      }, weatherDetails);
+      if (!formatted.includes('Test City') || !formatted.includes('**Temperature:** 20°')) {
         throw new Error('Weather response formatting failed');
       }
       console.log('✅ Weather response formatting works');
@@ -109,7 +203,17 @@ async function testMCPServer() {
       if (!errorFormatted.includes('Test error message')) {
         throw new Error('Error response formatting failed');
       }
-      console.log('✅ Error response formatting works');
+      const maybankErrorFormatted = server.formatErrorResponse({
+        success: false,
+        error: 'Access token invalid or expired (error invalid_token)',
+        errorType: 'AUTHENTICATION_ERROR',
+        reason: server.executor.maybankAdapter.statusCatalogue.decode('oauth', 'invalid_token', 'Access token invalid or expired')
+      }, server.registry.getOperationDetails('post_bill_getBillsTxnHistory'));
+      if (!maybankErrorFormatted.includes('• Category: authentication') ||
+          !maybankErrorFormatted.includes('• What to do: Sign in to the MAE app again')) {
+        throw new Error(`Maybank failure reason not rendered: ${maybankErrorFormatted}`);
+      }
+      console.log('✅ Error response formatting works (Maybank failures show category and guidance)');
       
       // Test 10: Mock tool call (without actual MCP connection)
       console.log('\nTest 10: Mock tool call handling');
@@ -162,6 +266,9 @@ async function testMCPServer() {
     console.log('   - Error handling and graceful shutdown ✅');
     console.log('   - Component integration ✅');
     
+    // Stops the spec watcher so the script exits
+    server.shutdown();
+    
   } catch (error) {
     console.error('\n❌ Test failed:', error.message);
     console.error('Stack:', error.stack);
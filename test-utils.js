@@ -251,6 +251,60 @@ async function testUtils() {
     
     console.log('✅ Type validation works');
     
+    // Test 14: Validators - JSON Schema constraints with JSON-pointer paths
+    console.log('\nTest 14: Validators - JSON Schema constraints');
+    
+    const transferSchema = {
+      type: 'object',
+      required: ['amount', 'date'],
+      additionalProperties: false,
+      properties: {
+        amount: { type: 'number', minimum: 0.01, maximum: 50000 },
+        date: { type: 'string', format: 'date' },
+        email: { type: 'string', format: 'email' },
+        reference: { type: 'string', maxLength: 8, pattern: '^[A-Z0-9]+$' },
+        recipient: {
+          type: 'object',
+          required: ['accountId'],
+          properties: { accountId: { type: 'string', format: 'uuid' } }
+        },
+        tags: { type: 'array', items: { type: 'string', minLength: 2 }, maxItems: 3 },
+        channel: { oneOf: [{ type: 'string', enum: ['web', 'app'] }, { type: 'integer', minimum: 1 }] }
+      }
+    };
+    
+    const goodTransfer = Validators.validateToolArguments({
+      amount: 10,
+      date: '2024-02-29',
+      email: 'a@b.io',
+      reference: 'INV42',
+      recipient: { accountId: '3f2b8c1e-9d4a-4e6b-8f1a-2c3d4e5f6a7b' },
+      tags: ['rent'],
+      channel: 'app'
+    }, transferSchema);
+    if (!goodTransfer.valid) {
+      throw new Error(`Valid arguments failed schema validation: ${goodTransfer.errors.join(', ')}`);
+    }
+    
+    const badTransfer = Validators.validateToolArguments({
+      amount: 0,
+      date: '2024-02-30',
+      reference: 'inv-42-long',
+      recipient: { accountId: 'nope' },
+      tags: ['a'],
+      channel: 0,
+      note: 'x'
+    }, transferSchema);
+    const badPaths = badTransfer.details.map(error => error.path);
+    const expectedPaths = ['/amount', '/date', '/reference', '/recipient/accountId', '/tags/0', '/channel', '/note'];
+    const missingPaths = expectedPaths.filter(path => !badPaths.includes(path));
+    if (badTransfer.valid || missingPaths.length > 0) {
+      throw new Error(`Schema violations not reported for: ${missingPaths.join(', ')}`);
+    }
+    
+    console.log('✅ JSON Schema constraints reported with JSON-pointer paths');
+    console.log(`   ${badTransfer.errors.slice(0, 3).join('; ')}`);
+    
     console.log('\n🎉 All Utility Classes tests passed!');
     
   } catch (error) {